@@ -0,0 +1,108 @@
+/* ================= LICENSE ABUSE ================= */
+/**
+ * Usage tracking, suspicion score and levels behind license sharing detection
+ * (see LICENSE ABUSE in index.js for the actions and license_abuse_flags).
+ * `now` is a parameter only so tests can drive the clock.
+ */
+export const ABUSE_LEVEL_ORDER = [null, "flag", "notify", "suspend"];
+
+// One server restarting on a new IP is normal; several HWIDs or parallel heartbeats are not.
+// Mismatches alone stop at notifyScore: anyone holding the key can produce them.
+export function suspicionScore(evidence, notifyScore) {
+  const extraIps = Math.max(0, evidence.distinct_ips.length - 2);
+  const extraHwids = Math.max(0, evidence.distinct_hwids.length - 1);
+  const extraSources = Math.max(0, evidence.concurrent_sources.length - 1);
+  const mismatches = Math.min(notifyScore, (evidence.hwid_mismatch_ips?.length || 0) * 20);
+
+  return Math.min(100, extraIps * 10 + extraHwids * 30 + extraSources * 45 + mismatches);
+}
+
+// thresholds: { flag, notify, suspend } scores
+export function abuseLevel(score, thresholds) {
+  if (score >= thresholds.suspend) return "suspend";
+  if (score >= thresholds.notify) return "notify";
+  if (score >= thresholds.flag) return "flag";
+  return null;
+}
+
+// every lower level runs too, so a jump straight to "suspend" is also flagged
+export function levelsUpTo(level) {
+  return ABUSE_LEVEL_ORDER.slice(1, ABUSE_LEVEL_ORDER.indexOf(level) + 1);
+}
+
+// windowMs: how long an IP/HWID counts, onlineWindowMs: how long a heartbeat counts as a running server
+export function createAbuseTracker({ windowMs, onlineWindowMs, thresholds, now = Date.now }) {
+  const usage = {}; // { [license_key]: { ips, hwids, sources, mismatch_ips, mismatch_hwids: Map<value, lastSeenMs>, level } }
+
+  function pruneSeen(map, maxAgeMs) {
+    const t = now();
+    for (const [value, seen] of map) {
+      if (t - seen > maxAgeMs) map.delete(value);
+    }
+    return map;
+  }
+
+  function evidence(license_key) {
+    const entry = usage[license_key];
+    if (!entry) {
+      return { distinct_ips: [], distinct_hwids: [], concurrent_sources: [], hwid_mismatch_ips: [], hwid_mismatch_hwids: [] };
+    }
+
+    return {
+      distinct_ips: [...pruneSeen(entry.ips, windowMs).keys()],
+      distinct_hwids: [...pruneSeen(entry.hwids, windowMs).keys()],
+      concurrent_sources: [...pruneSeen(entry.sources, onlineWindowMs).keys()],
+      hwid_mismatch_ips: [...pruneSeen(entry.mismatch_ips, windowMs).keys()],
+      hwid_mismatch_hwids: [...pruneSeen(entry.mismatch_hwids, windowMs).keys()],
+      window_ms: windowMs,
+    };
+  }
+
+  function assess(license_key) {
+    const found = evidence(license_key);
+    const score = suspicionScore(found, thresholds.notify);
+    return { license_key, score, level: abuseLevel(score, thresholds), evidence: found };
+  }
+
+  return {
+    evidence,
+    assess,
+
+    // Records one verify (ip + hwid, or a refused hwid with `mismatch`) or heartbeat.
+    // `escalated` is true only when the level rose; it drops back once things calm down.
+    observe(license_key, { ip = null, hwid = null, heartbeat = false, mismatch = false } = {}) {
+      const t = now();
+      const entry = (usage[license_key] = usage[license_key] || {
+        ips: new Map(),
+        hwids: new Map(),
+        sources: new Map(),
+        mismatch_ips: new Map(),
+        mismatch_hwids: new Map(),
+        level: null,
+      });
+
+      if (mismatch) {
+        if (ip) entry.mismatch_ips.set(ip, t);
+        if (hwid) entry.mismatch_hwids.set(String(hwid), t);
+      } else {
+        if (ip) entry.ips.set(ip, t);
+        if (hwid) entry.hwids.set(String(hwid), t);
+        if (heartbeat && ip) entry.sources.set(ip, t);
+      }
+
+      const result = assess(license_key);
+      const escalated = ABUSE_LEVEL_ORDER.indexOf(result.level) > ABUSE_LEVEL_ORDER.indexOf(entry.level);
+      if (escalated || !result.level) entry.level = result.level;
+
+      return { ...result, escalated };
+    },
+
+    // live scores of every tracked license at or above minScore, highest first
+    live(minScore) {
+      return Object.keys(usage)
+        .map((license_key) => assess(license_key))
+        .filter((x) => x.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+    },
+  };
+}
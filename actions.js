@@ -0,0 +1,206 @@
+/* ================= ACTION QUEUE ================= */
+/**
+ * In-memory per-license queue of dashboard -> FiveM actions; the lifecycle is
+ * described under ACTION QUEUE in index.js. Publishing updates and waking
+ * long-polls are passed in as callbacks so index.js keeps the transport.
+ */
+export const ACTION_FINAL_STATES = ["succeeded", "failed", "expired"];
+
+export function isActionOpen(action) {
+  return !ACTION_FINAL_STATES.includes(action.status);
+}
+
+export function publicAction(action) {
+  return {
+    id: action.id,
+    type: action.type,
+    payload: action.payload,
+    status: action.status,
+    attempts: action.attempts,
+    created_at: action.created_at,
+    delivered_at: action.delivered_at,
+    acked_at: action.acked_at,
+    completed_at: action.completed_at,
+    expires_at: action.expires_at,
+    result: action.result,
+    error: action.error,
+  };
+}
+
+/**
+ * options:
+ *   ttlMs, redeliverMs, maxAttempts, retentionMs, limit
+ *   onUpdate(license_key, action)  -> every status change
+ *   onPush(license_key)            -> after an action was queued
+ *   now()                          -> clock (overridable for tests)
+ */
+export function createActionQueue({
+  ttlMs,
+  redeliverMs,
+  maxAttempts,
+  retentionMs,
+  limit,
+  onUpdate = () => {},
+  onPush = () => {},
+  now = Date.now,
+}) {
+  const queue = {}; // { [license_key]: [ {id, type, payload, created_at, status, attempts, ...} ] }
+
+  // marks expired actions and drops finished ones past retention
+  function sweep(license_key) {
+    const list = queue[license_key] || [];
+    const at = now();
+
+    for (const action of list) {
+      if (isActionOpen(action) && new Date(action.expires_at).getTime() <= at) {
+        action.status = "expired";
+        action.completed_at = new Date(at).toISOString();
+        onUpdate(license_key, action);
+      }
+    }
+
+    queue[license_key] = list.filter(
+      (a) => isActionOpen(a) || at - new Date(a.completed_at).getTime() < retentionMs
+    );
+    return queue[license_key];
+  }
+
+  // Returns the stored action, or null if the queue is full of open actions.
+  function push(license_key, action) {
+    const list = sweep(license_key);
+
+    if (list.length >= limit) {
+      // make room by dropping the oldest finished actions, never open ones
+      const finished = list.filter((a) => !isActionOpen(a));
+      const drop = new Set(finished.slice(0, list.length - limit + 1));
+      queue[license_key] = list.filter((a) => !drop.has(a));
+      if (queue[license_key].length >= limit) return null;
+    }
+
+    const created = new Date(action.created_at || now());
+    const record = {
+      ...action,
+      created_at: created.toISOString(),
+      status: "pending",
+      attempts: 0,
+      delivered_at: null,
+      acked_at: null,
+      completed_at: null,
+      expires_at: new Date(created.getTime() + ttlMs).toISOString(),
+      result: null,
+      error: null,
+    };
+
+    queue[license_key].push(record);
+    onUpdate(license_key, record);
+    onPush(license_key);
+    return record;
+  }
+
+  function find(license_key, id) {
+    return (queue[license_key] || []).find((a) => a.id === id) || null;
+  }
+
+  // Marks due actions as delivered and returns them in wire format.
+  // Due = pending, or delivered but not acked within redeliverMs.
+  function takeDue(license_key) {
+    const at = now();
+    const list = [];
+
+    for (const action of sweep(license_key)) {
+      const due =
+        action.status === "pending" ||
+        (action.status === "delivered" && at - new Date(action.delivered_at).getTime() >= redeliverMs);
+      if (!due) continue;
+
+      if (action.attempts >= maxAttempts) {
+        action.status = "failed";
+        action.error = "NOT_ACKED";
+        action.completed_at = new Date(at).toISOString();
+        onUpdate(license_key, action);
+        continue;
+      }
+
+      action.status = "delivered";
+      action.attempts += 1;
+      action.delivered_at = new Date(at).toISOString();
+      onUpdate(license_key, action);
+
+      list.push({
+        id: action.id,
+        type: action.type,
+        payload: action.payload,
+        created_at: action.created_at,
+        attempt: action.attempts,
+      });
+    }
+
+    return list;
+  }
+
+  // -> ids that moved to acked; unknown or already acked/final ids are skipped
+  function ack(license_key, ids) {
+    const acked = [];
+    for (const id of ids) {
+      const action = find(license_key, id);
+      if (!action || !["pending", "delivered"].includes(action.status)) continue;
+
+      action.status = "acked";
+      action.acked_at = new Date(now()).toISOString();
+      onUpdate(license_key, action);
+      acked.push(action.id);
+    }
+    return acked;
+  }
+
+  // Final outcome reported by the server (also counts as ack).
+  // -> { action } or { error: "NOT_FOUND" | "ALREADY_FINAL", action? }
+  function complete(license_key, id, { success, result, error }) {
+    const action = find(license_key, id);
+    if (!action) return { error: "NOT_FOUND" };
+    if (!isActionOpen(action)) return { error: "ALREADY_FINAL", action };
+
+    const at = new Date(now()).toISOString();
+    action.acked_at = action.acked_at || at;
+    action.completed_at = at;
+    action.status = success ? "succeeded" : "failed";
+    action.result = result ?? null;
+    action.error = success ? null : String(error || "FAILED");
+    onUpdate(license_key, action);
+    return { action };
+  }
+
+  return { push, sweep, find, takeDue, ack, complete };
+}
+
+/* ===== LONG-POLL WAITERS ===== */
+// Open /api/server/actions/wait requests per license. A waiter returns true
+// once it answered its request, which removes it.
+export function createActionWaiters() {
+  const waiters = {}; // { [license_key]: Set<() => boolean> }
+
+  return {
+    add(license_key, waiter) {
+      (waiters[license_key] = waiters[license_key] || new Set()).add(waiter);
+    },
+
+    remove(license_key, waiter) {
+      waiters[license_key]?.delete(waiter);
+    },
+
+    // gives each waiter a chance to take due actions
+    wake(license_key) {
+      const set = waiters[license_key];
+      if (!set) return;
+
+      for (const waiter of [...set]) {
+        if (waiter()) set.delete(waiter);
+      }
+    },
+  };
+}
+
+// requested wait, clamped to 1s..maxMs; missing or invalid means maxMs
+export function longPollWaitMs(requested, maxMs) {
+  return Math.min(Math.max(Number(requested) || maxMs, 1000), maxMs);
+}
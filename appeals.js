@@ -0,0 +1,39 @@
+import crypto from "crypto";
+
+/* ================= BAN APPEALS ================= */
+/**
+ * Input checks and the player-facing view of ban_appeals rows (see BAN
+ * APPEALS in index.js for the tables and routes).
+ */
+export const APPEAL_MESSAGE_MAX = 4000;
+
+// -> { error } or { ban_id, message, contact } ready to insert
+export function validateAppeal({ ban_id, message, contact }) {
+  const text = String(message || "").trim();
+  if (!ban_id || !text) return { error: "MISSING_FIELDS" };
+  if (text.length > APPEAL_MESSAGE_MAX) return { error: "MESSAGE_TOO_LONG" };
+
+  return { ban_id, message: text, contact: contact ? String(contact).slice(0, 200) : null };
+}
+
+// what a player may see about their appeal
+export function publicAppeal(appeal) {
+  return {
+    id: appeal.id,
+    ban_id: appeal.ban_id,
+    status: appeal.status,
+    created_at: appeal.created_at,
+    decided_at: appeal.decided_at || null,
+    decision_note: appeal.decision_note || null,
+  };
+}
+
+export function hashAppealToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// the token goes to the player once; only the hash is stored
+export function newAppealToken() {
+  const token = crypto.randomBytes(24).toString("hex");
+  return { token, hash: hashAppealToken(token) };
+}
@@ -0,0 +1,46 @@
+/* ================= AUDIT LOG ================= */
+/**
+ * Shape of audit_log rows and paging of the audit query (see AUDIT LOG in
+ * index.js for the table). Inserting and querying stay in index.js.
+ */
+
+export function auditActor(identity) {
+  if (identity.kind === "customer") {
+    return { actor_kind: "customer", actor_id: String(identity.user.id), actor_name: identity.user.username || null };
+  }
+  if (identity.kind === "admin") {
+    return { actor_kind: "admin", actor_id: String(identity.admin.id), actor_name: identity.admin.name || null };
+  }
+  if (identity.kind === "system") {
+    return { actor_kind: "system", actor_id: null, actor_name: identity.name || "system" };
+  }
+  return { actor_kind: "superadmin", actor_id: null, actor_name: "admin" };
+}
+
+// Objects: only changed keys as { key: { from, to } }. Anything else: { before, after }.
+export function auditDiff(before, after) {
+  if (before === undefined && after === undefined) return null;
+
+  const isObj = (x) => x && typeof x === "object" && !Array.isArray(x);
+  if (!isObj(before) || !isObj(after)) return { before: before ?? null, after: after ?? null };
+
+  const diff = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      diff[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  }
+  return diff;
+}
+
+// page / page_size from the query string -> 1-based page, size 1..200 and row offset
+export function auditPage(q) {
+  const pageSize = Math.min(Math.max(parseInt(q.page_size || "50", 10) || 50, 1), 200);
+  const page = Math.max(parseInt(q.page || "1", 10) || 1, 1);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+// "ban.*" -> "ban.%" for a like filter on action
+export function auditActionPattern(action) {
+  return String(action).replace(/\*/g, "%");
+}
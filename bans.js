@@ -0,0 +1,207 @@
+import crypto from "crypto";
+
+/* ================= BAN RECORDS ================= */
+/**
+ * Durations, expiry and derived state of ac_bans rows (see BANS in index.js
+ * for the table). `now` is a parameter only so tests can pin the clock.
+ */
+export const BAN_CATEGORIES = ["cheating", "exploiting", "modmenu", "griefing", "toxicity", "other"];
+
+export const MAX_DURATION_DAYS = 36500;
+
+// `from` lets a ban expire relative to when it was created, not when it was stored
+export function computeExpiresAt(duration, explicitExpiresAt, from = Date.now()) {
+  if (explicitExpiresAt) {
+    const parsed = new Date(explicitExpiresAt);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString();
+  }
+
+  const raw = String(duration || "P").trim().toLowerCase();
+  if (raw === "p" || raw === "perm" || raw === "permanent") return null;
+
+  const match = raw.match(/^(\d+)([mhd])$/);
+  if (!match) return null;
+
+  const amount = Number(match[1]);
+  const unit = match[2];
+  const ms = unit === "m" ? amount * 60_000 : unit === "h" ? amount * 3_600_000 : amount * 86_400_000;
+  const expires = new Date(new Date(from).getTime() + ms);
+  // past what Date can represent
+  if (Number.isNaN(expires.getTime())) return null;
+  return expires.toISOString();
+}
+
+// Inverse of computeExpiresAt: the largest whole unit that spans from -> to ("3d", "36h", "90m")
+export function durationBetween(from, to) {
+  const minutes = Math.ceil((new Date(to).getTime() - new Date(from).getTime()) / 60_000);
+  if (!(minutes > 0)) return null;
+  if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+export function normalizeDuration(duration) {
+  const raw = String(duration || "P").trim().toLowerCase();
+
+  if (raw === "p" || raw === "perm" || raw === "permanent") {
+    return { ok: true, value: "P" };
+  }
+
+  const match = raw.match(/^(\d+)([mhd])$/);
+  if (!match) return { ok: false, value: null };
+
+  const amount = Number(match[1]);
+  if (!Number.isFinite(amount) || amount <= 0) return { ok: false, value: null };
+
+  // anything longer is what "P" is for
+  const minutes = amount * { m: 1, h: 60, d: 1440 }[match[2]];
+  if (minutes > MAX_DURATION_DAYS * 1440) return { ok: false, value: null };
+
+  return { ok: true, value: `${amount}${match[2]}` };
+}
+
+export function normalizeIdentifiers(value) {
+  if (!Array.isArray(value)) return [];
+  const cleaned = value
+    .map((x) => String(x || "").trim())
+    .filter(Boolean);
+  return [...new Set(cleaned)];
+}
+
+export function isBanExpired(ban, now = Date.now()) {
+  return !!ban.expires_at && new Date(ban.expires_at).getTime() <= now;
+}
+
+export function banStateOf(ban, now = Date.now()) {
+  if (ban.revoked_at) return "revoked";
+  return isBanExpired(ban, now) ? "expired" : "active";
+}
+
+// adds derived state so panel + FiveM don't have to compare dates themselves
+export function withBanState(ban, now = Date.now()) {
+  const state = banStateOf(ban, now);
+  return {
+    ...ban,
+    permanent: !ban.expires_at,
+    active: state === "active",
+    state,
+  };
+}
+
+// What FiveM gets with "ban" / "update_ban" actions
+export function banActionPayload(ban) {
+  return {
+    ban_id: ban.ban_id,
+    reason: ban.reason,
+    duration: ban.duration,
+    expires_at: ban.expires_at,
+    identifiers: ban.identifiers || [],
+    category: ban.category,
+    revision: ban.revision || 0,
+  };
+}
+
+// exact (case-insensitive) match: % _ and \ in a player name are literal
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, "\\$&");
+}
+
+// Bans (newest first) with their events attached; evidence only with evidence.view
+export function banHistory(bans, events, { showEvidence, now = Date.now() }) {
+  return bans.map((b) => ({
+    ...withBanState(b, now),
+    evidence_url: showEvidence ? b.evidence_url : undefined,
+    events: events.filter((e) => e.ban_id === b.ban_id),
+  }));
+}
+
+// Validates a panel edit against the stored ban.
+// -> { error } or { changes: { [field]: { from, to } } } with only fields that actually change
+export function banEditChanges(ban, { duration, expires_at, reason, category, identifiers, add_identifiers }) {
+  const update = {};
+
+  if (duration !== undefined) {
+    const durationInfo = normalizeDuration(duration);
+    if (!durationInfo.ok) return { error: "INVALID_DURATION" };
+    update.duration = durationInfo.value;
+    update.expires_at = computeExpiresAt(durationInfo.value, null, ban.created_at);
+  }
+
+  // an explicit expiry wins over the duration, same as on create;
+  // duration is rewritten to match so the row and update_ban stay consistent
+  if (expires_at) {
+    const nextExpiresAt = computeExpiresAt(null, expires_at);
+    const nextDuration = nextExpiresAt && durationBetween(ban.created_at, nextExpiresAt);
+    if (!nextDuration) return { error: "INVALID_EXPIRES_AT" };
+    update.expires_at = nextExpiresAt;
+    update.duration = nextDuration;
+  }
+
+  if (reason !== undefined) {
+    const cleaned = String(reason || "").trim();
+    if (!cleaned) return { error: "INVALID_REASON" };
+    update.reason = cleaned;
+  }
+
+  if (category !== undefined) {
+    const cleaned = String(category || "").toLowerCase();
+    if (!BAN_CATEGORIES.includes(cleaned)) return { error: "INVALID_CATEGORY" };
+    update.category = cleaned;
+  }
+
+  if (identifiers !== undefined || add_identifiers !== undefined) {
+    if (identifiers !== undefined && !Array.isArray(identifiers)) return { error: "INVALID_IDENTIFIERS" };
+    const base = identifiers !== undefined ? identifiers : ban.identifiers || [];
+    update.identifiers = normalizeIdentifiers([...base, ...normalizeIdentifiers(add_identifiers)]);
+  }
+
+  const changes = {};
+  for (const [field, to] of Object.entries(update)) {
+    const from = ban[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return { changes };
+}
+
+/* ===== BAN NETWORK ===== */
+// anonymous, stable reference so staff can talk about the same pool ban
+export function networkBanRef(ban) {
+  const hash = crypto.createHash("sha256").update(`${ban.license}:${ban.ban_id}`).digest("hex");
+  return "NET-" + hash.slice(0, 16).toUpperCase();
+}
+
+export function receivesNetworkMatches(settings) {
+  return settings.share_enabled && settings.share_categories.length > 0 && settings.policy !== "ignore";
+}
+
+// ban_network_settings rows -> Map<license_key, share_categories> of licenses that share something
+export function sharerCategories(rows) {
+  return new Map(
+    rows
+      .filter((x) => Array.isArray(x.share_categories) && x.share_categories.length)
+      .map((x) => [x.license_key, x.share_categories])
+  );
+}
+
+// Pool bans matching a player -> what ban/check reports to `settings.license_key`.
+// Only active bans from other licenses, in categories their owner shares, count;
+// matches never name the originating license.
+export function networkMatches(bans, categoriesByLicense, settings, now = Date.now()) {
+  const matches = bans
+    .filter((b) => b.license !== settings.license_key && banStateOf(b, now) === "active")
+    .filter((b) => categoriesByLicense.get(b.license)?.includes(b.category || "other"))
+    .map((b) => ({
+      ref: networkBanRef(b),
+      category: b.category || "other",
+      created_at: b.created_at,
+      expires_at: b.expires_at || null,
+      permanent: !b.expires_at,
+    }));
+
+  return {
+    policy: settings.policy,
+    action: matches.length ? settings.policy : null,
+    matches,
+  };
+}
@@ -0,0 +1,92 @@
+import crypto from "crypto";
+
+/* ================= BLACKLISTS ================= */
+/**
+ * Entry parsing and the per-list delivery shape of blacklist_entries (see
+ * BLACKLISTS in index.js for the tables and routes).
+ */
+export const BLACKLIST_LISTS = ["vehicle", "weapon", "prop", "ped"];
+
+// Jenkins one-at-a-time, the hash GTA uses for model/weapon names
+export function joaat(str) {
+  let h = 0;
+  for (const ch of String(str).toLowerCase()) {
+    h = (h + ch.charCodeAt(0)) >>> 0;
+    h = (h + (h << 10)) >>> 0;
+    h = (h ^ (h >>> 6)) >>> 0;
+  }
+  h = (h + (h << 3)) >>> 0;
+  h = (h ^ (h >>> 11)) >>> 0;
+  h = (h + (h << 15)) >>> 0;
+  return h | 0;
+}
+
+// -> { value, hash } or null when the input is not a name, hash or wildcard
+export function parseBlacklistValue(raw) {
+  const v = String(raw ?? "").trim().toLowerCase();
+
+  let n = null;
+  if (/^0x[0-9a-f]{1,8}$/.test(v)) n = parseInt(v, 16);
+  else if (/^-?\d{1,10}$/.test(v)) n = Number(v);
+
+  if (n !== null) {
+    if (n < -0x80000000 || n > 0xffffffff) return null;
+    return { value: "0x" + (n >>> 0).toString(16).toUpperCase().padStart(8, "0"), hash: n | 0 };
+  }
+
+  if (/^[a-z0-9_*]{1,64}$/.test(v) && v.includes("*")) {
+    // "*" or "*_*" would match (nearly) everything
+    return /[a-z0-9]/.test(v) ? { value: v, hash: null } : null;
+  }
+  if (/^[a-z0-9_]{1,64}$/.test(v)) return { value: v, hash: joaat(v) };
+  return null;
+}
+
+// Accepts an array or newline/comma separated text
+export function splitImport(entries) {
+  const items = Array.isArray(entries) ? entries : String(entries || "").split(/[\r\n,]+/);
+  return items.map((x) => String(x).trim()).filter(Boolean);
+}
+
+// Import lines -> { rows: Map<value, row>, invalid: [line] }. Rows are keyed by the
+// normalized value, so "Adder" and "adder" import once; `fields` is merged into every row.
+export function parseBlacklistImport(items, fields = {}) {
+  const rows = new Map();
+  const invalid = [];
+  for (const item of items) {
+    const parsed = parseBlacklistValue(item);
+    if (!parsed) invalid.push(item);
+    else rows.set(parsed.value, { ...fields, ...parsed });
+  }
+  return { rows, invalid };
+}
+
+// Delivery shape for the resource: per list { punishment, hashes, wildcards, names } + hash of it all.
+// entries: blacklist_entries rows (list, value, hash), settings: blacklist_settings rows (list, punishment)
+export function blacklistDelivery(entries, settings) {
+  const lists = {};
+  for (const list of BLACKLIST_LISTS) {
+    const punishment = settings.find((x) => x.list === list)?.punishment || null;
+    lists[list] = { punishment, hashes: [], wildcards: [], names: [] };
+  }
+
+  for (const e of entries) {
+    const target = lists[e.list];
+    if (!target) continue;
+    if (e.hash === null) target.wildcards.push(e.value);
+    else {
+      target.hashes.push(e.hash);
+      if (!e.value.startsWith("0x")) target.names.push(e.value);
+    }
+  }
+
+  for (const list of BLACKLIST_LISTS) {
+    // "adder" and "0xB779A091" are the same model
+    lists[list].hashes = [...new Set(lists[list].hashes)].sort((a, b) => a - b);
+    lists[list].wildcards.sort();
+    lists[list].names.sort();
+  }
+
+  const hash = crypto.createHash("sha256").update(JSON.stringify(lists)).digest("hex");
+  return { hash, lists };
+}
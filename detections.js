@@ -0,0 +1,168 @@
+import { DETECTION_KEYS } from "./plans.js";
+
+/* ================= DETECTION SETTINGS ================= */
+/**
+ * Schema, defaults, presets, merging and diffing of detection_settings.config
+ * (see DETECTION SETTINGS in index.js for the tables, versions and routes).
+ */
+export const PUNISHMENTS = ["log", "kick", "ban"];
+
+// Validators return an error message, or null when the value is fine
+const isBool = (v) => (typeof v === "boolean" ? null : "must be true or false");
+const oneOf = (list) => (v) => (list.includes(v) ? null : `must be one of: ${list.join(", ")}`);
+const numberIn = (min, max, integer = false) => (v) =>
+  typeof v === "number" && Number.isFinite(v) && v >= min && v <= max && (!integer || Number.isInteger(v))
+    ? null
+    : `must be ${integer ? "an integer" : "a number"} between ${min} and ${max}`;
+const intList = (min, max, maxItems) => (v) => {
+  if (!Array.isArray(v)) return "must be an array";
+  if (v.length > maxItems) return `must have at most ${maxItems} entries`;
+  const bad = v.findIndex((x) => !Number.isInteger(x) || x < min || x > max);
+  return bad === -1 ? null : `[${bad}] must be an integer between ${min} and ${max}`;
+};
+
+export const DETECTION_SCHEMA = {
+  noclip: {},
+  speed: { max_speed: numberIn(1, 1000) },                       // m/s
+  explosions: { whitelist: intList(0, 100, 100) },               // GTA explosion type ids
+  vehicleSpam: { max_per_minute: numberIn(1, 120, true) },
+  blacklistedVehicle: {},
+  godmode: {},
+};
+const DETECTION_COMMON_FIELDS = { enabled: isBool, punishment: oneOf(PUNISHMENTS) };
+
+export const DETECTION_DEFAULTS = {
+  noclip: { enabled: true, punishment: "ban" },
+  speed: { enabled: true, punishment: "kick", max_speed: 120 },
+  explosions: { enabled: true, punishment: "ban", whitelist: [] },
+  vehicleSpam: { enabled: true, punishment: "kick", max_per_minute: 10 },
+  blacklistedVehicle: { enabled: true, punishment: "kick" },
+  godmode: { enabled: true, punishment: "ban" },
+};
+
+// Returns { field, message } for the first problem, or null
+export function validateDetectionPatch(patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    return { field: "settings", message: "must be an object" };
+  }
+
+  for (const [key, section] of Object.entries(patch)) {
+    if (!Object.hasOwn(DETECTION_SCHEMA, key)) return { field: key, message: "unknown detection" };
+    if (!section || typeof section !== "object" || Array.isArray(section)) {
+      return { field: key, message: "must be an object" };
+    }
+
+    const fields = { ...DETECTION_COMMON_FIELDS, ...DETECTION_SCHEMA[key] };
+    for (const [field, value] of Object.entries(section)) {
+      if (!Object.hasOwn(fields, field)) return { field: `${key}.${field}`, message: "unknown field" };
+      const message = fields[field](value);
+      if (message) return { field: `${key}.${field}`, message };
+    }
+  }
+  return null;
+}
+
+export function mergeDetectionConfig(base, patch) {
+  const out = {};
+  for (const key of DETECTION_KEYS) out[key] = { ...base[key], ...(patch?.[key] || {}) };
+  return out;
+}
+
+export function detectionConfigOf(row) {
+  if (row?.config) return mergeDetectionConfig(DETECTION_DEFAULTS, row.config);
+
+  const legacy = {};
+  for (const key of DETECTION_KEYS) {
+    if (typeof row?.[key] === "boolean") legacy[key] = { enabled: row[key] };
+  }
+  return mergeDetectionConfig(DETECTION_DEFAULTS, legacy);
+}
+
+// The boolean columns older resources still read
+export function legacyDetectionColumns(config) {
+  const columns = {};
+  for (const key of DETECTION_KEYS) columns[key] = config[key].enabled;
+  return columns;
+}
+
+// First detection in `patch` the plan doesn't include, or undefined
+export function lockedDetection(patch, entitlements) {
+  return Object.keys(patch).find((key) => !entitlements.detections.includes(key));
+}
+
+// Detections outside the plan are always served as off
+export function withinPlan(config, entitlements) {
+  const out = mergeDetectionConfig(config, {});
+  for (const key of DETECTION_KEYS) {
+    if (!entitlements.detections.includes(key)) out[key].enabled = false;
+  }
+  return out;
+}
+
+/* ===== PRESETS AND VERSIONS ===== */
+// GhostGuard-provided starting points; applied like any other edit
+export const DETECTION_PRESETS = {
+  strict: {
+    label: "Strict",
+    config: {
+      noclip: { enabled: true, punishment: "ban" },
+      speed: { enabled: true, punishment: "ban", max_speed: 90 },
+      explosions: { enabled: true, punishment: "ban", whitelist: [] },
+      vehicleSpam: { enabled: true, punishment: "ban", max_per_minute: 5 },
+      blacklistedVehicle: { enabled: true, punishment: "ban" },
+      godmode: { enabled: true, punishment: "ban" },
+    },
+  },
+  balanced: {
+    label: "Balanced",
+    config: DETECTION_DEFAULTS,
+  },
+  roleplay: {
+    label: "Roleplay-friendly",
+    config: {
+      noclip: { enabled: true, punishment: "kick" },
+      speed: { enabled: true, punishment: "log", max_speed: 200 },
+      explosions: { enabled: true, punishment: "kick", whitelist: [0, 1, 2, 3, 5, 6, 7, 8, 9] },
+      vehicleSpam: { enabled: true, punishment: "kick", max_per_minute: 20 },
+      blacklistedVehicle: { enabled: true, punishment: "log" },
+      godmode: { enabled: true, punishment: "kick" },
+    },
+  },
+};
+
+// preset names come from requests: "constructor" must not count
+export function hasDetectionPreset(name) {
+  return typeof name === "string" && Object.hasOwn(DETECTION_PRESETS, name);
+}
+
+export function detectionPresets() {
+  return Object.entries(DETECTION_PRESETS).map(([name, p]) => ({
+    name,
+    label: p.label,
+    config: mergeDetectionConfig(DETECTION_DEFAULTS, p.config),
+  }));
+}
+
+// A preset applied over `before`: detections outside the plan keep their current settings
+export function presetConfig(name, before, entitlements) {
+  const config = mergeDetectionConfig(DETECTION_DEFAULTS, DETECTION_PRESETS[name].config);
+  for (const key of DETECTION_KEYS) {
+    if (!entitlements.detections.includes(key)) config[key] = before[key];
+  }
+  return config;
+}
+
+// Field-level changes: [{ field: "speed.max_speed", from, to }]
+export function detectionConfigDiff(from, to) {
+  const changes = [];
+  for (const key of DETECTION_KEYS) {
+    const a = from?.[key] || {};
+    const b = to?.[key] || {};
+    for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+        changes.push({ field: `${key}.${field}`, from: a[field] ?? null, to: b[field] ?? null });
+      }
+    }
+  }
+  return changes;
+}
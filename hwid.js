@@ -0,0 +1,35 @@
+/* ================= HWID BINDING ================= */
+/**
+ * Self-service HWID reset limits (see HWID BINDING in index.js for the
+ * history tables and the reset itself). `now` is a parameter only so tests
+ * can pin the clock.
+ */
+
+// quotas count from the first of the month, UTC
+export function hwidMonthStart(now = Date.now()) {
+  const monthStart = new Date(now);
+  monthStart.setUTCDate(1);
+  monthStart.setUTCHours(0, 0, 0, 0);
+  return monthStart;
+}
+
+// Cooldown + monthly quota. historyCount: customer resets in license_hwid_history since hwidMonthStart.
+export function hwidResetAllowance(lic, historyCount, { cooldownMs, monthlyQuota, now = Date.now() }) {
+  const lastReset = lic.hwid_reset_at ? new Date(lic.hwid_reset_at).getTime() : 0;
+  // a reset from before history was recorded only left hwid_reset_at behind
+  const used = Math.max(historyCount || 0, lastReset >= hwidMonthStart(now).getTime() ? 1 : 0);
+  const availableAt = lastReset ? lastReset + cooldownMs : 0;
+
+  return {
+    resets_used_this_month: used,
+    resets_left_this_month: Math.max(0, monthlyQuota - used),
+    reset_available_at: availableAt > now ? new Date(availableAt).toISOString() : null,
+  };
+}
+
+// Why a self-service reset is refused right now, or null
+export function hwidResetError(allowance) {
+  if (allowance.reset_available_at) return "HWID_RESET_COOLDOWN";
+  if (!allowance.resets_left_this_month) return "HWID_RESET_QUOTA";
+  return null;
+}
@@ -2,6 +2,87 @@ import express from "express";
 import crypto from "crypto";
 import cors from "cors";
 import { createClient } from "@supabase/supabase-js";
+import {
+  WEBHOOK_EVENTS,
+  createWebhookDeliverer,
+  resolveWebhookTarget,
+  validateWebhookFields,
+  webhookBody,
+} from "./webhooks.js";
+import { checkSignatureHeaders, createNonceStore, safeEqualHex, signServerRequest } from "./serverauth.js";
+import { createActionQueue, createActionWaiters, longPollWaitMs, publicAction } from "./actions.js";
+import { createStreamBuffer, formatStreamEvent, sessionMatches, streamEventVisible } from "./stream.js";
+import {
+  BAN_CATEGORIES,
+  banActionPayload,
+  banEditChanges,
+  banHistory,
+  banStateOf,
+  computeExpiresAt,
+  escapeLike,
+  networkMatches,
+  normalizeDuration,
+  normalizeIdentifiers,
+  receivesNetworkMatches,
+  sharerCategories,
+  withBanState,
+} from "./bans.js";
+import {
+  DETECTION_DEFAULTS,
+  PUNISHMENTS,
+  detectionConfigDiff,
+  detectionConfigOf,
+  detectionPresets,
+  hasDetectionPreset,
+  legacyDetectionColumns,
+  lockedDetection,
+  mergeDetectionConfig,
+  presetConfig,
+  validateDetectionPatch,
+  withinPlan,
+} from "./detections.js";
+import { expiryFromDays, expiryNoticeMessage, renewedExpiry, toCsv, validateBatch } from "./lifecycle.js";
+import {
+  DEFAULT_PLANS,
+  DETECTION_KEYS,
+  entitlementsOf,
+  hasPlan,
+  planCatalogue,
+  validatePlanLimits,
+} from "./plans.js";
+import { createAbuseTracker, levelsUpTo } from "./abuse.js";
+import { hwidMonthStart, hwidResetAllowance, hwidResetError } from "./hwid.js";
+import { leaseFlagFields, leasePayload, leaseTtlFor, revocationPayload, toggleLeaseFields } from "./leases.js";
+import { activeKidOf, loadLicenseKeys, publicKeyInfo, signLicensePayload } from "./licensesigning.js";
+import { createAuthLocks } from "./lockout.js";
+import { base32Encode, generateRecoveryCodes, hashRecoveryCode, totpUri, verifyTotp } from "./totp.js";
+import { checkPasswordPolicy, hashPassword, verifyPassword } from "./passwords.js";
+import {
+  isSessionLive,
+  parseRefreshToken,
+  refreshTokenState,
+  signAccessToken,
+  unauthorizedBody,
+  verifyAccessToken,
+} from "./sessions.js";
+import { auditActionPattern, auditActor, auditDiff, auditPage } from "./audit.js";
+import {
+  BUILTIN_ROLES,
+  PERMISSIONS,
+  actionPermission,
+  isBuiltinRole,
+  knownPermissions,
+  normalizeRoleName,
+  validateCustomRole,
+} from "./roles.js";
+import {
+  BLACKLIST_LISTS,
+  blacklistDelivery,
+  parseBlacklistImport,
+  parseBlacklistValue,
+  splitImport,
+} from "./blacklists.js";
+import { APPEAL_MESSAGE_MAX, hashAppealToken, newAppealToken, publicAppeal, validateAppeal } from "./appeals.js";
 
 console.log("🔥 THIS IS THE REAL FILE 🔥");
 const app = express();
@@ -15,6 +96,67 @@ const SUPABASE_EVIDENCE_BUCKET = process.env.SUPABASE_EVIDENCE_BUCKET || "ban-ev
 
 const LICENSE_SECRET = process.env.LICENSE_SECRET || "change_me";
 const ADMIN_SECRET = process.env.ADMIN_SECRET || "";
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+
+// Ed25519 license signing (see LICENSE SIGNING below)
+// LICENSE_SIGNING_KEYS="kid1:<base64 pkcs8 der>,kid2:<base64 pkcs8 der>"
+// LICENSE_PUBLIC_KEYS="old_kid:<base64 spki der>"  (retired keys, still published)
+const LICENSE_SIGNING_KEYS = process.env.LICENSE_SIGNING_KEYS || "";
+const LICENSE_PUBLIC_KEYS = process.env.LICENSE_PUBLIC_KEYS || "";
+const LICENSE_ACTIVE_KID = process.env.LICENSE_ACTIVE_KID || "";
+
+// Offline grace leases (see LICENSE LEASES below)
+const LEASE_TTL_MS = Number(process.env.LEASE_TTL_MS || 72 * 60 * 60_000);
+const LEASE_TTL_RESTRICTED_MS = Number(process.env.LEASE_TTL_RESTRICTED_MS || 60 * 60_000);
+
+// Panel sessions (see SESSIONS below)
+const SESSION_SECRET = process.env.SESSION_SECRET || "";
+const ACCESS_TOKEN_TTL_MS = Number(process.env.ACCESS_TOKEN_TTL_MS || 15 * 60_000);
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_MS || 30 * 86_400_000);
+// the refresh token just rotated away stays usable this long (two tabs refreshing at once)
+const REFRESH_REUSE_GRACE_MS = Number(process.env.REFRESH_REUSE_GRACE_MS || 30_000);
+
+// Password hashing (see PASSWORDS below)
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH || 10);
+
+// Brute-force protection (see AUTH LOCKOUT below)
+const AUTH_WINDOW_MS = Number(process.env.AUTH_WINDOW_MS || 15 * 60_000);
+const LOGIN_IP_LIMIT = Number(process.env.LOGIN_IP_LIMIT || 20);
+const LOGIN_ACCOUNT_LIMIT = Number(process.env.LOGIN_ACCOUNT_LIMIT || 5);
+const VERIFY_IP_LIMIT = Number(process.env.VERIFY_IP_LIMIT || 10);
+const VERIFY_LICENSE_LIMIT = Number(process.env.VERIFY_LICENSE_LIMIT || 10);
+const VERIFY_RATE_PER_MIN = Number(process.env.VERIFY_RATE_PER_MIN || 60);
+const LOCKOUT_BASE_MS = Number(process.env.LOCKOUT_BASE_MS || 60_000);
+const LOCKOUT_MAX_MS = Number(process.env.LOCKOUT_MAX_MS || 60 * 60_000);
+const LOCKOUT_RESET_MS = Number(process.env.LOCKOUT_RESET_MS || 24 * 60 * 60_000);
+
+// HWID resets (see HWID BINDING below)
+const HWID_RESET_COOLDOWN_MS = Number(process.env.HWID_RESET_COOLDOWN_MS || 7 * 86_400_000);
+const HWID_RESET_MONTHLY_QUOTA = Number(process.env.HWID_RESET_MONTHLY_QUOTA || 2);
+
+// A server counts as online this long after its last heartbeat (see LIVE MEMORY below)
+const SERVER_ONLINE_WINDOW_MS = 30000;
+
+// License sharing detection (see LICENSE ABUSE below)
+const ABUSE_WINDOW_MS = Number(process.env.ABUSE_WINDOW_MS || 24 * 60 * 60_000);
+const ABUSE_FLAG_SCORE = Number(process.env.ABUSE_FLAG_SCORE || 40);
+const ABUSE_NOTIFY_SCORE = Number(process.env.ABUSE_NOTIFY_SCORE || 60);
+const ABUSE_SUSPEND_SCORE = Number(process.env.ABUSE_SUSPEND_SCORE || 90);
+const ABUSE_ACTIONS = (process.env.ABUSE_ACTIONS || "flag,notify").split(",").map((x) => x.trim());
+const ABUSE_SUSPEND_STATUS = process.env.ABUSE_SUSPEND_STATUS || "SUSPENDED";
+const ABUSE_NOTIFY_WEBHOOK = process.env.ABUSE_NOTIFY_WEBHOOK || "";
+
+// Plans (see LICENSE PLANS below)
+const DEFAULT_LICENSE_PLAN = process.env.DEFAULT_LICENSE_PLAN || "pro";
+
+// Expiry notices (see LICENSE LIFECYCLE below)
+const EXPIRY_NOTICE_WINDOW_DAYS = Number(process.env.EXPIRY_NOTICE_WINDOW_DAYS || 7);
+const EXPIRY_NOTICE_SCAN_MS = Number(process.env.EXPIRY_NOTICE_SCAN_MS || 60 * 60_000);
+const BULK_LICENSE_MAX = 500;
+
+// FiveM -> backend request signing (see SERVER AUTH below)
+const SERVER_AUTH_ENFORCE = process.env.SERVER_AUTH_ENFORCE !== "false";
+const SERVER_AUTH_MAX_SKEW_MS = Number(process.env.SERVER_AUTH_MAX_SKEW_MS || 60_000);
 
 
 // (valfritt) sätt din Netlify-domän här för striktare CORS
@@ -25,16 +167,40 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
   console.warn("⚠️ Missing SUPABASE env vars. API will fail on DB calls.");
 }
 
+if (!SESSION_SECRET) {
+  console.warn("⚠️ Missing SESSION_SECRET. Access tokens will not survive a restart (refresh still works).");
+}
+
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
 /* ================= MIDDLEWARE ================= */
-app.use(express.json({ limit: "15mb" }));
+// Behind a proxy (Render: 1 hop) set TRUST_PROXY_HOPS so req.ip is the client.
+// Unset means no trust: otherwise anyone can pick their own req.ip through
+// X-Forwarded-For and walk around the rate limits.
+app.set("trust proxy", process.env.TRUST_PROXY_HOPS ? Number(process.env.TRUST_PROXY_HOPS) : false);
+
+app.use(
+  express.json({
+    limit: "15mb",
+    // keep the exact bytes so server signatures can be verified
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  })
+);
 
 const corsOptions = {
   origin: DASHBOARD_ORIGIN ? [DASHBOARD_ORIGIN] : true,
   credentials: false,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-GG-License",
+    "X-GG-Timestamp",
+    "X-GG-Nonce",
+    "X-GG-Signature",
+  ],
 };
 
 app.use(cors(corsOptions));
@@ -61,48 +227,72 @@ function generateLicenseKey() {
   return `GG-${part()}-${part()}`;
 }
 
-function computeExpiresAt(duration, explicitExpiresAt) {
-  if (explicitExpiresAt) {
-    const parsed = new Date(explicitExpiresAt);
-    if (Number.isNaN(parsed.getTime())) return null;
-    return parsed.toISOString();
-  }
+// In-memory sliding window. Returns true when `key` exceeded `limit` hits in `windowMs`.
+const rateBuckets = {}; // { [bucket]: Map<key, number[]> }
+const rateWindows = {}; // { [bucket]: windowMs } for the sweep below
 
-  const raw = String(duration || "P").trim().toLowerCase();
-  if (raw === "p" || raw === "perm" || raw === "permanent") return null;
+function rateLimited(bucket, key, limit, windowMs) {
+  const now = Date.now();
+  rateWindows[bucket] = windowMs;
+  const hits = (rateBuckets[bucket] = rateBuckets[bucket] || new Map());
+  const recent = (hits.get(key) || []).filter((t) => now - t < windowMs);
 
-  const match = raw.match(/^(\d+)([mhd])$/);
-  if (!match) return null;
+  if (recent.length >= limit) {
+    hits.set(key, recent);
+    return true;
+  }
 
-  const amount = Number(match[1]);
-  const unit = match[2];
-  const ms = unit === "m" ? amount * 60_000 : unit === "h" ? amount * 3_600_000 : amount * 86_400_000;
-  return new Date(Date.now() + ms).toISOString();
+  recent.push(now);
+  hits.set(key, recent);
+  return false;
 }
 
-function normalizeDuration(duration) {
-  const raw = String(duration || "P").trim().toLowerCase();
-
-  if (raw === "p" || raw === "perm" || raw === "permanent") {
-    return { ok: true, value: "P" };
+// forget keys whose newest hit is outside the bucket's window
+setInterval(() => {
+  const now = Date.now();
+  for (const [bucket, hits] of Object.entries(rateBuckets)) {
+    for (const [key, times] of hits) {
+      if (!times.length || now - times[times.length - 1] >= rateWindows[bucket]) hits.delete(key);
+    }
   }
+}, 10 * 60_000).unref();
 
-  const match = raw.match(/^(\d+)([mhd])$/);
-  if (!match) return { ok: false, value: null };
-
-  const amount = Number(match[1]);
-  if (!Number.isFinite(amount) || amount <= 0) return { ok: false, value: null };
+/* ================= AUTH LOCKOUT ================= */
+/**
+ * Failed attempts are counted per scope (login_ip, login_account, verify_ip, ...)
+ * in a sliding window. Hitting the limit locks the key; each further lockout
+ * doubles the duration up to LOCKOUT_MAX_MS. The streak is forgotten after
+ * LOCKOUT_RESET_MS without failures or on a successful login.
+ *
+ * Account scopes are keyed by caller IP + account: keyed by account alone,
+ * anyone who knows a username could keep its owner locked out.
+ *
+ * Counting and lockout durations live in lockout.js.
+ */
+const authLocks = createAuthLocks({
+  windowMs: AUTH_WINDOW_MS,
+  baseMs: LOCKOUT_BASE_MS,
+  maxMs: LOCKOUT_MAX_MS,
+  resetMs: LOCKOUT_RESET_MS,
+});
 
-  return { ok: true, value: `${amount}${match[2]}` };
+// Sends 429 with Retry-After when any of the [scope, key] pairs is locked.
+// `error` is used for account scopes, TOO_MANY_ATTEMPTS for everything else.
+function rejectIfLocked(res, checks, body = { success: false }) {
+  for (const [scope, key, error] of checks) {
+    if (!key) continue;
+    const remaining = authLocks.remaining(scope, key);
+    if (!remaining) continue;
+
+    const retryAfter = Math.ceil(remaining / 1000);
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ ...body, error: error || "TOO_MANY_ATTEMPTS", retry_after: retryAfter });
+    return true;
+  }
+  return false;
 }
 
-function normalizeIdentifiers(value) {
-  if (!Array.isArray(value)) return [];
-  const cleaned = value
-    .map((x) => String(x || "").trim())
-    .filter(Boolean);
-  return [...new Set(cleaned)];
-}
+setInterval(() => authLocks.prune(), 10 * 60_000).unref();
 
 function extractDataUriParts(imageData) {
   const m = String(imageData || "").match(/^data:(image\/[a-zA-Z0-9.+-]+);base64,(.+)$/);
@@ -110,1077 +300,5405 @@ function extractDataUriParts(imageData) {
   return { mime: m[1], base64: m[2] };
 }
 
+/* ================= LICENSE SIGNING ================= */
+/**
+ * /api/license/verify signs its payload with Ed25519 so the FiveM resource only
+ * needs public keys (GET /api/license/keys). The payload carries the kid.
+ *
+ * Generate a key:
+ *   node -e "const c=require('crypto');const k=c.generateKeyPairSync('ed25519');console.log(k.privateKey.export({type:'pkcs8',format:'der'}).toString('base64'))"
+ *
+ * Rotation:
+ *   1. append the new key to LICENSE_SIGNING_KEYS, keep LICENSE_ACTIVE_KID on the old kid
+ *      -> both public keys are published, resources pick up the new one
+ *   2. set LICENSE_ACTIVE_KID to the new kid -> new payloads are signed with it
+ *   3. once every lease signed by the old key has expired, move the old key to
+ *      LICENSE_PUBLIC_KEYS (public part only), later drop it entirely
+ *
+ * Response fields: `signature` is always the legacy HMAC hex (what deployed
+ * resources check); with a signing key configured, `alg`, `kid` and
+ * `ed25519_signature` (base64) are added next to it.
+ *
+ * Without any Ed25519 key only the legacy HMAC (LICENSE_SECRET) is sent. Production
+ * refuses to start on the "change_me" default, with or without Ed25519 keys:
+ * older resources still check the HMAC, and a known secret lets anyone forge it.
+ *
+ * Key parsing and signing live in licensesigning.js.
+ */
+const licenseKeys = loadLicenseKeys(LICENSE_SIGNING_KEYS, LICENSE_PUBLIC_KEYS);
+const activeLicenseKid = activeKidOf(licenseKeys, LICENSE_ACTIVE_KID);
+
+if (IS_PRODUCTION && LICENSE_SECRET === "change_me") {
+  console.error("❌ LICENSE_SECRET is the default 'change_me'. Refusing to start in production.");
+  process.exit(1);
+}
+
+if (!activeLicenseKid) {
+  console.warn("⚠️ No LICENSE_SIGNING_KEYS set. License responses only carry the legacy HMAC signature.");
+}
+
+// Signature fields for an already serialized payload
+function signLicense(payload) {
+  return signLicensePayload(payload, { hmacSecret: LICENSE_SECRET, keys: licenseKeys, kid: activeLicenseKid });
+}
+
+/* ================= PASSWORDS ================= */
+/**
+ * Stored format: scrypt$<N>$<r>$<p>$<salt b64>$<hash b64>
+ * Rows still holding the old unsalted sha256 hex are accepted once and
+ * rewritten in the new format on that successful login.
+ *
+ * Hashing, verification and the password policy live in passwords.js.
+ */
+
+/* ================= TWO-FACTOR (TOTP) ================= */
+/**
+ * RFC 6238 TOTP (SHA-1, 30 s, 6 digits), one step of clock drift allowed.
+ * The same columns exist on customers and panel_admins:
+ *
+ * alter table public.customers add column if not exists totp_secret text;
+ * alter table public.customers add column if not exists totp_pending_secret text;
+ * alter table public.customers add column if not exists totp_enabled boolean not null default false;
+ * alter table public.customers add column if not exists totp_last_step bigint;
+ * alter table public.customers add column if not exists totp_recovery_hashes text[] not null default '{}';
+ * -- repeat the five lines above for public.panel_admins
+ * alter table public.licenses add column if not exists require_admin_2fa boolean not null default false;
+ * alter table public.panel_admins add column if not exists invite_2fa_at timestamptz;  -- invite already enrolled 2FA
+ *
+ * Code generation and checks live in totp.js.
+ */
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "GhostGuard";
+
+/**
+ * Checks { otp } or { recovery_code } from `body` for a customers/panel_admins row.
+ * Returns null when the second factor passed (or isn't enabled), otherwise
+ * "2FA_REQUIRED" / "2FA_INVALID". Consumes the TOTP step or recovery code.
+ */
+async function checkSecondFactor(table, row, body) {
+  if (!row.totp_enabled) return null;
+
+  const { otp, recovery_code } = body || {};
+  if (!otp && !recovery_code) return "2FA_REQUIRED";
+
+  if (otp) {
+    const step = verifyTotp(row.totp_secret, otp, row.totp_last_step);
+    if (step == null) return "2FA_INVALID";
+
+    await supabase.from(table).update({ totp_last_step: step }).eq("id", row.id);
+    return null;
+  }
+
+  const hash = hashRecoveryCode(recovery_code);
+  const remaining = (row.totp_recovery_hashes || []).filter((h) => h !== hash);
+  if (remaining.length === (row.totp_recovery_hashes || []).length) return "2FA_INVALID";
+
+  await supabase.from(table).update({ totp_recovery_hashes: remaining }).eq("id", row.id);
+  return null;
+}
+
+const TOTP_RESET = {
+  totp_secret: null,
+  totp_pending_secret: null,
+  totp_enabled: false,
+  totp_last_step: null,
+  totp_recovery_hashes: [],
+};
+
 /* ================= NEW: PANEL ADMINS HELPERS ================= */
 // Generates a one-time invite token (we store only hash in DB)
 function randomToken(bytes = 24) {
   return crypto.randomBytes(bytes).toString("hex");
 }
 
-// Existing dashboard uses token in req.body (customers.id).
-async function requireCustomer(req, res) {
-  const token = req.body?.token || null;
-  if (!token) {
-    res.status(401).json({ success: false, error: "UNAUTHORIZED" });
-    return null;
-  }
+/* ================= SESSIONS ================= */
+/**
+ * Login returns a short-lived access token plus a refresh token.
+ *
+ * access token:  "gga.<base64url payload>.<base64url hmac>", payload { sid, kind, sub, lic, exp }
+ * refresh token: "<session id>.<random>", only sha256(random) is stored and it rotates on every refresh.
+ *                The previous one is still accepted for REFRESH_REUSE_GRACE_MS; older ones end the session.
+ *
+ * Tokens from before sessions (customers.id / invite token) are rejected with
+ * RELOGIN_REQUIRED so the panel can send the user back to the login page.
+ *
+ * Every access token is checked against its session row, so revoking a
+ * session (logout, sign out everywhere, deactivated customer) is immediate.
+ *
+ * create table if not exists public.panel_sessions (
+ *   id uuid primary key default gen_random_uuid(),
+ *   subject_kind text not null,        -- customer | admin
+ *   subject_id text not null,
+ *   license_key text not null,
+ *   refresh_hash text not null,
+ *   user_agent text,
+ *   ip text,
+ *   created_at timestamptz not null default now(),
+ *   last_used_at timestamptz not null default now(),
+ *   expires_at timestamptz not null,
+ *   revoked_at timestamptz,
+ *   prev_refresh_hash text,
+ *   rotated_at timestamptz
+ * );
+ * create index if not exists idx_panel_sessions_subject on public.panel_sessions (subject_kind, subject_id);
+ *
+ * Token format and session state checks live in sessions.js.
+ */
+const ACCESS_TOKEN_KEY = SESSION_SECRET || randomToken(32);
+
+function accessTokenFor(session) {
+  return signAccessToken(ACCESS_TOKEN_KEY, {
+    sid: session.id,
+    kind: session.subject_kind,
+    sub: session.subject_id,
+    lic: session.license_key,
+    exp: Date.now() + ACCESS_TOKEN_TTL_MS,
+  });
+}
 
-  const { data: user, error } = await supabase
-    .from("customers")
-    .select("*")
-    .eq("id", token)
+function sessionTokens(session, refreshSecret) {
+  return {
+    access_token: accessTokenFor(session),
+    refresh_token: `${session.id}.${refreshSecret}`,
+    expires_in: Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
+    session_id: session.id,
+  };
+}
+
+// subject: { kind: "customer" | "admin", id, license_key }
+async function issueSession(req, subject) {
+  const refreshSecret = randomToken(32);
+
+  const { data: session, error } = await supabase
+    .from("panel_sessions")
+    .insert([
+      {
+        subject_kind: subject.kind,
+        subject_id: String(subject.id),
+        license_key: subject.license_key,
+        refresh_hash: sha256(refreshSecret),
+        user_agent: String(req.get("User-Agent") || "").slice(0, 300) || null,
+        ip: req.ip || null,
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString(),
+      },
+    ])
+    .select()
     .single();
 
-  if (error || !user) {
-    res.status(401).json({ success: false, error: "UNAUTHORIZED" });
+  if (error || !session) throw error || new Error("session insert failed");
+  return sessionTokens(session, refreshSecret);
+}
+
+async function revokeSessions(filter) {
+  let query = supabase
+    .from("panel_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .is("revoked_at", null);
+
+  for (const [column, value] of Object.entries(filter)) query = query.eq(column, String(value));
+
+  const { error } = await query;
+  if (error) console.error("session revoke error:", error);
+
+  // open live streams were authorized once at connect; end them with the session
+  endSessionStreams(filter, "revoked");
+}
+
+// Customer-only routes; token from body (dashboard) or Bearer header
+async function requireCustomer(req, res) {
+  const token = req.body?.token || bearerToken(req);
+  const identity = await resolvePanelIdentity(token);
+  if (!identity || identity.kind !== "customer") {
+    res.status(401).json(unauthorizedBody(token));
     return null;
   }
 
-  return user;
+  return identity.user;
 }
 
-// Allows both customers (token=customers.id) and panel admins (token=invite_token)
+// Resolves an access token to { kind: "customer" | "admin", license_key, user|admin, session }
 async function resolvePanelIdentity(token) {
-  if (!token) return null;
+  const payload = verifyAccessToken(ACCESS_TOKEN_KEY, token);
+  if (!payload) return null;
+
+  const { data: session } = await supabase
+    .from("panel_sessions")
+    .select("*")
+    .eq("id", payload.sid)
+    .single();
+
+  if (!isSessionLive(session)) return null;
+
+  if (session.subject_kind === "customer") {
+    const { data: user } = await supabase
+      .from("customers")
+      .select("*")
+      .eq("id", session.subject_id)
+      .eq("active", true)
+      .single();
 
-  // 1) customer session token (customers.id)
-  const { data: user } = await supabase.from("customers").select("*").eq("id", token).single();
-  if (user) return { kind: "customer", license_key: user.license_key, user };
+    if (user) return { kind: "customer", license_key: user.license_key, user, session };
+    return null;
+  }
 
-  // 2) panel admin invite token
-  const token_hash = sha256(token);
   const { data: admin } = await supabase
     .from("panel_admins")
     .select("*")
-    .eq("token_hash", token_hash)
+    .eq("id", session.subject_id)
     .eq("active", true)
     .single();
 
-  if (admin) return { kind: "admin", license_key: admin.license_key, admin };
+  if (admin) return { kind: "admin", license_key: admin.license_key, admin, session };
 
   return null;
 }
 
-/* ================= ROOT ================= */
-app.get("/", (req, res) => res.send("GhostGuard Backend OK"));
-app.get("/health", (req, res) => res.json({ ok: true, ts: Date.now() }));
-
-/* ================= LICENSE VERIFY ================= */
-app.post("/api/license/verify", async (req, res) => {
-  try {
-    const { license_key, hwid } = req.body || {};
-    if (!license_key) return res.status(400).json({ valid: false, reason: "MISSING_KEY" });
-
-    const { data: lic, error } = await supabase
-      .from("licenses")
-      .select("*")
-      .eq("license_key", license_key)
-      .single();
-
-    if (error || !lic) return res.json({ valid: false, reason: "NOT_FOUND" });
-    if (lic.status !== "ACTIVE") return res.json({ valid: false, reason: lic.status });
+// Panel admin credential: the invite token handed out by the owner
+async function findAdminByInvite(invite_token) {
+  const { data: admin } = await supabase
+    .from("panel_admins")
+    .select("*")
+    .eq("token_hash", sha256(invite_token))
+    .eq("active", true)
+    .single();
 
-    if (lic.expires_at && new Date(lic.expires_at) < new Date()) {
-      return res.json({ valid: false, reason: "EXPIRED" });
-    }
+  return admin || null;
+}
 
-    // HWID bind
-    if (lic.hwid) {
-      if (hwid && lic.hwid !== hwid) return res.json({ valid: false, reason: "HWID_MISMATCH" });
-    } else if (hwid) {
-      await supabase.from("licenses").update({ hwid }).eq("id", lic.id);
-    }
+function bearerToken(req) {
+  const bearer = req.headers.authorization || "";
+  return bearer.startsWith("Bearer ") ? bearer.slice(7) : null;
+}
 
-    await supabase.from("licenses").update({ last_seen: new Date().toISOString() }).eq("id", lic.id);
+// Panel routes that take the token as "Authorization: Bearer <token>".
+// With `permission`, also sends 403 unless the identity's role grants it.
+async function requirePanelBearer(req, res, permission = null) {
+  const identity = await resolvePanelIdentity(bearerToken(req));
+  if (!identity) {
+    res.status(401).json(unauthorizedBody(bearerToken(req)));
+    return null;
+  }
+  if (permission && !(await requirePermission(res, identity, permission))) return null;
+  return identity;
+}
 
-    const payload = JSON.stringify({
-      license_key,
-      status: lic.status,
-      expires_at: lic.expires_at,
-      issued_at: Date.now(),
-    });
+// Display name used for revoked_by / actor fields
+function panelActorName(identity) {
+  if (identity.kind === "customer") return identity.user.username || "owner";
+  return identity.admin.name || "admin";
+}
 
-    const signature = crypto.createHmac("sha256", LICENSE_SECRET).update(payload).digest("hex");
+/* ================= PANEL ROLES & PERMISSIONS ================= */
+/**
+ * The license owner (customer) always has every permission. Panel admins get
+ * the permissions of panel_admins.role, which is either a built-in role below
+ * or a custom role the owner defined in panel_roles.
+ *
+ * create table if not exists public.panel_roles (
+ *   id uuid primary key default gen_random_uuid(),
+ *   license_key text not null,
+ *   name text not null,
+ *   permissions text[] not null default '{}',
+ *   created_at timestamptz not null default now()
+ * );
+ * create unique index if not exists uq_panel_roles_name on public.panel_roles (license_key, name);
+ *
+ * The permission list, built-in roles and role name rules live in roles.js.
+ */
+async function permissionsFor(identity) {
+  if (identity.permissions) return identity.permissions;
 
-    return res.json({ valid: true, payload, signature });
-  } catch (err) {
-    console.error("verify error:", err);
-    return res.status(500).json({ valid: false, reason: "SERVER_ERROR" });
+  if (identity.kind === "customer") {
+    identity.permissions = [...PERMISSIONS];
+    return identity.permissions;
   }
-});
 
+  const role = normalizeRoleName(identity.admin.role);
+  if (isBuiltinRole(role)) {
+    identity.permissions = [...BUILTIN_ROLES[role]];
+    return identity.permissions;
+  }
 
+  const { data: custom } = await supabase
+    .from("panel_roles")
+    .select("permissions")
+    .eq("license_key", identity.license_key)
+    .eq("name", role)
+    .single();
 
-/* ================= BANS ================= */
+  // unknown role: no permissions rather than guessing
+  identity.permissions = knownPermissions(custom?.permissions);
+  return identity.permissions;
+}
 
-app.post("/api/server/ban", async (req,res)=>{
-  try{
-    const {
-      license_key,
-      player,
-      reason,
-      duration,
-      ban_id,
-      evidence_url,
-      banned_by,
-      identifiers,
-      created_at,
-      expires_at
-    } = req.body || {};
+// owner is not assignable; it belongs to the customer account only
+async function isAssignableRole(license_key, role) {
+  if (role === "owner") return false;
+  if (isBuiltinRole(role)) return true;
 
-    if(!license_key || !player) {
-      return res.status(400).json({success:false, error:"MISSING_FIELDS"});
-    }
+  const { data } = await supabase
+    .from("panel_roles")
+    .select("id")
+    .eq("license_key", license_key)
+    .eq("name", role)
+    .single();
 
-    const durationInfo = normalizeDuration(duration || "P");
-    if (!durationInfo.ok) {
-      return res.status(400).json({ success: false, error: "INVALID_DURATION" });
-    }
+  return !!data;
+}
 
-    const finalBanId = ban_id || ("GG-" + Date.now());
-    const finalDuration = durationInfo.value;
-    const finalCreatedAt = created_at ? new Date(created_at).toISOString() : new Date().toISOString();
-    const finalExpiresAt = computeExpiresAt(finalDuration, expires_at);
-    const finalIdentifiers = normalizeIdentifiers(identifiers);
+async function requirePermission(res, identity, permission) {
+  const permissions = await permissionsFor(identity);
+  if (permissions.includes(permission)) return true;
 
- const { error: insertError } = await supabase
-  .from("ac_bans")
-  .insert([
-    {
-      ban_id: finalBanId,
-      license: license_key,
-      player_name: player,
-      reason: reason || "No reason",
-      banned_by: banned_by || "GhostGuard",
-      created_at: new Date().toISOString()
-    }
-  ]);
-    
-if (insertError) {
-  console.error("ban insert error:", insertError);
-  return res.status(500).json({ success:false });
+  res.status(403).json({ success: false, error: "FORBIDDEN", missing: permission });
+  return false;
 }
 
-   
+/* ================= AUDIT LOG ================= */
+/**
+ * Append-only record of every panel and admin operation.
+ *
+ * create table if not exists public.audit_log (
+ *   id bigint generated always as identity primary key,
+ *   license_key text,                 -- null for global /admin/* operations
+ *   actor_kind text not null,         -- customer | admin | superadmin | system
+ *   actor_id text,
+ *   actor_name text,
+ *   action text not null,
+ *   target text,
+ *   diff jsonb,
+ *   ip text,
+ *   created_at timestamptz not null default now()
+ * );
+ * create index if not exists idx_audit_log_license on public.audit_log (license_key, created_at desc);
+ * revoke update, delete on public.audit_log from anon, authenticated;
+ *
+ * Actor and diff shapes live in audit.js.
+ */
+const SUPERADMIN_ACTOR = { kind: "superadmin", license_key: null };
 
-    res.json({success:true, ban_id: finalBanId});
-  }catch(e){
-    console.log(e);
-    res.status(500).json({success:false});
+// Never fails the calling request.
+async function recordAudit(req, identity, { action, license_key, target = null, before, after }) {
+  try {
+    const { error } = await supabase.from("audit_log").insert([
+      {
+        license_key: license_key !== undefined ? license_key : identity.license_key || null,
+        ...auditActor(identity),
+        action,
+        target: target == null ? null : String(target),
+        diff: auditDiff(before, after),
+        ip: req.ip || null,
+      },
+    ]);
+    if (error) console.error("audit insert error:", error);
+  } catch (e) {
+    console.error("audit insert error:", e);
   }
-});
+}
 
+// Filters (query string): action, actor_kind, actor_id, target, from, to, page, page_size
+async function queryAudit(license_key, q) {
+  const { page, pageSize, offset } = auditPage(q);
 
+  let query = supabase
+    .from("audit_log")
+    .select("*", { count: "exact" })
+    .order("created_at", { ascending: false })
+    .range(offset, offset + pageSize - 1);
 
+  if (license_key) query = query.eq("license_key", license_key);
+  if (q.action) query = query.like("action", auditActionPattern(q.action));
+  if (q.actor_kind) query = query.eq("actor_kind", q.actor_kind);
+  if (q.actor_id) query = query.eq("actor_id", q.actor_id);
+  if (q.target) query = query.eq("target", q.target);
+  if (q.from) query = query.gte("created_at", q.from);
+  if (q.to) query = query.lte("created_at", q.to);
 
-app.get("/api/server/bans/:license", async (req,res)=>{
-  try{
+  const { data, count, error } = await query;
+  if (error) throw error;
 
-    const { data } = await supabase
-      .from("ac_bans")
-      .select("*")
-      .eq("license", req.params.license)
-      .order("created_at", {ascending:false});
+  return { data: data || [], page, page_size: pageSize, total: count ?? null };
+}
 
-    res.json({
-      success: true,
-      bans: data
-    });
+/* ================= SERVER AUTH (FiveM -> backend) ================= */
+/**
+ * Every FiveM server -> backend call is signed with the license's server_secret.
+ *
+ * Headers:
+ *   X-GG-License:   license key
+ *   X-GG-Timestamp: unix time in ms
+ *   X-GG-Nonce:     random string, unique per request
+ *   X-GG-Signature: hex HMAC-SHA256(server_secret, `${timestamp}.${nonce}.${METHOD}.${path}.${rawBody}`)
+ *
+ * path is the request path incl. query string, rawBody is "" for GET.
+ *
+ * Signing, header and nonce checks live in serverauth.js.
+ *
+ * Required column:
+ *   alter table public.licenses add column if not exists server_secret text;
+ */
+const serverNonces = createNonceStore(SERVER_AUTH_MAX_SKEW_MS * 2);
 
-  }catch(e){
-    res.status(500).json({success:false});
-  }
-});
+function generateServerSecret() {
+  return randomToken(32);
+}
 
-app.post("/api/server/ban/check", async (req, res) => {
-  try {
-    const { license_key, identifiers } = req.body || {};
-    if (!license_key || !Array.isArray(identifiers)) {
-      return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
-    }
+// Verifies signature headers against the license's server_secret.
+// Returns the license row, or null after sending a 401 with a reason code.
+async function requireServerAuth(req, res, license_key) {
+  const reject = (error) => {
+    res.status(401).json({ success: false, error });
+    return null;
+  };
 
-    const identifierArray = normalizeIdentifiers(identifiers);
+  const headerLicense = req.get("X-GG-License");
+  const timestamp = req.get("X-GG-Timestamp");
+  const nonce = req.get("X-GG-Nonce");
+  const signature = req.get("X-GG-Signature");
 
-    const { data, error } = await supabase.rpc("find_active_ban", {
-      p_license_key: license_key,
-      p_identifiers: identifierArray,
-    });
+  if (!license_key) return reject("MISSING_LICENSE");
 
-    if (error) {
-      console.error("ban/check rpc error:", error);
-      return res.status(500).json({ success: false, error: "DB_ERROR" });
-    }
+  const signed = Boolean(headerLicense || timestamp || nonce || signature);
+  if (!signed && !SERVER_AUTH_ENFORCE) return { license_key };
 
-    const ban = Array.isArray(data) ? data[0] : null;
-    return res.json({ success: true, banned: !!ban, ban: ban || null });
-  } catch (e) {
-    console.error("ban/check error:", e);
-    return res.status(500).json({ success: false });
-  }
-});
+  const headerError = checkSignatureHeaders(
+    { license_key, headerLicense, timestamp, nonce, signature },
+    { maxSkewMs: SERVER_AUTH_MAX_SKEW_MS }
+  );
+  if (headerError) return reject(headerError);
 
+  const { data: lic } = await supabase
+    .from("licenses")
+    .select("*")
+    .eq("license_key", license_key)
+    .single();
 
-app.delete("/api/server/unban/:banId", async (req, res) => {
-  try {
-    const { banId } = req.params;
-    const bearer = req.headers.authorization || "";
-    const token = bearer.startsWith("Bearer ") ? bearer.slice(7) : null;
-    const identity = await resolvePanelIdentity(token);
+  if (!lic) return reject("LICENSE_NOT_FOUND");
+  if (!lic.server_secret) return reject("NO_SERVER_SECRET");
 
-    if (!identity) {
-      return res.status(401).json({ success: false, error: "UNAUTHORIZED" });
-    }
+  const expected = signServerRequest(lic.server_secret, {
+    timestamp,
+    nonce,
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody,
+  });
 
-    // 1️⃣ Hämta ban så vi vet license_key
-    const { data: ban } = await supabase
-      .from("ac_bans")
-      .select("*")
-      .eq("ban_id", banId)
-      .single();
+  if (!safeEqualHex(signature, expected)) return reject("INVALID_SIGNATURE");
+  if (!serverNonces.remember(license_key, nonce)) return reject("REPLAYED_NONCE");
 
-    if (!ban) {
-      return res.json({ success: false });
-    }
+  return lic;
+}
 
-    if (ban.license !== identity.license_key) {
-      return res.status(403).json({ success: false, error: "FORBIDDEN" });
+/* ================= ROOT ================= */
+app.get("/", (req, res) => res.send("GhostGuard Backend OK"));
+app.get("/health", (req, res) => res.json({ ok: true, ts: Date.now() }));
+
+/* ================= LICENSE PLANS ================= */
+/**
+ * A plan is a set of limits/features. Defaults live in DEFAULT_PLANS; rows in
+ * license_plans override them (edited via /admin/plans/save). A license may
+ * also carry plan_overrides for one-off deals. Licenses without a plan use
+ * DEFAULT_LICENSE_PLAN.
+ *
+ * create table if not exists public.license_plans (
+ *   name text primary key,
+ *   limits jsonb not null,
+ *   updated_at timestamptz not null default now()
+ * );
+ * alter table public.licenses add column if not exists plan text;
+ * alter table public.licenses add column if not exists plan_overrides jsonb;
+ *
+ * The default catalogue, limit checks and entitlement merging live in plans.js.
+ */
+const PLAN_CACHE_MS = 60_000;
+let planCache = { at: 0, plans: null };
+
+async function loadPlans() {
+  if (planCache.plans && Date.now() - planCache.at < PLAN_CACHE_MS) return planCache.plans;
+
+  let plans;
+  try {
+    const { data, error } = await supabase.from("license_plans").select("name, limits");
+    if (error) {
+      // defaults for now, but don't cache them over the real catalogue
+      console.error("license_plans load error:", error);
+      return planCatalogue([]);
+    }
+    plans = planCatalogue(data || []);
+  } catch (e) {
+    console.error("license_plans load error:", e);
+    return planCatalogue([]);
+  }
+
+  planCache = { at: Date.now(), plans };
+  return plans;
+}
+
+// entitlementsOf against the cached catalogue
+async function licenseEntitlements(lic) {
+  return entitlementsOf(await loadPlans(), lic, DEFAULT_LICENSE_PLAN);
+}
+
+async function entitlementsForKey(license_key) {
+  const { data: lic } = await supabase
+    .from("licenses")
+    .select("plan, plan_overrides")
+    .eq("license_key", license_key)
+    .single();
+
+  return licenseEntitlements(lic);
+}
+
+/* ================= LICENSE LIFECYCLE ================= */
+/**
+ * A scan every EXPIRY_NOTICE_SCAN_MS queues one notice per license and expiry
+ * date once it is within EXPIRY_NOTICE_WINDOW_DAYS. Renewing changes
+ * expires_at, so the next expiry gets its own notice; the old one is closed.
+ *
+ * create table if not exists public.license_notices (
+ *   id bigserial primary key,
+ *   license_key text not null,
+ *   kind text not null,              -- 'expiry'
+ *   expires_at timestamptz,
+ *   message text,                    -- unused for 'expiry', its text is built when read
+ *   created_at timestamptz not null default now(),
+ *   dismissed_at timestamptz,
+ *   unique (license_key, kind, expires_at)
+ * );
+ * alter table public.license_notices alter column message drop not null;
+ * alter table public.licenses add column if not exists batch_label text;
+ *
+ * Expiry math, notice text and CSV export live in lifecycle.js.
+ */
+async function scanExpiringLicenses() {
+  try {
+    const now = new Date();
+    const until = new Date(now.getTime() + EXPIRY_NOTICE_WINDOW_DAYS * 86400000);
+
+    const { data: expiring, error } = await supabase
+      .from("licenses")
+      .select("license_key, expires_at")
+      .eq("status", "ACTIVE")
+      .gt("expires_at", now.toISOString())
+      .lte("expires_at", until.toISOString());
+
+    if (error || !expiring?.length) return 0;
+
+    const rows = expiring.map((lic) => ({
+      license_key: lic.license_key,
+      kind: "expiry",
+      expires_at: lic.expires_at,
+    }));
+
+    const { error: insertError } = await supabase
+      .from("license_notices")
+      .upsert(rows, { onConflict: "license_key,kind,expires_at", ignoreDuplicates: true });
+
+    if (insertError) console.error("expiry notice insert error:", insertError);
+    return rows.length;
+  } catch (e) {
+    console.error("expiry scan error:", e);
+    return 0;
+  }
+}
+
+async function openNotices(license_keys) {
+  if (!license_keys.length) return [];
+  const { data } = await supabase
+    .from("license_notices")
+    .select("id, license_key, kind, expires_at, message, created_at")
+    .in("license_key", license_keys)
+    .is("dismissed_at", null)
+    .order("created_at", { ascending: false });
+
+  return (data || []).map((n) => (n.kind === "expiry" ? { ...n, message: expiryNoticeMessage(n.expires_at) } : n));
+}
+
+setTimeout(scanExpiringLicenses, 10_000).unref();
+setInterval(scanExpiringLicenses, EXPIRY_NOTICE_SCAN_MS).unref();
+
+// Owner hides a notice. body: { token, id }
+app.post("/customer/notices/dismiss", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { id } = req.body || {};
+    if (!id) return res.status(400).json({ success: false });
+
+    const { error } = await supabase
+      .from("license_notices")
+      .update({ dismissed_at: new Date().toISOString() })
+      .eq("id", id)
+      .eq("license_key", user.license_key)
+      .is("dismissed_at", null);
+
+    if (error) return res.status(500).json({ success: false });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("customer/notices/dismiss error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= LICENSE LEASES ================= */
+/**
+ * Each successful verify also returns a signed lease the resource can keep
+ * using while the backend is unreachable, until lease_expires_at. Leases never
+ * outlive the license itself and are renewed on every verify.
+ *
+ * Disabling a license via /admin/toggle-license sets lease_flag and lease_ttl_ms.
+ * Every verify returns the flag (with a signed revocation while disabled, so
+ * cached leases get dropped) together with flag_at, until the server confirms
+ * it through the signed /api/server/lease/ack. A verify alone never clears it:
+ * anyone holding the key can call verify. lease_ttl_ms keeps leases short even
+ * after re-enabling, until an admin resets it.
+ *
+ * alter table public.licenses add column if not exists lease_ttl_ms bigint;
+ * alter table public.licenses add column if not exists lease_flag text;
+ * alter table public.licenses add column if not exists lease_flag_at timestamptz;
+ * alter table public.licenses add column if not exists last_lease_expires_at timestamptz;
+ * alter table public.licenses add column if not exists hwid_reset_at timestamptz;  -- last self-service reset
+ *
+ * Payloads and the toggle-license columns are built in leases.js.
+ */
+function buildLease(lic, hwid, entitlements) {
+  const { payload, lease_expires_at } = leasePayload(lic, {
+    hwid,
+    entitlements,
+    ttlMs: leaseTtlFor(lic, LEASE_TTL_MS),
+    kid: activeLicenseKid,
+  });
+  return { payload, lease_expires_at, ...signLicense(payload) };
+}
+
+function buildRevocation(lic, reason) {
+  const payload = revocationPayload(lic, reason, { kid: activeLicenseKid });
+  return { payload, ...signLicense(payload) };
+}
+
+/* ================= HWID BINDING ================= */
+/**
+ * create table if not exists public.license_hwid_history (
+ *   id uuid primary key default gen_random_uuid(),
+ *   license_key text not null,
+ *   hwid text not null,
+ *   bound_at timestamptz not null default now(),
+ *   unbound_at timestamptz,
+ *   unbound_by text,
+ *   unbound_by_kind text,              -- customer | superadmin
+ *   reason text
+ * );
+ * create index if not exists idx_hwid_history_license on public.license_hwid_history (license_key, bound_at desc);
+ *
+ * create table if not exists public.license_hwid_mismatches (
+ *   id bigint generated always as identity primary key,
+ *   license_key text not null,
+ *   expected_hwid text,
+ *   presented_hwid text,
+ *   ip text,
+ *   created_at timestamptz not null default now()
+ * );
+ * create index if not exists idx_hwid_mismatches_license on public.license_hwid_mismatches (license_key, created_at desc);
+ *
+ * Reset cooldown and quota rules live in hwid.js.
+ */
+async function recordHwidBind(license_key, hwid) {
+  const { error } = await supabase.from("license_hwid_history").insert([{ license_key, hwid }]);
+  if (error) console.error("hwid history insert error:", error);
+}
+
+async function recordHwidMismatch(req, lic, presented) {
+  const { error } = await supabase.from("license_hwid_mismatches").insert([
+    { license_key: lic.license_key, expected_hwid: lic.hwid, presented_hwid: presented, ip: req.ip || null },
+  ]);
+  if (error) console.error("hwid mismatch insert error:", error);
+}
+
+// Unbinds the current HWID and closes its history row.
+// Only customer resets move hwid_reset_at, so admin resets never start the customer's cooldown.
+async function resetHwid(lic, { actor, actorKind, reason }) {
+  const now = new Date().toISOString();
+
+  const update = { hwid: null };
+  if (actorKind === "customer") update.hwid_reset_at = now;
+
+  const { error } = await supabase.from("licenses").update(update).eq("id", lic.id);
+  if (error) return false;
+
+  const unbound = { unbound_at: now, unbound_by: actor, unbound_by_kind: actorKind, reason: reason || null };
+  const { data: closed } = await supabase
+    .from("license_hwid_history")
+    .update(unbound)
+    .eq("license_key", lic.license_key)
+    .is("unbound_at", null)
+    .select("id");
+
+  // bound before history was recorded: backfill the row so the reset still counts
+  if (!closed?.length && lic.hwid) {
+    const { error: insertError } = await supabase
+      .from("license_hwid_history")
+      .insert([{ license_key: lic.license_key, hwid: lic.hwid, bound_at: now, ...unbound }]);
+    if (insertError) console.error("hwid history backfill error:", insertError);
+  }
+
+  return true;
+}
+
+// Cooldown + monthly quota for self-service resets
+async function hwidResetAllowanceFor(lic) {
+  const { count } = await supabase
+    .from("license_hwid_history")
+    .select("id", { count: "exact", head: true })
+    .eq("license_key", lic.license_key)
+    .eq("unbound_by_kind", "customer")
+    .gte("unbound_at", hwidMonthStart().toISOString());
+
+  return hwidResetAllowance(lic, count, {
+    cooldownMs: HWID_RESET_COOLDOWN_MS,
+    monthlyQuota: HWID_RESET_MONTHLY_QUOTA,
+  });
+}
+
+async function hwidHistory(license_key) {
+  const [{ data: history }, { data: mismatches }] = await Promise.all([
+    supabase
+      .from("license_hwid_history")
+      .select("*")
+      .eq("license_key", license_key)
+      .order("bound_at", { ascending: false }),
+    supabase
+      .from("license_hwid_mismatches")
+      .select("*")
+      .eq("license_key", license_key)
+      .order("created_at", { ascending: false })
+      .limit(100),
+  ]);
+  return { history: history || [], mismatches: mismatches || [] };
+}
+
+/* ================= LICENSE ABUSE ================= */
+/**
+ * Per license we remember, within ABUSE_WINDOW_MS, which IPs and HWIDs passed
+ * verify, which IPs were refused for presenting another HWID, and which IPs
+ * sent heartbeats. From that a 0-100 suspicion score is derived; crossing a
+ * threshold runs the enabled ABUSE_ACTIONS once per level:
+ *   flag    -> row in license_abuse_flags (shown in /admin/license-abuse)
+ *   notify  -> POST to ABUSE_NOTIFY_WEBHOOK
+ *   suspend -> license status = ABUSE_SUSPEND_STATUS
+ *
+ * HWID mismatches are the clearest sign of a shared key, but anyone holding the
+ * key can produce them, so they are counted per IP and can raise the score to
+ * the notify level at most; suspending still takes verified use.
+ *
+ * create table if not exists public.license_abuse_flags (
+ *   id bigint generated always as identity primary key,
+ *   license_key text not null,
+ *   score integer not null,
+ *   level text not null,               -- flag | notify | suspend
+ *   evidence jsonb,
+ *   created_at timestamptz not null default now()
+ * );
+ * create index if not exists idx_license_abuse_flags_license on public.license_abuse_flags (license_key, created_at desc);
+ *
+ * Tracking, scoring and levels live in abuse.js.
+ */
+const abuseTracker = createAbuseTracker({
+  windowMs: ABUSE_WINDOW_MS,
+  onlineWindowMs: SERVER_ONLINE_WINDOW_MS,
+  thresholds: { flag: ABUSE_FLAG_SCORE, notify: ABUSE_NOTIFY_SCORE, suspend: ABUSE_SUSPEND_SCORE },
+});
+const SYSTEM_ACTOR = { kind: "system", name: "abuse-detector", license_key: null };
+
+async function runAbuseActions(req, license_key, level, score, evidence) {
+  const levels = levelsUpTo(level);
+
+  if (ABUSE_ACTIONS.includes("flag")) {
+    const { error } = await supabase
+      .from("license_abuse_flags")
+      .insert([{ license_key, score, level, evidence }]);
+    if (error) console.error("abuse flag insert error:", error);
+  }
+
+  // not awaited: a slow receiver must not hold up license verification
+  if (levels.includes("notify") && ABUSE_ACTIONS.includes("notify") && ABUSE_NOTIFY_WEBHOOK) {
+    fetch(ABUSE_NOTIFY_WEBHOOK, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type: "license_abuse", license_key, score, level, evidence }),
+      signal: AbortSignal.timeout(5000),
+    }).catch((e) => console.error("abuse notify error:", e.message));
+  }
+
+  if (levels.includes("suspend") && ABUSE_ACTIONS.includes("suspend")) {
+    const { error } = await supabase
+      .from("licenses")
+      .update({
+        status: ABUSE_SUSPEND_STATUS,
+        lease_flag: ABUSE_SUSPEND_STATUS,
+        lease_flag_at: new Date().toISOString(),
+        lease_ttl_ms: LEASE_TTL_RESTRICTED_MS,
+      })
+      .eq("license_key", license_key);
+
+    if (error) console.error("abuse suspend error:", error);
+    else {
+      await recordAudit(req, SYSTEM_ACTOR, {
+        action: "system.suspend_license",
+        license_key,
+        target: license_key,
+        after: { status: ABUSE_SUSPEND_STATUS, score },
+      });
+    }
+  }
+}
+
+// Called from verify (ip + hwid, or a refused hwid with `mismatch`) and
+// heartbeats (ip as a running server). Never throws into the calling route.
+async function observeLicenseUse(req, license_key, { hwid = null, heartbeat = false, mismatch = false } = {}) {
+  try {
+    const { score, level, evidence, escalated } = abuseTracker.observe(license_key, {
+      ip: req.ip || null,
+      hwid,
+      heartbeat,
+      mismatch,
+    });
+
+    // only act when escalating
+    if (escalated) await runAbuseActions(req, license_key, level, score, evidence);
+  } catch (e) {
+    console.error("abuse observe error:", e);
+  }
+}
+
+/* ================= LICENSE VERIFY ================= */
+// Public keys for verifying license payloads offline
+app.get("/api/license/keys", (req, res) => {
+  const keys = [...licenseKeys.values()].map((k) => publicKeyInfo(k, activeLicenseKid));
+
+  res.set("Cache-Control", "public, max-age=300");
+  return res.json({ success: true, active_kid: activeLicenseKid, keys });
+});
+
+app.post("/api/license/verify", async (req, res) => {
+  try {
+    const { license_key, hwid } = req.body || {};
+    if (!license_key) return res.status(400).json({ valid: false, reason: "MISSING_KEY" });
+
+    if (rateLimited("verify", req.ip, VERIFY_RATE_PER_MIN, 60_000)) {
+      return res.status(429).json({ valid: false, reason: "RATE_LIMITED", error: "RATE_LIMITED" });
+    }
+
+    // HWID failures are counted per caller + key: counting them per key alone
+    // would let anyone who knows a key lock the real server out
+    const lockBody = { valid: false, reason: "LOCKED" };
+    const callerKey = `${req.ip}|${license_key}`;
+    if (
+      rejectIfLocked(
+        res,
+        [
+          ["verify_ip", req.ip],
+          ["verify_license", callerKey, "LICENSE_LOCKED"],
+        ],
+        lockBody
+      )
+    ) {
+      return;
+    }
+
+    const { data: lic, error } = await supabase
+      .from("licenses")
+      .select("*")
+      .eq("license_key", license_key)
+      .single();
+
+    if (error || !lic) {
+      // unknown keys are what guessing looks like
+      authLocks.fail("verify_ip", req.ip, VERIFY_IP_LIMIT);
+      return res.json({ valid: false, reason: "NOT_FOUND" });
+    }
+
+    if (lic.status !== "ACTIVE") {
+      return res.json({
+        valid: false,
+        reason: lic.status,
+        ...leaseFlagFields(lic),
+        revocation: buildRevocation(lic, lic.status),
+      });
+    }
+
+    if (lic.expires_at && new Date(lic.expires_at) < new Date()) {
+      return res.json({ valid: false, reason: "EXPIRED", revocation: buildRevocation(lic, "EXPIRED") });
+    }
+
+    // HWID bind: only over an empty hwid, so two servers verifying an unbound
+    // key at once can't both bind; the loser is checked against the winner
+    if (!lic.hwid && hwid) {
+      const { data: bound } = await supabase
+        .from("licenses")
+        .update({ hwid })
+        .eq("id", lic.id)
+        .is("hwid", null)
+        .select("id");
+
+      if (bound?.length) {
+        await recordHwidBind(license_key, hwid);
+      } else {
+        const { data: current } = await supabase.from("licenses").select("hwid").eq("id", lic.id).single();
+        lic.hwid = current?.hwid || null;
+      }
+    }
+
+    if (lic.hwid && hwid && lic.hwid !== hwid) {
+      authLocks.fail("verify_license", callerKey, VERIFY_LICENSE_LIMIT);
+      await recordHwidMismatch(req, lic, hwid);
+      await observeLicenseUse(req, license_key, { hwid, mismatch: true });
+      return res.json({ valid: false, reason: "HWID_MISMATCH" });
+    }
+
+    // only verifies that passed count as usage; mismatches above are
+    // recorded separately with a capped weight
+    await observeLicenseUse(req, license_key, { hwid });
+
+    const entitlements = await licenseEntitlements(lic);
+    const lease = buildLease(lic, hwid, entitlements);
+
+    await supabase
+      .from("licenses")
+      .update({
+        last_seen: new Date().toISOString(),
+        last_lease_expires_at: lease.lease_expires_at,
+      })
+      .eq("id", lic.id);
+
+    const payload = JSON.stringify({
+      license_key,
+      status: lic.status,
+      expires_at: lic.expires_at,
+      entitlements,
+      issued_at: Date.now(),
+      kid: activeLicenseKid,
+    });
+
+    return res.json({ valid: true, payload, ...signLicense(payload), lease, ...leaseFlagFields(lic) });
+  } catch (err) {
+    console.error("verify error:", err);
+    return res.status(500).json({ valid: false, reason: "SERVER_ERROR" });
+  }
+});
+
+// FiveM: confirm a lease flag was applied; must be signed even when
+// SERVER_AUTH_ENFORCE is off. flag_at pins the ack to the flag that was seen,
+// so a newer flag set in between stays pending.
+// body: { license_key, flag_at }
+app.post("/api/server/lease/ack", async (req, res) => {
+  try {
+    const { license_key, flag_at } = req.body || {};
+    if (!license_key || !flag_at) return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+
+    const lic = await requireServerAuth(req, res, license_key);
+    if (!lic) return;
+    if (!lic.server_secret) return res.status(401).json({ success: false, error: "MISSING_SIGNATURE" });
+
+    const { data, error } = await supabase
+      .from("licenses")
+      .update({ lease_flag: null })
+      .eq("id", lic.id)
+      .eq("lease_flag_at", flag_at)
+      .select("id");
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    return res.json({ success: true, cleared: !!data?.length });
+  } catch (e) {
+    console.error("server/lease/ack error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+
+
+/* ================= BANS ================= */
+/**
+ * Durations and derived ban state (active / expired / revoked) are in bans.js.
+ *
+ * Required columns / function (run in SQL editor):
+ *
+ * alter table public.ac_bans add column if not exists duration text not null default 'P';
+ * alter table public.ac_bans add column if not exists expires_at timestamptz;
+ * alter table public.ac_bans add column if not exists identifiers text[] not null default '{}';
+ * alter table public.ac_bans add column if not exists evidence_url text;
+ * alter table public.ac_bans add column if not exists category text not null default 'other';
+ * alter table public.ac_bans add column if not exists revoked_at timestamptz;
+ * alter table public.ac_bans add column if not exists revoked_by text;
+ * alter table public.ac_bans add column if not exists revoke_reason text;
+ * alter table public.ac_bans add column if not exists revision integer not null default 0;
+ * alter table public.ac_bans add column if not exists updated_at timestamptz;
+ * create index if not exists idx_ac_bans_identifiers on public.ac_bans using gin (identifiers);
+ *
+ * create table if not exists public.ac_ban_events (
+ *   id uuid primary key default gen_random_uuid(),
+ *   ban_id text not null,
+ *   license text not null,
+ *   action text not null,            -- created | updated | revoked | reinstated
+ *   actor text,
+ *   reason text,
+ *   changes jsonb,
+ *   created_at timestamptz not null default now()
+ * );
+ * create index if not exists idx_ac_ban_events_ban_id on public.ac_ban_events (ban_id);
+ *
+ * create or replace function public.find_active_ban(p_license_key text, p_identifiers text[])
+ * returns setof public.ac_bans language sql stable as $$
+ *   select * from public.ac_bans
+ *   where license = p_license_key
+ *     and identifiers && p_identifiers
+ *     and revoked_at is null
+ *     and (expires_at is null or expires_at > now())
+ *   order by created_at desc
+ *   limit 1;
+ * $$;
+ */
+
+// Append-only ban history. Never fails the calling request.
+async function recordBanEvent(ban, action, { actor = null, reason = null, changes = null } = {}) {
+  try {
+    const { error } = await supabase.from("ac_ban_events").insert([
+      { ban_id: ban.ban_id, license: ban.license, action, actor, reason, changes },
+    ]);
+    if (error) console.error("ban event insert error:", error);
+  } catch (e) {
+    console.error("ban event insert error:", e);
+  }
+}
+
+// Loads a ban and checks it belongs to the caller's license.
+// Sends 404/403 and returns null otherwise.
+async function loadOwnedBan(res, identity, banId) {
+  const { data: ban } = await supabase
+    .from("ac_bans")
+    .select("*")
+    .eq("ban_id", banId)
+    .single();
+
+  if (!ban) {
+    res.status(404).json({ success: false, error: "NOT_FOUND" });
+    return null;
+  }
+
+  if (ban.license !== identity.license_key) {
+    res.status(403).json({ success: false, error: "FORBIDDEN" });
+    return null;
+  }
+
+  return ban;
+}
+
+app.post("/api/server/ban", async (req,res)=>{
+  try{
+    const {
+      license_key,
+      player,
+      reason,
+      duration,
+      ban_id,
+      evidence_url,
+      banned_by,
+      identifiers,
+      category,
+      created_at,
+      expires_at
+    } = req.body || {};
+
+    if(!license_key || !player) {
+      return res.status(400).json({success:false, error:"MISSING_FIELDS"});
+    }
+
+    if (!(await requireServerAuth(req, res, license_key))) return;
+
+    const durationInfo = normalizeDuration(duration || "P");
+    if (!durationInfo.ok) {
+      return res.status(400).json({ success: false, error: "INVALID_DURATION" });
+    }
+
+    if (created_at && Number.isNaN(new Date(created_at).getTime())) {
+      return res.status(400).json({ success: false, error: "INVALID_CREATED_AT" });
+    }
+
+    const finalBanId = ban_id || ("GG-" + Date.now());
+    const finalDuration = durationInfo.value;
+    const finalCreatedAt = created_at ? new Date(created_at).toISOString() : new Date().toISOString();
+    const finalExpiresAt = computeExpiresAt(finalDuration, expires_at, finalCreatedAt);
+    const finalIdentifiers = normalizeIdentifiers(identifiers);
+
+    if (expires_at && !finalExpiresAt) {
+      return res.status(400).json({ success: false, error: "INVALID_EXPIRES_AT" });
+    }
+
+    const finalCategory = category ? String(category).toLowerCase() : "other";
+    if (!BAN_CATEGORIES.includes(finalCategory)) {
+      return res.status(400).json({ success: false, error: "INVALID_CATEGORY" });
+    }
+
+    const { error: insertError } = await supabase
+      .from("ac_bans")
+      .insert([
+        {
+          ban_id: finalBanId,
+          license: license_key,
+          player_name: player,
+          reason: reason || "No reason",
+          banned_by: banned_by || "GhostGuard",
+          duration: finalDuration,
+          expires_at: finalExpiresAt,
+          identifiers: finalIdentifiers,
+          evidence_url: evidence_url || null,
+          category: finalCategory,
+          created_at: finalCreatedAt
+        }
+      ]);
+
+    if (insertError) {
+      console.error("ban insert error:", insertError);
+      return res.status(500).json({ success:false });
+    }
+
+    await recordBanEvent(
+      { ban_id: finalBanId, license: license_key },
+      "created",
+      { actor: banned_by || "GhostGuard", reason: reason || "No reason" }
+    );
+
+    emitWebhookEvent(license_key, "ban.created", {
+      ban_id: finalBanId,
+      player: player,
+      reason: reason || "No reason",
+      banned_by: banned_by || "GhostGuard",
+      category: finalCategory,
+      duration: finalDuration,
+      expires_at: finalExpiresAt,
+    });
+
+    res.json({success:true, ban_id: finalBanId, expires_at: finalExpiresAt});
+  }catch(e){
+    console.log(e);
+    res.status(500).json({success:false});
+  }
+});
+
+
+
+
+// optional ?state=active|expired|revoked
+// evidence_url is only included for panel callers with evidence.view
+app.get("/api/server/bans/:license", async (req,res)=>{
+  try{
+    const identity = await resolvePanelIdentity(bearerToken(req));
+    const showEvidence =
+      !!identity &&
+      identity.license_key === req.params.license &&
+      (await permissionsFor(identity)).includes("evidence.view");
+
+    const { data } = await supabase
+      .from("ac_bans")
+      .select("*")
+      .eq("license", req.params.license)
+      .order("created_at", {ascending:false});
+
+    const state = req.query.state || null;
+    const bans = (data || [])
+      .map((b) => withBanState(b))
+      .filter((b) => !state || b.state === state)
+      .map((b) => (showEvidence ? b : { ...b, evidence_url: undefined }));
+
+    res.json({
+      success: true,
+      bans
+    });
+
+  }catch(e){
+    res.status(500).json({success:false});
+  }
+});
+
+app.post("/api/server/ban/check", async (req, res) => {
+  try {
+    const { license_key, identifiers } = req.body || {};
+    if (!license_key || !Array.isArray(identifiers)) {
+      return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+    }
+
+    // answers include pool matches from other licenses, so only the real server may ask
+    if (!(await requireServerAuth(req, res, license_key))) return;
+
+    const identifierArray = normalizeIdentifiers(identifiers);
+
+    const { data, error } = await supabase.rpc("find_active_ban", {
+      p_license_key: license_key,
+      p_identifiers: identifierArray,
+    });
+
+    if (error) {
+      console.error("ban/check rpc error:", error);
+      return res.status(500).json({ success: false, error: "DB_ERROR" });
+    }
+
+    // guard against an older find_active_ban that doesn't filter on expires_at
+    const ban = (Array.isArray(data) ? data : []).find((b) => banStateOf(b) === "active") || null;
+
+    // a local ban always wins; only ask the network when there is none
+    const network = ban
+      ? null
+      : await checkBanNetwork(license_key, identifierArray).catch((e) => {
+          console.error("ban network check error:", e);
+          return null;
+        });
+
+    return res.json({
+      success: true,
+      banned: !!ban || network?.action === "block",
+      flagged: network?.action === "flag",
+      source: ban ? "local" : network?.matches.length ? "network" : null,
+      ban: ban ? withBanState(ban) : null,
+      network,
+    });
+  } catch (e) {
+    console.error("ban/check error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+
+/* ================= BAN NETWORK (opt-in, shared across licenses) ================= */
+/**
+ * A license that shares publishes its active bans in the selected categories
+ * to the pool. Every license decides what a pool match means for it:
+ *   block  -> ban/check reports banned: true
+ *   flag   -> ban/check reports flagged: true, player may join
+ *   ignore -> pool is not consulted
+ * Only licenses that share themselves (share_enabled with at least one
+ * category) receive pool matches; the policy alone is not enough.
+ * Matches never reveal the originating license, server or staff member.
+ *
+ * The sharer list is cached for SHARERS_CACHE_MS; pool lookups go by the
+ * player's identifiers (idx_ac_bans_identifiers) and are capped at
+ * NETWORK_MATCH_LIMIT rows, so a check never scans every sharer's bans.
+ *
+ * create table if not exists public.ban_network_settings (
+ *   license_key text primary key,
+ *   share_enabled boolean not null default false,
+ *   share_categories text[] not null default '{}',
+ *   policy text not null default 'ignore',
+ *   updated_at timestamptz not null default now()
+ * );
+ */
+const BAN_NETWORK_POLICIES = ["block", "flag", "ignore"];
+
+const DEFAULT_BAN_NETWORK_SETTINGS = {
+  share_enabled: false,
+  share_categories: [],
+  policy: "ignore",
+};
+
+const SHARERS_CACHE_MS = 60_000;
+const NETWORK_MATCH_LIMIT = 200;
+let sharersCache = { at: 0, categoriesByLicense: null };
+
+// Map<license_key, share_categories> of every license currently sharing
+async function loadSharers() {
+  if (sharersCache.categoriesByLicense && Date.now() - sharersCache.at < SHARERS_CACHE_MS) {
+    return sharersCache.categoriesByLicense;
+  }
+
+  const { data, error } = await supabase
+    .from("ban_network_settings")
+    .select("license_key, share_categories")
+    .eq("share_enabled", true);
+
+  if (error) throw error;
+
+  const categoriesByLicense = sharerCategories(data || []);
+  sharersCache = { at: Date.now(), categoriesByLicense };
+  return categoriesByLicense;
+}
+
+async function getBanNetworkSettings(license_key) {
+  const { data } = await supabase
+    .from("ban_network_settings")
+    .select("*")
+    .eq("license_key", license_key)
+    .single();
+
+  return { license_key, ...DEFAULT_BAN_NETWORK_SETTINGS, ...(data || {}) };
+}
+
+async function checkBanNetwork(license_key, identifiers) {
+  const settings = await getBanNetworkSettings(license_key);
+  if (!receivesNetworkMatches(settings) || !identifiers.length) return null;
+
+  const categoriesByLicense = await loadSharers();
+  const others = [...categoriesByLicense.keys()].filter((k) => k !== license_key);
+  if (!others.length) return { policy: settings.policy, action: null, matches: [] };
+
+  const { data: bans, error } = await supabase
+    .from("ac_bans")
+    .select("*")
+    .overlaps("identifiers", identifiers)
+    .neq("license", license_key)
+    .is("revoked_at", null)
+    .order("created_at", { ascending: false })
+    .limit(NETWORK_MATCH_LIMIT);
+
+  if (error) throw error;
+
+  return networkMatches(bans || [], categoriesByLicense, settings);
+}
+
+// Owner reads their network settings
+app.post("/api/dashboard/ban-network", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const settings = await getBanNetworkSettings(user.license_key);
+    return res.json({
+      success: true,
+      settings,
+      receives_matches: receivesNetworkMatches(settings),
+      categories: BAN_CATEGORIES,
+      policies: BAN_NETWORK_POLICIES,
+    });
+  } catch (e) {
+    console.error("ban-network GET error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Owner updates network settings (all fields optional)
+// body: { token, share_enabled?, share_categories?, policy? }
+app.post("/api/dashboard/ban-network/update", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { share_enabled, share_categories, policy } = req.body || {};
+    const current = await getBanNetworkSettings(user.license_key);
+    const next = { ...current };
+
+    if (share_enabled !== undefined) {
+      if (typeof share_enabled !== "boolean") {
+        return res.status(400).json({ success: false, error: "INVALID_SHARE_ENABLED" });
+      }
+      next.share_enabled = share_enabled;
+    }
+
+    if (share_categories !== undefined) {
+      if (!Array.isArray(share_categories) || share_categories.some((c) => !BAN_CATEGORIES.includes(c))) {
+        return res.status(400).json({ success: false, error: "INVALID_CATEGORY" });
+      }
+      next.share_categories = [...new Set(share_categories)];
+    }
+
+    if (policy !== undefined) {
+      if (!BAN_NETWORK_POLICIES.includes(policy)) {
+        return res.status(400).json({ success: false, error: "INVALID_POLICY" });
+      }
+      next.policy = policy;
+    }
+
+    const { error } = await supabase.from("ban_network_settings").upsert({
+      license_key: user.license_key,
+      share_enabled: next.share_enabled,
+      share_categories: next.share_categories,
+      policy: next.policy,
+      updated_at: new Date().toISOString(),
+    });
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+    sharersCache = { at: 0, categoriesByLicense: null };
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "ban_network.update",
+      before: current,
+      after: next,
+    });
+
+    return res.json({ success: true, settings: next, receives_matches: receivesNetworkMatches(next) });
+  } catch (e) {
+    console.error("ban-network UPDATE error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Tells the FiveM server about a ban change. The ban row is already saved by then,
+// so a full action queue is reported back to the caller instead of failing the request.
+// -> { action_id } or { action_id: null, action_error: "QUEUE_FULL" }
+function pushBanAction(license_key, type, payload) {
+  const action = actionQueue.push(license_key, {
+    id: newActionId(),
+    type,
+    payload,
+    created_at: new Date().toISOString()
+  });
+  return action ? { action_id: action.id } : { action_id: null, action_error: "QUEUE_FULL" };
+}
+
+// Soft unban: the row stays, revoked_* records who/when/why.
+// Shared by the unban routes and accepted appeals.
+// Returns { ban, delivery } (delivery from pushBanAction) or null on DB error.
+async function revokeBan(ban, { actor, reason }) {
+  const revoke = {
+    revoked_at: new Date().toISOString(),
+    revoked_by: actor,
+    revoke_reason: reason || null,
+  };
+
+  const { error } = await supabase
+    .from("ac_bans")
+    .update(revoke)
+    .eq("ban_id", ban.ban_id);
+
+  if (error) {
+    console.error("unban update error:", error);
+    return null;
+  }
+
+  await recordBanEvent(ban, "revoked", { actor, reason: revoke.revoke_reason });
+
+  emitWebhookEvent(ban.license, "ban.revoked", {
+    ban_id: ban.ban_id,
+    player: ban.player_name,
+    revoked_by: actor,
+    reason: revoke.revoke_reason,
+  });
+
+  // SKICKA action till FiveM-servern
+  const delivery = pushBanAction(ban.license, "unban", { ban_id: ban.ban_id });
+
+  return { ban: withBanState({ ...ban, ...revoke }), delivery };
+}
+
+// body (optional): { reason }
+async function handleUnban(req, res) {
+  try {
+    const { banId } = req.params;
+    const identity = await requirePanelBearer(req, res, "ban.unban");
+    if (!identity) return;
+
+    const ban = await loadOwnedBan(res, identity, banId);
+    if (!ban) return;
+
+    if (ban.revoked_at) {
+      return res.status(409).json({ success: false, error: "ALREADY_REVOKED" });
+    }
+
+    const result = await revokeBan(ban, {
+      actor: panelActorName(identity),
+      reason: String(req.body?.reason || req.query.reason || "").trim() || null,
+    });
+
+    if (!result) return res.status(500).json({ success: false, error: "DB_ERROR" });
+    const revoked = result.ban;
+
+    await recordAudit(req, identity, {
+      action: "ban.revoke",
+      target: ban.ban_id,
+      before: { state: banStateOf(ban) },
+      after: { state: revoked.state, revoke_reason: revoked.revoke_reason },
+    });
+
+    return res.json({ success: true, ban: revoked, ...result.delivery });
+  } catch (e) {
+    console.log("UNBAN ERROR:", e);
+    return res.status(500).json({ success: false });
+  }
+}
+
+app.delete("/api/server/unban/:banId", handleUnban);
+
+// legacy route, same auth + behaviour as /api/server/unban/:banId
+app.delete("/api/server/ban/:banId", handleUnban);
+
+// Edit a ban from the panel. All fields optional:
+// body: { duration?, expires_at?, reason?, category?, identifiers?, add_identifiers?, note? }
+// duration is counted from the ban's created_at, "P" makes it permanent.
+// Edits are applied against the revision that was read: 409 REVISION_CONFLICT if
+// another edit landed in between (reload and retry).
+app.put("/api/server/ban/:banId", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res, "ban.edit");
+    if (!identity) return;
+
+    const ban = await loadOwnedBan(res, identity, req.params.banId);
+    if (!ban) return;
+
+    if (ban.revoked_at) {
+      return res.status(409).json({ success: false, error: "BAN_REVOKED" });
+    }
+
+    const { note } = req.body || {};
+    const edit = banEditChanges(ban, req.body || {});
+    if (edit.error) return res.status(400).json({ success: false, error: edit.error });
+
+    const { changes } = edit;
+    if (!Object.keys(changes).length) {
+      return res.json({ success: true, changed: false, ban: withBanState(ban) });
+    }
+
+    const revision = (ban.revision || 0) + 1;
+    const patch = {
+      ...Object.fromEntries(Object.entries(changes).map(([field, c]) => [field, c.to])),
+      revision,
+      updated_at: new Date().toISOString(),
+    };
+
+    const { data: saved, error } = await supabase
+      .from("ac_bans")
+      .update(patch)
+      .eq("ban_id", ban.ban_id)
+      .eq("revision", ban.revision || 0)
+      .select("ban_id");
+
+    if (error) {
+      console.error("ban update error:", error);
+      return res.status(500).json({ success: false, error: "DB_ERROR" });
+    }
+    if (!saved?.length) {
+      return res.status(409).json({ success: false, error: "REVISION_CONFLICT", revision: ban.revision || 0 });
+    }
+
+    await recordBanEvent(ban, "updated", {
+      actor: panelActorName(identity),
+      reason: String(note || "").trim() || null,
+      changes: { revision, ...changes },
+    });
+
+    const updated = withBanState({ ...ban, ...patch });
+
+    await recordAudit(req, identity, {
+      action: "ban.update",
+      target: ban.ban_id,
+      before: Object.fromEntries(Object.entries(changes).map(([f, c]) => [f, c.from])),
+      after: Object.fromEntries(Object.entries(changes).map(([f, c]) => [f, c.to])),
+    });
+
+    // lets the server refresh its in-game ban cache
+    const delivery = pushBanAction(ban.license, "update_ban", banActionPayload(updated));
+
+    return res.json({ success: true, changed: true, ban: updated, ...delivery });
+  } catch (e) {
+    console.error("ban update error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Reinstate a revoked ban (expiry is kept as it was)
+// body (optional): { reason }
+app.post("/api/server/ban/:banId/reinstate", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res, "ban.reinstate");
+    if (!identity) return;
+
+    const ban = await loadOwnedBan(res, identity, req.params.banId);
+    if (!ban) return;
+
+    if (!ban.revoked_at) {
+      return res.status(409).json({ success: false, error: "NOT_REVOKED" });
+    }
+
+    const cleared = { revoked_at: null, revoked_by: null, revoke_reason: null };
+    const { error } = await supabase
+      .from("ac_bans")
+      .update(cleared)
+      .eq("ban_id", ban.ban_id);
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordBanEvent(ban, "reinstated", {
+      actor: panelActorName(identity),
+      reason: String(req.body?.reason || "").trim() || null,
+    });
+
+    await recordAudit(req, identity, {
+      action: "ban.reinstate",
+      target: ban.ban_id,
+      before: { state: banStateOf(ban) },
+      after: { state: banStateOf({ ...ban, ...cleared }) },
+    });
+
+    const reinstated = withBanState({ ...ban, ...cleared });
+
+    // players already on the server are only caught if it learns about the ban again
+    const delivery =
+      reinstated.state === "active"
+        ? pushBanAction(ban.license, "ban", banActionPayload(reinstated))
+        : {};
+
+    return res.json({ success: true, ban: reinstated, ...delivery });
+  } catch (e) {
+    console.error("ban/reinstate error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Per-player ban history incl. revoked/expired bans and their events
+// query: ?identifier=license:xxx (repeatable) and/or ?player=name
+app.get("/api/server/bans/:license/history", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res, "ban.history");
+    if (!identity) return;
+
+    if (identity.license_key !== req.params.license) {
+      return res.status(403).json({ success: false, error: "FORBIDDEN" });
+    }
+
+    const identifiers = normalizeIdentifiers([].concat(req.query.identifier || []));
+    const player = String(req.query.player || "").trim();
+    if (!identifiers.length && !player) {
+      return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+    }
+
+    let query = supabase
+      .from("ac_bans")
+      .select("*")
+      .eq("license", req.params.license)
+      .order("created_at", { ascending: false });
+
+    query = identifiers.length
+      ? query.overlaps("identifiers", identifiers)
+      : query.ilike("player_name", escapeLike(player));
+
+    const { data: bans, error } = await query;
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    const banIds = (bans || []).map((b) => b.ban_id);
+    let events = [];
+    if (banIds.length) {
+      const { data } = await supabase
+        .from("ac_ban_events")
+        .select("*")
+        .in("ban_id", banIds)
+        .order("created_at", { ascending: true });
+      events = data || [];
+    }
+
+    const showEvidence = (await permissionsFor(identity)).includes("evidence.view");
+
+    return res.json({ success: true, bans: banHistory(bans || [], events, { showEvidence }) });
+  } catch (e) {
+    console.error("bans/history error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= BAN APPEALS ================= */
+/**
+ * Required tables (run in SQL editor):
+ *
+ * create table if not exists public.ban_appeals (
+ *   id uuid primary key default gen_random_uuid(),
+ *   ban_id text not null,
+ *   license text not null,
+ *   player_name text,
+ *   contact text,
+ *   message text not null,
+ *   status text not null default 'open',   -- open | accepted | denied
+ *   decided_by text,
+ *   decided_at timestamptz,
+ *   decision_note text,
+ *   created_at timestamptz not null default now()
+ * );
+ * create index if not exists idx_ban_appeals_license on public.ban_appeals (license, status);
+ * create unique index if not exists uq_ban_appeals_open on public.ban_appeals (ban_id) where status = 'open';
+ * alter table public.ban_appeals add column if not exists status_token_hash text;
+ *
+ * Submitting returns a status_token once; only its sha256 is stored. The
+ * public status route needs it, so knowing a ban ID is not enough to read
+ * the decision. Appeals from before the column existed have no token.
+ *
+ * create table if not exists public.ban_appeal_comments (
+ *   id uuid primary key default gen_random_uuid(),
+ *   appeal_id uuid not null references public.ban_appeals (id) on delete cascade,
+ *   author text not null,
+ *   body text not null,
+ *   created_at timestamptz not null default now()
+ * );
+ */
+const APPEAL_RATE_LIMIT = Number(process.env.APPEAL_RATE_LIMIT || 5);
+const APPEAL_RATE_WINDOW_MS = Number(process.env.APPEAL_RATE_WINDOW_MS || 60 * 60_000);
+
+async function loadOwnedAppeal(res, identity, id) {
+  const { data: appeal } = await supabase
+    .from("ban_appeals")
+    .select("*")
+    .eq("id", id)
+    .single();
+
+  if (!appeal) {
+    res.status(404).json({ success: false, error: "NOT_FOUND" });
+    return null;
+  }
+
+  if (appeal.license !== identity.license_key) {
+    res.status(403).json({ success: false, error: "FORBIDDEN" });
+    return null;
+  }
+
+  return appeal;
+}
+
+// Public: player submits an appeal for their ban
+// body: { ban_id, message, contact? }
+app.post("/api/appeals", async (req, res) => {
+  try {
+    const input = validateAppeal(req.body || {});
+    if (input.error) return res.status(400).json({ success: false, error: input.error });
+    const { ban_id } = input;
+
+    if (rateLimited("appeal", req.ip, APPEAL_RATE_LIMIT, APPEAL_RATE_WINDOW_MS)) {
+      return res.status(429).json({ success: false, error: "RATE_LIMITED" });
+    }
+
+    const { data: ban } = await supabase
+      .from("ac_bans")
+      .select("*")
+      .eq("ban_id", ban_id)
+      .single();
+
+    if (!ban) return res.status(404).json({ success: false, error: "BAN_NOT_FOUND" });
+    if (banStateOf(ban) !== "active") {
+      return res.status(409).json({ success: false, error: "BAN_NOT_ACTIVE" });
+    }
+
+    const { data: open } = await supabase
+      .from("ban_appeals")
+      .select("id")
+      .eq("ban_id", ban_id)
+      .eq("status", "open")
+      .limit(1);
+
+    if (open && open.length) {
+      return res.status(409).json({ success: false, error: "APPEAL_ALREADY_OPEN" });
+    }
+
+    const statusToken = newAppealToken();
+    const { data: appeal, error } = await supabase
+      .from("ban_appeals")
+      .insert([
+        {
+          ban_id,
+          license: ban.license,
+          player_name: ban.player_name,
+          contact: input.contact,
+          message: input.message,
+          status: "open",
+          status_token_hash: statusToken.hash,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      // unique index on open appeals catches concurrent submits
+      if (error.code === "23505") {
+        return res.status(409).json({ success: false, error: "APPEAL_ALREADY_OPEN" });
+      }
+      return res.status(500).json({ success: false, error: "DB_ERROR" });
+    }
+
+    return res.json({ success: true, appeal: publicAppeal(appeal), status_token: statusToken.token });
+  } catch (e) {
+    console.error("appeals submit error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Public: player checks the status of their appeal
+// query: ?token=<status_token from submit>
+app.get("/api/appeals/:banId", async (req, res) => {
+  try {
+    const token = String(req.query.token || "");
+    if (!token) return res.status(401).json({ success: false, error: "MISSING_TOKEN" });
+
+    const { data: appeal } = await supabase
+      .from("ban_appeals")
+      .select("*")
+      .eq("ban_id", req.params.banId)
+      .eq("status_token_hash", hashAppealToken(token))
+      .single();
+
+    // same answer for a wrong token and an unknown ban
+    if (!appeal) return res.status(404).json({ success: false, error: "NOT_FOUND" });
+
+    return res.json({ success: true, appeal: publicAppeal(appeal) });
+  } catch (e) {
+    console.error("appeals status error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Panel: list appeals for the license, optional ?status=open|accepted|denied
+app.get("/api/panel/appeals", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res, "appeals.view");
+    if (!identity) return;
+
+    let query = supabase
+      .from("ban_appeals")
+      .select("*")
+      .eq("license", identity.license_key)
+      .order("created_at", { ascending: false });
+
+    if (req.query.status) query = query.eq("status", req.query.status);
+
+    const { data, error } = await query;
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    return res.json({ success: true, data: data || [] });
+  } catch (e) {
+    console.error("panel/appeals list error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Panel: one appeal with its ban and comment thread
+app.get("/api/panel/appeals/:id", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res, "appeals.view");
+    if (!identity) return;
+
+    const appeal = await loadOwnedAppeal(res, identity, req.params.id);
+    if (!appeal) return;
+
+    const [{ data: ban }, { data: comments }] = await Promise.all([
+      supabase.from("ac_bans").select("*").eq("ban_id", appeal.ban_id).single(),
+      supabase
+        .from("ban_appeal_comments")
+        .select("*")
+        .eq("appeal_id", appeal.id)
+        .order("created_at", { ascending: true }),
+    ]);
+
+    const showEvidence = (await permissionsFor(identity)).includes("evidence.view");
+
+    return res.json({
+      success: true,
+      appeal,
+      ban: ban ? { ...withBanState(ban), evidence_url: showEvidence ? ban.evidence_url : undefined } : null,
+      comments: comments || [],
+    });
+  } catch (e) {
+    console.error("panel/appeals get error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Panel: add a staff comment
+// body: { body }
+app.post("/api/panel/appeals/:id/comment", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res, "appeals.comment");
+    if (!identity) return;
+
+    const text = String(req.body?.body || "").trim();
+    if (!text) return res.status(400).json({ success: false, error: "MISSING_BODY" });
+
+    const appeal = await loadOwnedAppeal(res, identity, req.params.id);
+    if (!appeal) return;
+
+    const { data, error } = await supabase
+      .from("ban_appeal_comments")
+      .insert([{ appeal_id: appeal.id, author: panelActorName(identity), body: text.slice(0, APPEAL_MESSAGE_MAX) }])
+      .select()
+      .single();
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, identity, { action: "appeal.comment", target: appeal.id });
+
+    return res.json({ success: true, comment: data });
+  } catch (e) {
+    console.error("panel/appeals comment error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Panel: accept or deny an open appeal. Accepting revokes the ban.
+// body: { note? }
+async function decideAppeal(req, res, status) {
+  try {
+    const identity = await requirePanelBearer(req, res, "appeals.decide");
+    if (!identity) return;
+
+    const appeal = await loadOwnedAppeal(res, identity, req.params.id);
+    if (!appeal) return;
+
+    if (appeal.status !== "open") {
+      return res.status(409).json({ success: false, error: "APPEAL_CLOSED" });
+    }
+
+    const actor = panelActorName(identity);
+    const note = String(req.body?.note || "").trim() || null;
+    let ban = null;
+    let delivery = {};
+
+    if (status === "accepted") {
+      const { data: current } = await supabase
+        .from("ac_bans")
+        .select("*")
+        .eq("ban_id", appeal.ban_id)
+        .single();
+
+      // ban may already be revoked/expired; the appeal still closes as accepted
+      if (current && !current.revoked_at) {
+        const result = await revokeBan(current, { actor, reason: note || `Appeal ${appeal.id} accepted` });
+        if (!result) return res.status(500).json({ success: false, error: "DB_ERROR" });
+        ({ ban, delivery } = result);
+      }
+    }
+
+    const decision = {
+      status,
+      decided_by: actor,
+      decided_at: new Date().toISOString(),
+      decision_note: note,
+    };
+
+    const { error } = await supabase
+      .from("ban_appeals")
+      .update(decision)
+      .eq("id", appeal.id)
+      .eq("status", "open");
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, identity, {
+      action: status === "accepted" ? "appeal.accept" : "appeal.deny",
+      target: appeal.id,
+      before: { status: appeal.status },
+      after: { status, decision_note: note },
+    });
+
+    return res.json({ success: true, appeal: { ...appeal, ...decision }, ban, ...delivery });
+  } catch (e) {
+    console.error("panel/appeals decide error:", e);
+    return res.status(500).json({ success: false });
+  }
+}
+
+app.post("/api/panel/appeals/:id/accept", (req, res) => decideAppeal(req, res, "accepted"));
+app.post("/api/panel/appeals/:id/deny", (req, res) => decideAppeal(req, res, "denied"));
+
+// ban skaen  everidec
+
+app.post("/api/server/ban/evidence", async (req, res) => {
+  try {
+    const { license_key, ban_id, image_data } = req.body || {};
+
+    if (!license_key || !ban_id || !image_data) {
+      return res.status(400).json({ success: false });
+    }
+
+    if (!(await requireServerAuth(req, res, license_key))) return;
+
+    const entitlements = await entitlementsForKey(license_key);
+    if (!entitlements.evidence_uploads) {
+      return res.status(403).json({ success: false, error: "PLAN_FEATURE_UNAVAILABLE", plan: entitlements.plan });
+    }
+
+    const parsed = extractDataUriParts(image_data);
+    if (!parsed) {
+      return res.status(400).json({ success: false });
+    }
+
+    const ext = parsed.mime.includes("png") ? "png" : "jpg";
+    const objectPath = `${license_key}/${ban_id}.${ext}`;
+    const binary = Buffer.from(parsed.base64, "base64");
+
+    const { error } = await supabase.storage
+      .from(SUPABASE_EVIDENCE_BUCKET)
+      .upload(objectPath, binary, {
+        contentType: parsed.mime,
+        upsert: true
+      });
+
+    if (error) {
+      console.log(error);
+      return res.status(500).json({ success:false });
+    }
+
+    const { data } = supabase.storage
+      .from(SUPABASE_EVIDENCE_BUCKET)
+      .getPublicUrl(objectPath);
+
+    await supabase
+      .from("ac_bans")
+      .update({ evidence_url: data.publicUrl })
+      .eq("ban_id", ban_id);
+
+    res.json({ success:true });
+
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({ success:false });
+  }
+});
+
+
+
+/* ================= LIVE MEMORY (status + players) ================= */
+const serverState = {}; // { [license_key]: { last_seen, players, uptime, version } }
+const livePlayersByLicense = {}; // { [license_key]: [{id,name,ping,identifiers?}] }
+
+/* ===== HEARTBEAT ===== */
+// Shared by /api/server/heartbeat and the long-poll channel
+async function applyHeartbeat(license_key, { players, version, uptime }) {
+  const previousPlayers = livePlayersByLicense[license_key];
+  livePlayersByLicense[license_key] = Array.isArray(players) ? players : [];
+
+  if (JSON.stringify(previousPlayers || []) !== JSON.stringify(livePlayersByLicense[license_key])) {
+    publishStreamEvent(license_key, "players", { players: livePlayersByLicense[license_key] });
+  }
+
+  serverState[license_key] = {
+    last_seen: Date.now(),
+    players: livePlayersByLicense[license_key].length,
+    uptime: Number(uptime || 0),
+    version: version || null,
+  };
+  updateOnlineState(license_key);
+
+  // Optional: persist status
+  try {
+    await supabase.from("server_status").upsert({
+      license_key,
+      online: true,
+      players: livePlayersByLicense[license_key].length,
+      version: version || null,
+      uptime: Number(uptime || 0),
+      last_seen: new Date().toISOString(),
+    });
+  } catch (dbErr) {
+    // ignore if table missing
+  }
+}
+
+app.post("/api/server/heartbeat", async (req, res) => {
+  try {
+    const { license_key, players, version, uptime } = req.body || {};
+    if (!license_key) return res.status(400).json({ success: false, error: "MISSING_LICENSE" });
+
+    if (!(await requireServerAuth(req, res, license_key))) return;
+
+    await applyHeartbeat(license_key, { players, version, uptime });
+    await observeLicenseUse(req, license_key, { heartbeat: true });
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("heartbeat error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+app.get("/api/server/players/:license", (req, res) => {
+  const license = req.params.license;
+  return res.json({ success: true, players: livePlayersByLicense[license] || [] });
+});
+
+app.get("/api/server/status/:license", (req, res) => {
+  const license = req.params.license;
+  const data = serverState[license];
+
+  if (!data) return res.json({ online: false, players: 0, uptime: 0, version: null });
+
+  const online = Date.now() - data.last_seen < SERVER_ONLINE_WINDOW_MS;
+
+  return res.json({
+    online,
+    players: data.players || 0,
+    uptime: data.uptime || 0,
+    version: data.version || null,
+    last_seen: data.last_seen,
+  });
+});
+
+/* ================= ACTION QUEUE (Dashboard -> FiveM poll) ================= */
+/**
+ * Action lifecycle:
+ *   pending   -> queued, not yet fetched by the server
+ *   delivered -> returned by a poll, waiting for ack
+ *   acked     -> server confirmed it received the action
+ *   succeeded / failed -> server reported the result
+ *   expired   -> never completed before expires_at
+ *
+ * Delivered actions that are not acked within ACTION_REDELIVER_MS are handed
+ * out again on the next poll, up to ACTION_MAX_ATTEMPTS times. The queue
+ * itself lives in actions.js.
+ */
+const ACTION_TTL_MS = Number(process.env.ACTION_TTL_MS || 10 * 60_000);
+const ACTION_REDELIVER_MS = Number(process.env.ACTION_REDELIVER_MS || 30_000);
+const ACTION_MAX_ATTEMPTS = Number(process.env.ACTION_MAX_ATTEMPTS || 5);
+const ACTION_RETENTION_MS = Number(process.env.ACTION_RETENTION_MS || 60 * 60_000);
+const ACTION_QUEUE_LIMIT = 200;
+
+const actionQueue = createActionQueue({
+  ttlMs: ACTION_TTL_MS,
+  redeliverMs: ACTION_REDELIVER_MS,
+  maxAttempts: ACTION_MAX_ATTEMPTS,
+  retentionMs: ACTION_RETENTION_MS,
+  limit: ACTION_QUEUE_LIMIT,
+  onUpdate: publishActionUpdate,
+  onPush: (license_key) => actionWaiters.wake(license_key),
+});
+
+// ids are looked up by ack/result, so two actions in the same ms must not share one
+function newActionId() {
+  return "ACT-" + Date.now() + "-" + randomToken(6);
+}
+
+function publishActionUpdate(license_key, action) {
+  publishStreamEvent(license_key, "action", publicAction(action));
+}
+
+// Dashboard: create action (auth via session token, customer or panel admin)
+app.post("/api/dashboard/action", async (req, res) => {
+  try {
+    const { token, type, payload } = req.body || {};
+    if (!token || !type) return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+
+    // NEW: allow both customers and panel admins
+    const identity = await resolvePanelIdentity(token);
+    if (!identity) return res.status(401).json(unauthorizedBody(token));
+    if (!(await requirePermission(res, identity, actionPermission(type)))) return;
+
+    const license_key = identity.license_key;
+    const id = newActionId();
+
+    const action = actionQueue.push(license_key, {
+      id,
+      type, // "kick" | "ban" | "dm" | "freeze"
+      payload: payload || {},
+      created_at: new Date().toISOString(),
+    });
+
+    if (!action) return res.status(429).json({ success: false, error: "QUEUE_FULL" });
+
+    await recordAudit(req, identity, {
+      action: `action.${type}`,
+      target: payload?.target ?? payload?.id ?? payload?.player ?? id,
+      after: { id, type, payload: payload || {} },
+    });
+
+    return res.json({ success: true, id, status: action.status });
+  } catch (e) {
+    console.error("dashboard/action error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Dashboard: status of an action it created
+app.post("/api/dashboard/action/status", async (req, res) => {
+  try {
+    const { token, id } = req.body || {};
+    if (!token || !id) return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+
+    const identity = await resolvePanelIdentity(token);
+    if (!identity) return res.status(401).json(unauthorizedBody(token));
+    if (!(await requirePermission(res, identity, "dashboard.view"))) return;
+
+    actionQueue.sweep(identity.license_key);
+    const action = actionQueue.find(identity.license_key, id);
+    if (!action) return res.status(404).json({ success: false, error: "NOT_FOUND" });
+
+    return res.json({ success: true, action: publicAction(action) });
+  } catch (e) {
+    console.error("dashboard/action/status error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// FiveM: get actions (poll)
+app.get("/api/server/actions/:license", async (req, res) => {
+  try {
+    const license_key = req.params.license;
+    if (!(await requireServerAuth(req, res, license_key))) return;
+
+    return res.json({ success: true, actions: actionQueue.takeDue(license_key) });
+  } catch (e) {
+    console.error("server/actions error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ===== PUSH CHANNEL (long-poll) ===== */
+/**
+ * FiveM keeps one request open against /api/server/actions/wait. Queueing an
+ * action answers it right away, otherwise it returns an empty list after
+ * wait_ms and the resource simply reconnects. The body may carry
+ * a heartbeat so a server on the channel doesn't need separate heartbeats.
+ *
+ * body: { license_key, wait_ms?, heartbeat?: { players, version, uptime } }
+ */
+const LONG_POLL_MAX_MS = Number(process.env.LONG_POLL_MAX_MS || 25_000);
+const actionWaiters = createActionWaiters();
+
+app.post("/api/server/actions/wait", async (req, res) => {
+  try {
+    const { license_key, wait_ms, heartbeat } = req.body || {};
+    if (!license_key) return res.status(400).json({ success: false, error: "MISSING_LICENSE" });
+
+    if (!(await requireServerAuth(req, res, license_key))) return;
+
+    if (heartbeat && typeof heartbeat === "object") {
+      await applyHeartbeat(license_key, heartbeat);
+      await observeLicenseUse(req, license_key, { heartbeat: true });
+    }
+
+    const ready = actionQueue.takeDue(license_key);
+    if (ready.length) return res.json({ success: true, actions: ready });
+
+    const waitMs = longPollWaitMs(wait_ms, LONG_POLL_MAX_MS);
+
+    let timer = null;
+    const finish = (actions) => {
+      clearTimeout(timer);
+      actionWaiters.remove(license_key, waiter);
+      if (!res.headersSent) res.json({ success: true, actions });
+    };
+
+    const waiter = () => {
+      const actions = actionQueue.takeDue(license_key);
+      if (!actions.length) return false;
+      finish(actions);
+      return true;
+    };
+
+    timer = setTimeout(() => finish(actionQueue.takeDue(license_key)), waitMs);
+    actionWaiters.add(license_key, waiter);
+
+    // connection dropped: stop waiting, undelivered actions stay pending
+    res.on("close", () => {
+      clearTimeout(timer);
+      actionWaiters.remove(license_key, waiter);
+    });
+  } catch (e) {
+    console.error("server/actions/wait error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// FiveM: confirm receipt of actions
+// body: { license_key, ids: [action_id] }
+app.post("/api/server/actions/ack", async (req, res) => {
+  try {
+    const { license_key, ids } = req.body || {};
+    if (!license_key || !Array.isArray(ids)) {
+      return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+    }
+
+    if (!(await requireServerAuth(req, res, license_key))) return;
+
+    return res.json({ success: true, acked: actionQueue.ack(license_key, ids) });
+  } catch (e) {
+    console.error("server/actions/ack error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// FiveM: report the outcome of an action (also counts as ack)
+// body: { license_key, id, success, result?, error? }
+app.post("/api/server/actions/result", async (req, res) => {
+  try {
+    const { license_key, id, success, result, error } = req.body || {};
+    if (!license_key || !id || typeof success !== "boolean") {
+      return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+    }
+
+    if (!(await requireServerAuth(req, res, license_key))) return;
+
+    const outcome = actionQueue.complete(license_key, id, { success, result, error });
+    if (outcome.error === "NOT_FOUND") return res.status(404).json({ success: false, error: "NOT_FOUND" });
+    if (outcome.error) {
+      return res.status(409).json({ success: false, error: outcome.error, status: outcome.action.status });
+    }
+
+    return res.json({ success: true, status: outcome.action.status });
+  } catch (e) {
+    console.error("server/actions/result error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= LOGS (Live + Persist) ================= */
+// In-memory logs for fast “live view”
+const serverLogs = {}; // { [license_key]: [{id,time,level,type,title,message,meta}] }
+
+function pushServerLog(license_key, item) {
+  serverLogs[license_key] = serverLogs[license_key] || [];
+  serverLogs[license_key].unshift(item);
+  if (serverLogs[license_key].length > 300) serverLogs[license_key].length = 300;
+  publishStreamEvent(license_key, "log", item);
+}
+
+// FiveM -> backend: send log
+// body: { license_key, level?, type?, title?, message, meta? }
+app.post("/api/server/log", async (req, res) => {
+  try {
+    const { license_key, level, type, title, message, meta } = req.body || {};
+    if (!license_key || !message) {
+      return res.status(400).json({ success: false, error: "MISSING_LICENSE_OR_MESSAGE" });
+    }
+
+    if (!(await requireServerAuth(req, res, license_key))) return;
+
+    const item = {
+      id: "LOG-" + Date.now() + "-" + Math.floor(Math.random() * 9999),
+      time: new Date().toISOString(),
+      level: level || "info",
+      type: type || "log",
+      title: title || "Server",
+      message,
+      meta: meta || null,
+    };
+
+    // 1) live memory
+    pushServerLog(license_key, item);
+
+    if (String(item.type).toLowerCase() === "detection") {
+      emitWebhookEvent(license_key, "detection", {
+        title: item.title,
+        message: item.message,
+        level: item.level,
+        meta: item.meta,
+      });
+    }
+
+    // 2) persist to Supabase if table exists (optional)
+    // Table suggestion: server_logs(license_key text, level text, type text, title text, message text, meta jsonb, created_at timestamp default now())
+    try {
+      await supabase.from("server_logs").insert([
+        {
+          license_key,
+          level: item.level,
+          type: item.type,
+          title: item.title,
+          message: item.message,
+          meta: item.meta,
+        },
+      ]);
+    } catch (dbErr) {
+      // ignore if missing table / RLS / etc.
+    }
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("server/log error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Dashboard -> get logs
+// returns BOTH "data" and "logs" to prevent UI mismatch
+// auth: Bearer token (or ?token= for simple fetches), needs logs.view
+app.get("/api/server/logs/:license", async (req, res) => {
+  const license_key = req.params.license;
+
+  try {
+    const token = bearerToken(req) || req.query.token || null;
+    const identity = await resolvePanelIdentity(token);
+    if (!identity) return res.status(401).json(unauthorizedBody(token));
+    if (identity.license_key !== license_key) {
+      return res.status(403).json({ success: false, error: "FORBIDDEN" });
+    }
+    if (!(await requirePermission(res, identity, "logs.view"))) return;
+  } catch (e) {
+    console.error("server/logs auth error:", e);
+    return res.status(500).json({ success: false });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || "200", 10), 500);
+
+  // Retention is a plan limit: older rows are never served
+  let since;
+  try {
+    const { log_retention_days } = await entitlementsForKey(license_key);
+    since = new Date(Date.now() - log_retention_days * 86400000).toISOString();
+  } catch (e) {
+    since = new Date(Date.now() - DEFAULT_PLANS.basic.log_retention_days * 86400000).toISOString();
+  }
+
+  // Prefer DB logs if available, fallback to memory
+  try {
+    const { data, error } = await supabase
+      .from("server_logs")
+      .select("id, license_key, level, type, title, message, meta, created_at")
+      .eq("license_key", license_key)
+      .gte("created_at", since)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (!error && Array.isArray(data)) {
+      const mapped = data.map((x) => ({
+        id: x.id || ("DB-" + x.created_at),
+        time: x.created_at,
+        level: x.level || "info",
+        type: x.type || "log",
+        title: x.title || "Server",
+        message: x.message,
+        meta: x.meta ?? null,
+      }));
+
+      return res.json({ success: true, data: mapped, logs: mapped });
+    }
+  } catch (e) {
+    // ignore, fallback below
+  }
+
+  const mem = (serverLogs[license_key] || []).filter((l) => !l.time || l.time >= since).slice(0, limit);
+  return res.json({ success: true, data: mem, logs: mem });
+});
+
+/* ================= LIVE STREAM (SSE -> Dashboard) ================= */
+/**
+ * GET /api/dashboard/stream?token=...  (or Authorization: Bearer <token>)
+ *
+ * Events: "snapshot" (first connect), "log", "players", "status" (online/offline),
+ * "action", "reset". Every event has a numeric id; reconnecting with
+ * Last-Event-ID (or ?last_event_id=) replays what was missed from the
+ * per-license buffer. If that is no longer possible (the buffer dropped
+ * events past the id, or the backend restarted) the client gets "reset"
+ * instead and should reload its state over REST.
+ *
+ * A stream lives only as long as the token that opened it: revoking the
+ * session ends it right away, and the keepalive tick ends it once the access
+ * token expires. Both send "session_ended" { reason: "revoked" | "expired" } first.
+ *
+ * Ids and the replay buffer live in stream.js.
+ */
+const STREAM_HISTORY_LIMIT = 500;
+const STREAM_KEEPALIVE_MS = 15000;
+
+const streamClients = {}; // { [license_key]: Set<{ res, canSeeLogs, session, expiresAt }> }
+const streamBuffer = createStreamBuffer(STREAM_HISTORY_LIMIT);
+const onlineState = {}; // { [license_key]: boolean } last published online flag
+
+function publishStreamEvent(license_key, event, data) {
+  const entry = streamBuffer.publish(license_key, event, data);
+
+  for (const client of streamClients[license_key] || []) {
+    if (streamEventVisible(entry, client.canSeeLogs)) client.res.write(formatStreamEvent(entry));
+  }
+}
+
+// no id: nothing to resume from, the client reconnects with a fresh token
+function endStream(client, reason) {
+  client.res.write(`event: session_ended\ndata: ${JSON.stringify({ reason })}\n\n`);
+  client.res.end();
+}
+
+// filter: panel_sessions columns, same as revokeSessions
+function endSessionStreams(filter, reason) {
+  for (const clients of Object.values(streamClients)) {
+    for (const client of clients) {
+      if (sessionMatches(client.session, filter)) endStream(client, reason);
+    }
+  }
+}
+
+// publishes "status" only when a server flips between online and offline
+function updateOnlineState(license_key) {
+  const state = serverState[license_key];
+  const online = !!state && Date.now() - state.last_seen < SERVER_ONLINE_WINDOW_MS;
+  const previous = onlineState[license_key];
+  if (previous === online) return;
+
+  onlineState[license_key] = online;
+  if (previous === true && !online) {
+    emitWebhookEvent(license_key, "server.offline", {
+      message: "Server stopped sending heartbeats",
+      last_seen: state?.last_seen ? new Date(state.last_seen).toISOString() : null,
+      players: state?.players || 0,
+    });
+  }
+  publishStreamEvent(license_key, "status", {
+    online,
+    players: state?.players || 0,
+    uptime: state?.uptime || 0,
+    version: state?.version || null,
+    last_seen: state?.last_seen || null,
+  });
+}
+
+// servers going silent never call us, so check for offline transitions here
+setInterval(() => {
+  for (const license_key of Object.keys(serverState)) updateOnlineState(license_key);
+}, 5000).unref();
+
+app.get("/api/dashboard/stream", async (req, res) => {
+  try {
+    const bearer = req.headers.authorization || "";
+    const token = bearer.startsWith("Bearer ") ? bearer.slice(7) : req.query.token || null;
+
+    const identity = await resolvePanelIdentity(token);
+    if (!identity) return res.status(401).json(unauthorizedBody(token));
+    if (!(await requirePermission(res, identity, "dashboard.view"))) return;
+
+    const license_key = identity.license_key;
+    const canSeeLogs = identity.permissions.includes("logs.view");
+    const client = { res, canSeeLogs, session: identity.session, expiresAt: verifyAccessToken(ACCESS_TOKEN_KEY, token).exp };
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    const lastEventId = Number(req.get("Last-Event-ID") || req.query.last_event_id || 0);
+    const resume = streamBuffer.resume(license_key, lastEventId, { canSeeLogs });
+    if (resume.reset) {
+      res.write(formatStreamEvent({ id: streamBuffer.seq, event: "reset", data: { reason: resume.reset } }));
+    } else if (resume.replay) {
+      for (const entry of resume.replay) res.write(formatStreamEvent(entry));
+    } else {
+      const state = serverState[license_key];
+      res.write(
+        formatStreamEvent({
+          id: streamBuffer.seq,
+          event: "snapshot",
+          data: {
+            online: !!state && Date.now() - state.last_seen < SERVER_ONLINE_WINDOW_MS,
+            players: livePlayersByLicense[license_key] || [],
+            logs: canSeeLogs ? (serverLogs[license_key] || []).slice(0, 50) : [],
+          },
+        })
+      );
+    }
+
+    const clients = (streamClients[license_key] = streamClients[license_key] || new Set());
+    clients.add(client);
+
+    const keepalive = setInterval(() => {
+      if (Date.now() >= client.expiresAt) endStream(client, "expired");
+      else res.write(": ping\n\n");
+    }, STREAM_KEEPALIVE_MS);
+
+    res.on("close", () => {
+      clearInterval(keepalive);
+      clients.delete(client);
+    });
+  } catch (e) {
+    console.error("dashboard/stream error:", e);
+    if (!res.headersSent) return res.status(500).json({ success: false });
+    res.end();
+  }
+});
+
+/* ================= LOGIN ================= */
+app.post("/api/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) return res.json({ success: false });
+
+    const accountKey = `${req.ip}|${String(username).trim().toLowerCase()}`;
+    if (
+      rejectIfLocked(res, [
+        ["login_ip", req.ip],
+        ["login_account", accountKey, "ACCOUNT_LOCKED"],
+      ])
+    ) {
+      return;
+    }
+
+    const fail = (extra = {}) => {
+      authLocks.fail("login_ip", req.ip, LOGIN_IP_LIMIT);
+      authLocks.fail("login_account", accountKey, LOGIN_ACCOUNT_LIMIT);
+      return res.json({ success: false, ...extra });
+    };
+
+    const { data: user, error } = await supabase
+  .from("customers")
+  .select("*")
+  .eq("username", username)
+  .eq("active", true) // 🔥 viktigt
+  .single();
+
+    if (error || !user) return fail();
+
+    const check = await verifyPassword(password, user.password);
+    if (!check.ok) return fail();
+
+    const twoFactorError = await checkSecondFactor("customers", user, req.body);
+    if (twoFactorError === "2FA_REQUIRED") {
+      return res.json({ success: false, error: twoFactorError, two_factor: true });
+    }
+    if (twoFactorError) return fail({ error: twoFactorError, two_factor: true });
+
+    authLocks.clear("login_account", accountKey);
+
+    // upgrade legacy sha256 / old scrypt params transparently
+    if (check.needsRehash) {
+      const { error: rehashError } = await supabase
+        .from("customers")
+        .update({ password: await hashPassword(password) })
+        .eq("id", user.id);
+      if (rehashError) console.error("password rehash error:", rehashError);
+    }
+
+    const tokens = await issueSession(req, { kind: "customer", id: user.id, license_key: user.license_key });
+
+    return res.json({
+      success: true,
+      license_key: user.license_key,
+      token: tokens.access_token, // same as access_token, kept for older clients
+      ...tokens,
+      role: "owner",
+      permissions: [...PERMISSIONS],
+    });
+  } catch (err) {
+    console.error("login error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= SESSION ROUTES ================= */
+// body: { refresh_token } -> new access + refresh token.
+// The old refresh token keeps working for REFRESH_REUSE_GRACE_MS, then any use of it ends the session.
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const refresh = parseRefreshToken(req.body?.refresh_token);
+    if (!refresh) return res.status(400).json({ success: false, error: "MISSING_REFRESH_TOKEN" });
+
+    const presented = sha256(refresh.secret);
+    let subjectChecked = false;
+
+    // retried when a concurrent refresh rotates the session under us
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { data: session } = await supabase
+        .from("panel_sessions")
+        .select("*")
+        .eq("id", refresh.session_id)
+        .single();
+
+      if (!isSessionLive(session)) {
+        return res.status(401).json({ success: false, error: "SESSION_EXPIRED" });
+      }
+
+      if (refreshTokenState(session, presented, REFRESH_REUSE_GRACE_MS) === "reused") {
+        // an old refresh token was replayed: assume it leaked and end the session
+        await revokeSessions({ id: session.id });
+        return res.status(401).json({ success: false, error: "REFRESH_TOKEN_REUSED" });
+      }
+
+      // subject must still be allowed in
+      if (!subjectChecked) {
+        const table = session.subject_kind === "customer" ? "customers" : "panel_admins";
+        const { data: subject } = await supabase
+          .from(table)
+          .select("id")
+          .eq("id", session.subject_id)
+          .eq("active", true)
+          .single();
+
+        if (!subject) {
+          await revokeSessions({ id: session.id });
+          return res.status(401).json({ success: false, error: "UNAUTHORIZED" });
+        }
+        subjectChecked = true;
+      }
+
+      const nextSecret = randomToken(32);
+      const { data: rotated, error } = await supabase
+        .from("panel_sessions")
+        .update({
+          refresh_hash: sha256(nextSecret),
+          prev_refresh_hash: session.refresh_hash,
+          rotated_at: new Date().toISOString(),
+          last_used_at: new Date().toISOString(),
+          ip: req.ip || null,
+        })
+        .eq("id", session.id)
+        .eq("refresh_hash", session.refresh_hash)
+        .select("id");
+
+      if (error) return res.status(500).json({ success: false });
+      if (rotated?.length) return res.json({ success: true, ...sessionTokens(session, nextSecret) });
+    }
+
+    // kept losing to concurrent refreshes; not a login problem, the client may retry
+    return res.status(409).json({ success: false, error: "REFRESH_CONFLICT" });
+  } catch (e) {
+    console.error("auth/refresh error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Ends the current session
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res);
+    if (!identity) return;
+
+    await revokeSessions({ id: identity.session.id });
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("auth/logout error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// "Sign out all devices" for the calling customer/admin
+app.post("/api/auth/logout-all", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res);
+    if (!identity) return;
+
+    await revokeSessions({
+      subject_kind: identity.session.subject_kind,
+      subject_id: identity.session.subject_id,
+    });
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("auth/logout-all error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Active sessions of the caller
+app.get("/api/auth/sessions", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res);
+    if (!identity) return;
+
+    const { data, error } = await supabase
+      .from("panel_sessions")
+      .select("id, user_agent, ip, created_at, last_used_at, expires_at")
+      .eq("subject_kind", identity.session.subject_kind)
+      .eq("subject_id", identity.session.subject_id)
+      .is("revoked_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .order("last_used_at", { ascending: false });
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    return res.json({
+      success: true,
+      data: (data || []).map((x) => ({ ...x, current: x.id === identity.session.id })),
+    });
+  } catch (e) {
+    console.error("auth/sessions error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Sign out one specific device
+app.delete("/api/auth/sessions/:id", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res);
+    if (!identity) return;
+
+    await revokeSessions({
+      id: req.params.id,
+      subject_kind: identity.session.subject_kind,
+      subject_id: identity.session.subject_id,
+    });
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("auth/sessions delete error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= TWO-FACTOR ROUTES ================= */
+async function licenseRequiresAdmin2fa(license_key) {
+  const { data } = await supabase
+    .from("licenses")
+    .select("require_admin_2fa")
+    .eq("license_key", license_key)
+    .single();
+  return !!data?.require_admin_2fa;
+}
+
+// Whose 2FA is being managed: the Bearer session's customer/admin, or a panel
+// admin identified by { invite_token } (needed when 2FA is required before first login).
+// An invite enrolls 2FA once: /enable marks it used together with the verified code,
+// so a leaked invite cannot replace the device of an admin who already enrolled.
+// Returns { table, row, name, viaInvite } or null after sending 401/409.
+async function requireTwoFactorSubject(req, res) {
+  const identity = await resolvePanelIdentity(bearerToken(req));
+  if (identity?.kind === "customer") {
+    return { table: "customers", row: identity.user, name: identity.user.username };
+  }
+  if (identity?.kind === "admin") {
+    return { table: "panel_admins", row: identity.admin, name: identity.admin.name };
+  }
+
+  const admin = req.body?.invite_token ? await findAdminByInvite(req.body.invite_token) : null;
+  if (admin?.invite_2fa_at) {
+    res.status(409).json({ success: false, error: "INVITE_ALREADY_USED" });
+    return null;
+  }
+  if (admin) return { table: "panel_admins", row: admin, name: admin.name, viaInvite: true };
+
+  res.status(401).json(unauthorizedBody(bearerToken(req)));
+  return null;
+}
+
+// Step 1: new secret + otpauth:// URI for the QR code. Nothing is enforced yet.
+app.post("/api/auth/2fa/setup", async (req, res) => {
+  try {
+    const subject = await requireTwoFactorSubject(req, res);
+    if (!subject) return;
+
+    if (subject.row.totp_enabled) {
+      return res.status(409).json({ success: false, error: "2FA_ALREADY_ENABLED" });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    const { error } = await supabase
+      .from(subject.table)
+      .update({ totp_pending_secret: secret })
+      .eq("id", subject.row.id);
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    return res.json({ success: true, secret, otpauth_uri: totpUri(secret, subject.name, TOTP_ISSUER) });
+  } catch (e) {
+    console.error("2fa/setup error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Step 2: confirm with a code from the app. Returns recovery codes ONCE.
+// body: { otp }
+app.post("/api/auth/2fa/enable", async (req, res) => {
+  try {
+    const subject = await requireTwoFactorSubject(req, res);
+    if (!subject) return;
+
+    const { row, table } = subject;
+    if (row.totp_enabled) return res.status(409).json({ success: false, error: "2FA_ALREADY_ENABLED" });
+    if (!row.totp_pending_secret) return res.status(400).json({ success: false, error: "2FA_NOT_SET_UP" });
+
+    const step = verifyTotp(row.totp_pending_secret, req.body?.otp);
+    if (step == null) return res.status(400).json({ success: false, error: "2FA_INVALID" });
+
+    const recovery = generateRecoveryCodes();
+    const update = {
+      totp_secret: row.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_enabled: true,
+      totp_last_step: step,
+      totp_recovery_hashes: recovery.hashes,
+      // only one enrollment per invite, even when two arrive at once
+      ...(subject.viaInvite ? { invite_2fa_at: new Date().toISOString() } : {}),
+    };
+
+    let query = supabase.from(table).update(update).eq("id", row.id).eq("totp_enabled", false);
+    if (subject.viaInvite) query = query.is("invite_2fa_at", null);
+
+    const { data: enabled, error } = await query.select("id");
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+    if (!enabled?.length) return res.status(409).json({ success: false, error: "2FA_ALREADY_ENABLED" });
+
+    return res.json({ success: true, recovery_codes: recovery.codes });
+  } catch (e) {
+    console.error("2fa/enable error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// body: { otp } or { recovery_code }
+app.post("/api/auth/2fa/disable", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res);
+    if (!identity) return;
+
+    const table = identity.kind === "customer" ? "customers" : "panel_admins";
+    const row = identity.kind === "customer" ? identity.user : identity.admin;
+
+    if (!row.totp_enabled) return res.status(409).json({ success: false, error: "2FA_NOT_ENABLED" });
+
+    if (identity.kind === "admin" && (await licenseRequiresAdmin2fa(identity.license_key))) {
+      return res.status(403).json({ success: false, error: "2FA_REQUIRED_BY_OWNER" });
+    }
+
+    const twoFactorError = await checkSecondFactor(table, row, req.body);
+    if (twoFactorError) return res.status(400).json({ success: false, error: twoFactorError });
+
+    const { error } = await supabase.from(table).update(TOTP_RESET).eq("id", row.id);
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("2fa/disable error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// New set of recovery codes (old ones stop working). body: { otp }
+app.post("/api/auth/2fa/recovery-codes", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res);
+    if (!identity) return;
+
+    const table = identity.kind === "customer" ? "customers" : "panel_admins";
+    const row = identity.kind === "customer" ? identity.user : identity.admin;
+
+    if (!row.totp_enabled) return res.status(409).json({ success: false, error: "2FA_NOT_ENABLED" });
+
+    const step = verifyTotp(row.totp_secret, req.body?.otp, row.totp_last_step);
+    if (step == null) return res.status(400).json({ success: false, error: "2FA_INVALID" });
+
+    const recovery = generateRecoveryCodes();
+    const { error } = await supabase
+      .from(table)
+      .update({ totp_last_step: step, totp_recovery_hashes: recovery.hashes })
+      .eq("id", row.id);
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+    return res.json({ success: true, recovery_codes: recovery.codes });
+  } catch (e) {
+    console.error("2fa/recovery-codes error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Owner: require 2FA for every panel admin on the license.
+// Admins without 2FA are signed out and must enroll before their next login.
+// body: { token, required: boolean }
+app.post("/api/panel/security/require-admin-2fa", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { required } = req.body || {};
+    if (typeof required !== "boolean") {
+      return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+    }
+
+    const { error } = await supabase
+      .from("licenses")
+      .update({ require_admin_2fa: required })
+      .eq("license_key", user.license_key);
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    if (required) {
+      const { data: admins } = await supabase
+        .from("panel_admins")
+        .select("id")
+        .eq("license_key", user.license_key)
+        .eq("totp_enabled", false);
+
+      for (const admin of admins || []) {
+        await revokeSessions({ subject_kind: "admin", subject_id: admin.id });
+      }
+    }
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "license.require_admin_2fa",
+      target: user.license_key,
+      after: { require_admin_2fa: required },
+    });
+
+    return res.json({ success: true, require_admin_2fa: required });
+  } catch (e) {
+    console.error("panel/security/require-admin-2fa error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= NEW: PANEL ADMINS ROUTES ================= */
+/**
+ * Required Supabase table (run in SQL editor):
+ *
+ * create table if not exists public.panel_admins (
+ *   id uuid primary key default gen_random_uuid(),
+ *   license_key text not null,
+ *   name text not null,
+ *   steam text,
+ *   discord text,
+ *   role text not null default 'admin',
+ *   active boolean not null default true,
+ *   token_hash text not null,
+ *   created_at timestamptz not null default now()
+ * );
+ * create index if not exists idx_panel_admins_license_key on public.panel_admins (license_key);
+ * create unique index if not exists uq_panel_admins_token_hash on public.panel_admins (token_hash);
+ */
+
+// Owner (customer) lists admins for their license
+app.post("/api/panel/admins/list", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { data, error } = await supabase
+      .from("panel_admins")
+      .select("id, name, steam, discord, role, active, created_at")
+      .eq("license_key", user.license_key)
+      .order("created_at", { ascending: false });
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+    return res.json({ success: true, data: data || [] });
+  } catch (e) {
+    console.error("panel/admins/list error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Owner (customer) adds an admin and receives invite_token ONCE
+app.post("/api/panel/admins/add", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { name, steam, discord, role } = req.body || {};
+    if (!name) return res.status(400).json({ success: false, error: "MISSING_NAME" });
+
+    const roleName = normalizeRoleName(role || "senior_admin");
+    if (!(await isAssignableRole(user.license_key, roleName))) {
+      return res.status(400).json({ success: false, error: "INVALID_ROLE" });
+    }
+
+    const entitlements = await entitlementsForKey(user.license_key);
+    const { count } = await supabase
+      .from("panel_admins")
+      .select("id", { count: "exact", head: true })
+      .eq("license_key", user.license_key);
+
+    if ((count || 0) >= entitlements.max_panel_admins) {
+      return res.status(403).json({
+        success: false,
+        error: "PLAN_LIMIT_REACHED",
+        limit: entitlements.max_panel_admins,
+        plan: entitlements.plan,
+      });
+    }
+
+    const invite_token = randomToken(24);
+    const token_hash = sha256(invite_token);
+
+    const { data, error } = await supabase
+      .from("panel_admins")
+      .insert([
+        {
+          license_key: user.license_key,
+          name,
+          steam: steam || null,
+          discord: discord || null,
+          role: roleName,
+          active: true,
+          token_hash,
+        },
+      ])
+      .select("id, name, steam, discord, role, active, created_at")
+      .single();
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "panel_admin.add",
+      target: data.id,
+      after: data,
+    });
+
+    emitWebhookEvent(user.license_key, "panel_admin.changed", { change: "add", admin_id: data.id, name: data.name, role: data.role });
+
+    return res.json({ success: true, admin: data, invite_token });
+  } catch (e) {
+    console.error("panel/admins/add error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Owner (customer) removes an admin
+app.post("/api/panel/admins/remove", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { id } = req.body || {};
+    if (!id) return res.status(400).json({ success: false, error: "MISSING_ID" });
+
+    const { data: before } = await supabase
+      .from("panel_admins")
+      .select("id, name, steam, discord, role, active, created_at")
+      .eq("id", id)
+      .eq("license_key", user.license_key)
+      .single();
+
+    const { error } = await supabase
+      .from("panel_admins")
+      .delete()
+      .eq("id", id)
+      .eq("license_key", user.license_key);
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await revokeSessions({ subject_kind: "admin", subject_id: id });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "panel_admin.remove",
+      target: id,
+      before: before || null,
+      after: null,
+    });
+
+    emitWebhookEvent(user.license_key, "panel_admin.changed", { change: "remove", admin_id: id, name: before?.name ?? null });
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("panel/admins/remove error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Owner (customer) toggles active
+app.post("/api/panel/admins/toggle", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { id, active } = req.body || {};
+    if (!id || typeof active !== "boolean") {
+      return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+    }
+
+    const { data: before } = await supabase
+      .from("panel_admins")
+      .select("active")
+      .eq("id", id)
+      .eq("license_key", user.license_key)
+      .single();
+
+    if (!before) return res.status(404).json({ success: false, error: "NOT_FOUND" });
+
+    const { error } = await supabase
+      .from("panel_admins")
+      .update({ active })
+      .eq("id", id)
+      .eq("license_key", user.license_key);
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    if (!active) await revokeSessions({ subject_kind: "admin", subject_id: id });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "panel_admin.toggle",
+      target: id,
+      before: { active: before.active },
+      after: { active },
+    });
+
+    emitWebhookEvent(user.license_key, "panel_admin.changed", { change: "toggle", admin_id: id, active });
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("panel/admins/toggle error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Owner (customer) changes an admin's role
+app.post("/api/panel/admins/role", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { id, role } = req.body || {};
+    if (!id || !role) return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+
+    const roleName = normalizeRoleName(role);
+    if (!(await isAssignableRole(user.license_key, roleName))) {
+      return res.status(400).json({ success: false, error: "INVALID_ROLE" });
+    }
+
+    const { data: before } = await supabase
+      .from("panel_admins")
+      .select("role")
+      .eq("id", id)
+      .eq("license_key", user.license_key)
+      .single();
+
+    if (!before) return res.status(404).json({ success: false, error: "NOT_FOUND" });
+
+    const { error } = await supabase
+      .from("panel_admins")
+      .update({ role: roleName })
+      .eq("id", id)
+      .eq("license_key", user.license_key);
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "panel_admin.role",
+      target: id,
+      before: { role: before.role },
+      after: { role: roleName },
+    });
+
+    emitWebhookEvent(user.license_key, "panel_admin.changed", { change: "role", admin_id: id, role: roleName });
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("panel/admins/role error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ===== PANEL ROLES (owner-defined) ===== */
+// Built-in roles + custom roles with their permissions
+app.post("/api/panel/roles/list", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { data, error } = await supabase
+      .from("panel_roles")
+      .select("id, name, permissions, created_at")
+      .eq("license_key", user.license_key)
+      .order("created_at", { ascending: true });
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    return res.json({
+      success: true,
+      builtin: BUILTIN_ROLES,
+      custom: data || [],
+      permissions: PERMISSIONS,
+    });
+  } catch (e) {
+    console.error("panel/roles/list error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Create or replace a custom role
+// body: { token, name, permissions: [] }
+app.post("/api/panel/roles/save", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const input = validateCustomRole(req.body || {});
+    if (input.error) return res.status(400).json({ success: false, error: input.error });
+    const { name, permissions } = input;
+
+    const { data: before } = await supabase
+      .from("panel_roles")
+      .select("permissions")
+      .eq("license_key", user.license_key)
+      .eq("name", name)
+      .single();
+
+    const { data, error } = await supabase
+      .from("panel_roles")
+      .upsert(
+        { license_key: user.license_key, name, permissions },
+        { onConflict: "license_key,name" }
+      )
+      .select("id, name, permissions, created_at")
+      .single();
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "panel_role.save",
+      target: name,
+      before: before ? { permissions: before.permissions } : null,
+      after: { permissions: data.permissions },
+    });
+
+    return res.json({ success: true, role: data });
+  } catch (e) {
+    console.error("panel/roles/save error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Delete a custom role (refused while admins still have it)
+app.post("/api/panel/roles/remove", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const name = normalizeRoleName(req.body?.name);
+    if (!name) return res.status(400).json({ success: false, error: "MISSING_NAME" });
+
+    const { data: inUse } = await supabase
+      .from("panel_admins")
+      .select("id")
+      .eq("license_key", user.license_key)
+      .eq("role", name)
+      .limit(1);
+
+    if (inUse && inUse.length) {
+      return res.status(409).json({ success: false, error: "ROLE_IN_USE" });
+    }
+
+    const { error } = await supabase
+      .from("panel_roles")
+      .delete()
+      .eq("license_key", user.license_key)
+      .eq("name", name);
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "panel_role.remove",
+      target: name,
+    });
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("panel/roles/remove error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Panel admin login using invite_token
+app.post("/api/panel/admins/login", async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) return res.status(400).json({ success: false });
+
+    if (rejectIfLocked(res, [["admin_login_ip", req.ip]])) return;
+
+    const admin = await findAdminByInvite(token);
+    if (!admin) {
+      authLocks.fail("admin_login_ip", req.ip, LOGIN_IP_LIMIT);
+      return res.json({ success: false });
+    }
+
+    const accountKey = `${req.ip}|${admin.id}`;
+    if (rejectIfLocked(res, [["admin_login_account", accountKey, "ACCOUNT_LOCKED"]])) return;
+
+    if (!admin.totp_enabled && (await licenseRequiresAdmin2fa(admin.license_key))) {
+      // enroll through /api/auth/2fa/setup + /enable with { invite_token }
+      return res.json({ success: false, error: "2FA_SETUP_REQUIRED", two_factor: true });
+    }
+
+    const twoFactorError = await checkSecondFactor("panel_admins", admin, req.body);
+    if (twoFactorError === "2FA_INVALID") {
+      authLocks.fail("admin_login_ip", req.ip, LOGIN_IP_LIMIT);
+      authLocks.fail("admin_login_account", accountKey, LOGIN_ACCOUNT_LIMIT);
+    }
+    if (twoFactorError) return res.json({ success: false, error: twoFactorError, two_factor: true });
+
+    authLocks.clear("admin_login_account", accountKey);
+
+    const identity = { kind: "admin", license_key: admin.license_key, admin };
+    const tokens = await issueSession(req, { kind: "admin", id: admin.id, license_key: admin.license_key });
+
+    return res.json({
+      success: true,
+      license_key: identity.license_key,
+      admin: {
+        id: admin.id,
+        name: admin.name,
+        role: normalizeRoleName(admin.role),
+      },
+      permissions: await permissionsFor(identity),
+      token: tokens.access_token,
+      ...tokens,
+    });
+  } catch (e) {
+    console.error("panel/admins/login error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= WEBHOOKS (outbound, per license) ================= */
+/**
+ * Owners register URLs for event types. Each event becomes one delivery row;
+ * attempts are retried in-process with backoff (webhooks.js), so a restart
+ * drops pending retries but the row keeps its last error. Targets must be
+ * https and resolve to public addresses, checked on save and on every attempt.
+ *
+ * format "discord" posts an embed (works with Discord webhook URLs),
+ * format "json" posts { id, event, license_key, created_at, data }.
+ * Every request carries:
+ *   X-GG-Webhook-Event, X-GG-Webhook-Delivery, X-GG-Webhook-Timestamp,
+ *   X-GG-Webhook-Signature = hex HMAC-SHA256(secret, `${timestamp}.${body}`)
+ *
+ * create table if not exists public.license_webhooks (
+ *   id bigint generated always as identity primary key,
+ *   license_key text not null,
+ *   url text not null,
+ *   events text[] not null,
+ *   format text not null default 'json',   -- json | discord
+ *   secret text not null,
+ *   active boolean not null default true,
+ *   created_at timestamptz not null default now()
+ * );
+ * create table if not exists public.webhook_deliveries (
+ *   id bigint generated always as identity primary key,
+ *   webhook_id bigint not null references public.license_webhooks(id) on delete cascade,
+ *   license_key text not null,
+ *   event text not null,
+ *   payload jsonb,
+ *   status text not null default 'pending', -- pending | delivered | failed
+ *   attempts integer not null default 0,
+ *   response_status integer,
+ *   last_error text,
+ *   created_at timestamptz not null default now(),
+ *   updated_at timestamptz not null default now()
+ * );
+ * create index if not exists idx_webhook_deliveries_hook on public.webhook_deliveries (webhook_id, created_at desc);
+ *
+ * Event names, bodies and field checks live in webhooks.js too.
+ */
+const WEBHOOK_MAX_PER_LICENSE = 10;
+
+const deliverWebhook = createWebhookDeliverer({
+  loadHook: async (id) => {
+    const { data } = await supabase
+      .from("license_webhooks")
+      .select("id, license_key, url, format, secret, active")
+      .eq("id", id)
+      .single();
+    return data || null;
+  },
+  saveAttempt: (id, row) =>
+    supabase
+      .from("webhook_deliveries")
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq("id", id),
+  buildBody: webhookBody,
+});
+
+async function createWebhookDelivery(hook, event, data) {
+  const { data: delivery, error } = await supabase
+    .from("webhook_deliveries")
+    .insert([{ webhook_id: hook.id, license_key: hook.license_key, event, payload: data }])
+    .select("id, event, payload, created_at")
+    .single();
+
+  if (error || !delivery) {
+    console.error("webhook delivery insert error:", error);
+    return null;
+  }
+  return delivery;
+}
+
+// Best-effort: never throws and never delays the calling request
+function emitWebhookEvent(license_key, event, data) {
+  (async () => {
+    const { data: hooks, error } = await supabase
+      .from("license_webhooks")
+      .select("id, license_key")
+      .eq("license_key", license_key)
+      .eq("active", true)
+      .contains("events", [event]);
+
+    if (error || !hooks?.length) return;
+
+    for (const hook of hooks) {
+      const delivery = await createWebhookDelivery(hook, event, data);
+      if (delivery) await deliverWebhook(hook.id, delivery);
+    }
+  })().catch((e) => console.error("webhook emit error:", e));
+}
+
+function publicWebhook(hook) {
+  const { secret, ...rest } = hook;
+  return rest;
+}
+
+async function loadOwnedWebhook(res, license_key, id) {
+  const { data: hook } = await supabase
+    .from("license_webhooks")
+    .select("*")
+    .eq("id", id)
+    .eq("license_key", license_key)
+    .single();
+
+  if (!hook) {
+    res.status(404).json({ success: false, error: "NOT_FOUND" });
+    return null;
+  }
+  return hook;
+}
+
+// Owner (customer) lists webhooks; secrets are only returned on create/rotate
+app.post("/api/panel/webhooks/list", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { data } = await supabase
+      .from("license_webhooks")
+      .select("*")
+      .eq("license_key", user.license_key)
+      .order("created_at", { ascending: true });
+
+    return res.json({ success: true, webhooks: (data || []).map(publicWebhook), events: WEBHOOK_EVENTS });
+  } catch (e) {
+    console.error("panel/webhooks/list error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// body: { token, url, events: [...], format?: "json" | "discord" }
+app.post("/api/panel/webhooks/add", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { url, events, format } = req.body || {};
+    const invalid = validateWebhookFields({ events, format }, false);
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+    const target = await resolveWebhookTarget(url);
+    if (!target.ok) return res.status(400).json({ success: false, error: target.error });
+
+    const { count } = await supabase
+      .from("license_webhooks")
+      .select("id", { count: "exact", head: true })
+      .eq("license_key", user.license_key);
+
+    if ((count || 0) >= WEBHOOK_MAX_PER_LICENSE) {
+      return res.status(400).json({ success: false, error: "TOO_MANY_WEBHOOKS", max: WEBHOOK_MAX_PER_LICENSE });
+    }
+
+    const secret = randomToken(32);
+    const { data, error } = await supabase
+      .from("license_webhooks")
+      .insert([{ license_key: user.license_key, url, events, format: format || "json", secret, active: true }])
+      .select("*")
+      .single();
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "webhook.add",
+      target: data.id,
+      after: publicWebhook(data),
+    });
+
+    return res.json({ success: true, webhook: publicWebhook(data), secret });
+  } catch (e) {
+    console.error("panel/webhooks/add error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// body: { token, id, url?, events?, format?, active?, rotate_secret? }
+app.post("/api/panel/webhooks/update", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { id, url, events, format, active, rotate_secret } = req.body || {};
+    if (!id) return res.status(400).json({ success: false, error: "MISSING_ID" });
+
+    const invalid = validateWebhookFields({ events, format }, true);
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+    if (url !== undefined) {
+      const target = await resolveWebhookTarget(url);
+      if (!target.ok) return res.status(400).json({ success: false, error: target.error });
+    }
+    if (active !== undefined && typeof active !== "boolean") {
+      return res.status(400).json({ success: false, error: "INVALID_ACTIVE" });
+    }
+
+    const hook = await loadOwnedWebhook(res, user.license_key, id);
+    if (!hook) return;
+
+    const patch = {};
+    if (url !== undefined) patch.url = url;
+    if (events !== undefined) patch.events = events;
+    if (format !== undefined) patch.format = format;
+    if (active !== undefined) patch.active = active;
+    if (rotate_secret) patch.secret = randomToken(32);
+
+    const { data, error } = await supabase
+      .from("license_webhooks")
+      .update(patch)
+      .eq("id", id)
+      .select("*")
+      .single();
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "webhook.update",
+      target: id,
+      before: publicWebhook(hook),
+      after: publicWebhook(data),
+    });
+
+    return res.json({
+      success: true,
+      webhook: publicWebhook(data),
+      ...(rotate_secret ? { secret: data.secret } : {}),
+    });
+  } catch (e) {
+    console.error("panel/webhooks/update error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+app.post("/api/panel/webhooks/remove", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { id } = req.body || {};
+    if (!id) return res.status(400).json({ success: false, error: "MISSING_ID" });
+
+    const hook = await loadOwnedWebhook(res, user.license_key, id);
+    if (!hook) return;
+
+    const { error } = await supabase.from("license_webhooks").delete().eq("id", id);
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "webhook.remove",
+      target: id,
+      before: publicWebhook(hook),
+      after: null,
+    });
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("panel/webhooks/remove error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Sends a "ping" right away (first attempt only is awaited)
+app.post("/api/panel/webhooks/test", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { id } = req.body || {};
+    if (!id) return res.status(400).json({ success: false, error: "MISSING_ID" });
+
+    const hook = await loadOwnedWebhook(res, user.license_key, id);
+    if (!hook) return;
+
+    const delivery = await createWebhookDelivery(hook, "ping", { message: "GhostGuard webhook test" });
+    if (!delivery) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    const status = await deliverWebhook(hook.id, delivery);
+    return res.json({ success: true, delivery_id: delivery.id, status });
+  } catch (e) {
+    console.error("panel/webhooks/test error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Delivery log. body: { token, id, limit? }
+app.post("/api/panel/webhooks/deliveries", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { id, limit } = req.body || {};
+    if (!id) return res.status(400).json({ success: false, error: "MISSING_ID" });
+
+    const hook = await loadOwnedWebhook(res, user.license_key, id);
+    if (!hook) return;
+
+    const { data } = await supabase
+      .from("webhook_deliveries")
+      .select("id, event, payload, status, attempts, response_status, last_error, created_at, updated_at")
+      .eq("webhook_id", id)
+      .order("created_at", { ascending: false })
+      .limit(Math.min(Number(limit) || 50, 200));
+
+    return res.json({ success: true, deliveries: data || [] });
+  } catch (e) {
+    console.error("panel/webhooks/deliveries error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= AUDIT QUERY ================= */
+// Audit log for the caller's license (owner, or roles with audit.view)
+app.get("/api/panel/audit", async (req, res) => {
+  try {
+    const identity = await requirePanelBearer(req, res, "audit.view");
+    if (!identity) return;
+
+    const result = await queryAudit(identity.license_key, req.query);
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error("panel/audit error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= CUSTOMER ================= */
+app.post("/customer/dashboard", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("*")
+      .eq("license_key", user.license_key)
+      .single();
+
+    if (!lic) return res.status(404).json({ success: false });
+
+    return res.json({
+      success: true,
+      data: {
+        license_key: lic.license_key,
+        status: lic.status,
+        expires_at: lic.expires_at,
+        entitlements: await licenseEntitlements(lic),
+        notices: await openNotices([lic.license_key]),
+      },
+    });
+  } catch (err) {
+    console.error("customer/dashboard error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Owner fetches the server secret to put in the FiveM resource config.
+// Licenses created before request signing get one on first fetch.
+app.post("/customer/server-secret", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("license_key, server_secret")
+      .eq("license_key", user.license_key)
+      .single();
+
+    if (!lic) return res.status(404).json({ success: false });
+
+    let server_secret = lic.server_secret;
+    if (!server_secret) {
+      server_secret = generateServerSecret();
+      const { error } = await supabase
+        .from("licenses")
+        .update({ server_secret })
+        .eq("license_key", user.license_key);
+      if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+    }
+
+    return res.json({ success: true, license_key: lic.license_key, server_secret });
+  } catch (err) {
+    console.error("customer/server-secret error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Owner rotates the server secret (old one stops working immediately)
+app.post("/customer/server-secret/rotate", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const server_secret = generateServerSecret();
+    const { error } = await supabase
+      .from("licenses")
+      .update({ server_secret })
+      .eq("license_key", user.license_key);
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    serverNonces.forget(user.license_key);
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "license.rotate_server_secret",
+      target: user.license_key,
+    });
+    return res.json({ success: true, license_key: user.license_key, server_secret });
+  } catch (err) {
+    console.error("customer/server-secret/rotate error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// HWID binding, reset allowance, bind history and mismatched verifies
+app.post("/customer/hwid", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("*")
+      .eq("license_key", user.license_key)
+      .single();
+
+    if (!lic) return res.status(404).json({ success: false });
+
+    return res.json({
+      success: true,
+      hwid: lic.hwid || null,
+      ...(await hwidResetAllowanceFor(lic)),
+      ...(await hwidHistory(lic.license_key)),
+    });
+  } catch (err) {
+    console.error("customer/hwid error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Self-service HWID reset (cooldown + monthly quota). body: { token, reason? }
+app.post("/customer/hwid/reset", async (req, res) => {
+  try {
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("*")
+      .eq("license_key", user.license_key)
+      .single();
+
+    if (!lic) return res.status(404).json({ success: false });
+    if (!lic.hwid) return res.status(409).json({ success: false, error: "HWID_NOT_BOUND" });
+
+    const allowance = await hwidResetAllowanceFor(lic);
+    const blocked = hwidResetError(allowance);
+    if (blocked) return res.status(429).json({ success: false, error: blocked, ...allowance });
+
+    const ok = await resetHwid(lic, {
+      actor: user.username || String(user.id),
+      actorKind: "customer",
+      reason: String(req.body?.reason || "").trim() || null,
+    });
+    if (!ok) return res.status(500).json({ success: false, error: "DB_ERROR" });
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "license.hwid_reset",
+      target: user.license_key,
+      before: { hwid: lic.hwid },
+      after: { hwid: null },
+    });
+
+    return res.json({
+      success: true,
+      resets_left_this_month: allowance.resets_left_this_month - 1,
+    });
+  } catch (err) {
+    console.error("customer/hwid/reset error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+app.post("/customer/toggle", async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (!status) return res.status(400).json({ success: false });
+
+    const user = await requireCustomer(req, res);
+    if (!user) return;
+
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("status")
+      .eq("license_key", user.license_key)
+      .single();
+
+    await supabase.from("licenses").update({ status }).eq("license_key", user.license_key);
+
+    await recordAudit(req, { kind: "customer", license_key: user.license_key, user }, {
+      action: "license.status",
+      target: user.license_key,
+      before: { status: lic?.status ?? null },
+      after: { status },
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("customer/toggle error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+/* ================= ADMIN ================= */
+app.post("/admin/create-license", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const { days_valid, lifetime, plan } = req.body || {};
+
+    const planName = plan || DEFAULT_LICENSE_PLAN;
+    if (!hasPlan(await loadPlans(), planName)) {
+      return res.status(400).json({ success: false, error: "UNKNOWN_PLAN" });
     }
 
-   await supabase
-  .from("ac_bans")
-  .delete()
-  .eq("ban_id", banId);
+    const expires_at = expiryFromDays(days_valid, lifetime);
+    const license_key = generateLicenseKey();
 
-    // 3️⃣ SKICKA action till FiveM-servern
-    pushAction(ban.license, {
-      id: "ACT-" + Date.now(),
-      type: "unban",
-      payload: {
-        ban_id: banId
-      },
-      created_at: new Date().toISOString()
+    await supabase.from("licenses").insert([
+      {
+        license_key,
+        status: "ACTIVE",
+        expires_at,
+        hwid: null,
+        server_secret: generateServerSecret(),
+        plan: planName
+      }
+    ]);
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.create_license",
+      license_key,
+      target: license_key,
+      after: { status: "ACTIVE", expires_at, plan: planName },
+    });
+
+    return res.json({ success: true, license_key });
+
+  } catch (err) {
+    console.error("admin/create-license error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+app.get("/admin/licenses", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    let query = supabase.from("licenses").select("*").order("created_at", { ascending: false });
+    if (req.query.batch) query = query.eq("batch_label", String(req.query.batch));
+
+    const { data } = await query;
+    const licenses = data || [];
+
+    const notices = await openNotices(licenses.map((l) => l.license_key));
+    const byKey = {};
+    for (const n of notices) (byKey[n.license_key] = byKey[n.license_key] || []).push(n);
+
+    return res.json({
+      success: true,
+      data: licenses.map((l) => ({ ...l, notices: byKey[l.license_key] || [] })),
+    });
+  } catch (err) {
+    console.error("admin/licenses error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// body: { count, batch_label, days_valid?, lifetime?, plan? }
+app.post("/admin/create-licenses/bulk", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const { days_valid, lifetime, plan } = req.body || {};
+    const batch = validateBatch(req.body || {}, BULK_LICENSE_MAX);
+    if (batch.error === "INVALID_COUNT") {
+      return res.status(400).json({ success: false, error: batch.error, max: BULK_LICENSE_MAX });
+    }
+    if (batch.error) return res.status(400).json({ success: false, error: batch.error });
+    const { count: n, label } = batch;
+
+    const planName = plan || DEFAULT_LICENSE_PLAN;
+    if (!hasPlan(await loadPlans(), planName)) {
+      return res.status(400).json({ success: false, error: "UNKNOWN_PLAN" });
+    }
+
+    const expires_at = expiryFromDays(days_valid, lifetime);
+    const keys = new Set();
+    while (keys.size < n) keys.add(generateLicenseKey());
+
+    const rows = [...keys].map((license_key) => ({
+      license_key,
+      status: "ACTIVE",
+      expires_at,
+      hwid: null,
+      server_secret: generateServerSecret(),
+      plan: planName,
+      batch_label: label,
+    }));
+
+    const { error } = await supabase.from("licenses").insert(rows);
+    if (error) {
+      console.error("admin/create-licenses/bulk insert error:", error);
+      return res.status(500).json({ success: false });
+    }
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.bulk_create_licenses",
+      target: label,
+      after: { count: n, batch_label: label, expires_at, plan: planName },
+    });
+
+    return res.json({ success: true, batch_label: label, license_keys: rows.map((r) => r.license_key) });
+  } catch (err) {
+    console.error("admin/create-licenses/bulk error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// CSV of one batch (?batch=label) or every license
+app.get("/admin/licenses/export.csv", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    let query = supabase
+      .from("licenses")
+      .select("license_key, status, plan, batch_label, expires_at, created_at")
+      .order("created_at", { ascending: true });
+    if (req.query.batch) query = query.eq("batch_label", String(req.query.batch));
+
+    const { data, error } = await query;
+    if (error) return res.status(500).json({ success: false });
+
+    const columns = ["license_key", "status", "plan", "batch_label", "expires_at", "created_at"];
+
+    const name = req.query.batch ? String(req.query.batch).replace(/[^a-zA-Z0-9_-]/g, "_") : "all";
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="licenses-${name}.csv"`);
+    return res.send(toCsv(data || [], columns));
+  } catch (err) {
+    console.error("admin/licenses/export error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Extend or renew: the duration is added to the current expiry if it is
+// still in the future, otherwise to now. body: { license_key, duration } where
+// duration is "30d" / "12h" style, or { license_key, lifetime: true }.
+app.post("/admin/renew-license", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const { license_key, duration, lifetime } = req.body || {};
+    if (!license_key) return res.status(400).json({ success: false });
+
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("license_key, status, expires_at")
+      .eq("license_key", license_key)
+      .single();
+
+    if (!lic) return res.status(404).json({ success: false, error: "LICENSE_NOT_FOUND" });
+
+    const renewal = renewedExpiry(lic, { duration, lifetime });
+    if (renewal.error) return res.status(400).json({ success: false, error: renewal.error });
+    const { expires_at } = renewal;
+
+    const update = { expires_at };
+    if (lic.status === "EXPIRED") update.status = "ACTIVE";
+
+    const { error } = await supabase.from("licenses").update(update).eq("license_key", license_key);
+    if (error) return res.status(500).json({ success: false });
+
+    // the old expiry no longer applies
+    await supabase
+      .from("license_notices")
+      .update({ dismissed_at: new Date().toISOString() })
+      .eq("license_key", license_key)
+      .eq("kind", "expiry")
+      .is("dismissed_at", null);
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.renew_license",
+      license_key,
+      target: license_key,
+      before: { status: lic.status, expires_at: lic.expires_at },
+      after: { status: update.status || lic.status, expires_at },
+    });
+
+    return res.json({ success: true, expires_at });
+  } catch (err) {
+    console.error("admin/renew-license error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+// Run the expiry scan now instead of waiting for the timer
+app.post("/admin/license-notices/scan", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const expiring = await scanExpiringLicenses();
+    return res.json({ success: true, expiring, window_days: EXPIRY_NOTICE_WINDOW_DAYS });
+  } catch (err) {
+    console.error("admin/license-notices/scan error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+app.post("/admin/toggle-license", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    // lease_ttl_ms (optional): override lease length, null = back to default
+    const { license_key, status, lease_ttl_ms } = req.body || {};
+    if (!license_key || !status) return res.status(400).json({ success: false });
+
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("status, lease_ttl_ms")
+      .eq("license_key", license_key)
+      .single();
+
+    const lease = toggleLeaseFields(status, lease_ttl_ms, { restrictedTtlMs: LEASE_TTL_RESTRICTED_MS });
+    if (lease.error) return res.status(400).json({ success: false, error: lease.error });
+    const update = { status, ...lease.fields };
+
+    await supabase.from("licenses").update(update).eq("license_key", license_key);
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.toggle_license",
+      license_key,
+      target: license_key,
+      before: { status: lic?.status ?? null, lease_ttl_ms: lic?.lease_ttl_ms ?? null },
+      after: { status, lease_ttl_ms: update.lease_ttl_ms ?? lic?.lease_ttl_ms ?? null },
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("admin/toggle-license error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
+
+
+app.delete("/admin/delete-license/:license_key", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const { license_key } = req.params;
+
+    if (!license_key) {
+      return res.status(400).json({ success: false });
+    }
+
+    // 🔥 radera först kunder kopplade till licensen (valfritt men smart)
+    await supabase
+      .from("customers")
+      .delete()
+      .eq("license_key", license_key);
+
+    // 🔥 radera licensen
+    const { error } = await supabase
+      .from("licenses")
+      .delete()
+      .eq("license_key", license_key);
+
+    if (error) {
+      console.error(error);
+      return res.status(500).json({ success: false });
+    }
+
+    await revokeSessions({ license_key });
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.delete_license",
+      license_key,
+      target: license_key,
     });
 
     return res.json({ success: true });
 
   } catch (e) {
-    console.log("UNBAN ERROR:", e);
+    console.error(e);
     return res.status(500).json({ success: false });
   }
 });
 
-app.delete("/api/server/ban/:banId", async (req, res) => {
-  try {
-    const { banId } = req.params;
-    await supabase
-      .from("ac_bans")
-      .update({ expires_at: new Date().toISOString() })
-      .eq("ban_id", banId);
 
-    return res.json({ success: true });
-  } catch (e) {
-    console.log("UNBAN LEGACY ERROR:", e);
+app.post("/admin/create-customer", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const { username, password, license_key } = req.body || {};
+
+    if (!username || !password || !license_key) {
+      return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+    }
+
+    // kolla att license finns
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("*")
+      .eq("license_key", license_key)
+      .single();
+
+    if (!lic) {
+      return res.status(404).json({ success: false, error: "LICENSE_NOT_FOUND" });
+    }
+
+    const policyError = checkPasswordPolicy(password, { username, minLength: PASSWORD_MIN_LENGTH });
+    if (policyError) return res.status(400).json({ success: false, error: policyError });
+
+    const password_hash = await hashPassword(password);
+
+    const { data, error } = await supabase
+      .from("customers")
+      .insert([
+        {
+          username,
+          password: password_hash,
+          license_key,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("create-customer error:", error);
+      return res.status(500).json({ success: false, error: "DB_ERROR" });
+    }
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.create_customer",
+      license_key,
+      target: data.id,
+      after: { username, license_key },
+    });
+
+    const { password: _hash, ...customer } = data;
+    return res.json({ success: true, customer });
+  } catch (err) {
+    console.error("admin/create-customer error:", err);
     return res.status(500).json({ success: false });
   }
 });
 
-// ban skaen  everidec
 
-app.post("/api/server/ban/evidence", async (req, res) => {
+app.post("/admin/update-customer-password", async (req, res) => {
   try {
-    const { license_key, ban_id, image_data } = req.body || {};
+    if (!requireAdmin(req, res)) return;
 
-    if (!license_key || !ban_id || !image_data) {
+    const { id, new_password } = req.body || {};
+    if (!id || !new_password) {
       return res.status(400).json({ success: false });
     }
 
-    const parsed = extractDataUriParts(image_data);
-    if (!parsed) {
-      return res.status(400).json({ success: false });
-    }
+    const { data: customer } = await supabase
+      .from("customers")
+      .select("username")
+      .eq("id", id)
+      .single();
 
-    const ext = parsed.mime.includes("png") ? "png" : "jpg";
-    const objectPath = `${license_key}/${ban_id}.${ext}`;
-    const binary = Buffer.from(parsed.base64, "base64");
+    if (!customer) return res.status(404).json({ success: false, error: "NOT_FOUND" });
 
-    const { error } = await supabase.storage
-      .from(SUPABASE_EVIDENCE_BUCKET)
-      .upload(objectPath, binary, {
-        contentType: parsed.mime,
-        upsert: true
-      });
+    const policyError = checkPasswordPolicy(new_password, { username: customer.username, minLength: PASSWORD_MIN_LENGTH });
+    if (policyError) return res.status(400).json({ success: false, error: policyError });
+
+    const password_hash = await hashPassword(new_password);
+
+    const { error } = await supabase
+      .from("customers")
+      .update({ password: password_hash })
+      .eq("id", id);
 
     if (error) {
-      console.log(error);
-      return res.status(500).json({ success:false });
+      console.error(error);
+      return res.status(500).json({ success: false });
     }
 
-    const { data } = supabase.storage
-      .from(SUPABASE_EVIDENCE_BUCKET)
-      .getPublicUrl(objectPath);
+    // a reset password should not leave old devices signed in
+    await revokeSessions({ subject_kind: "customer", subject_id: id });
 
-    await supabase
-      .from("ac_bans")
-      .update({ evidence_url: data.publicUrl })
-      .eq("ban_id", ban_id);
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.update_customer_password",
+      license_key: null,
+      target: id,
+    });
 
-    res.json({ success:true });
+    return res.json({ success: true });
 
   } catch (e) {
-    console.log(e);
-    res.status(500).json({ success:false });
+    console.error(e);
+    return res.status(500).json({ success: false });
   }
 });
 
+app.post("/admin/toggle-customer", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
 
+    const { id, active } = req.body;
 
-/* ================= LIVE MEMORY (status + players) ================= */
-const serverState = {}; // { [license_key]: { last_seen, players, uptime, version } }
-const livePlayersByLicense = {}; // { [license_key]: [{id,name,ping,identifiers?}] }
+    if (!id || typeof active !== "boolean") {
+      return res.status(400).json({ success: false });
+    }
 
-/* ===== HEARTBEAT ===== */
-app.post("/api/server/heartbeat", async (req, res) => {
-  try {
-    const { license_key, players, version, uptime } = req.body || {};
-    if (!license_key) return res.status(400).json({ success: false, error: "MISSING_LICENSE" });
+    const { data: before } = await supabase
+      .from("customers")
+      .select("active")
+      .eq("id", id)
+      .single();
 
-    livePlayersByLicense[license_key] = Array.isArray(players) ? players : [];
+    if (!before) return res.status(404).json({ success: false });
 
-    serverState[license_key] = {
-      last_seen: Date.now(),
-      players: livePlayersByLicense[license_key].length,
-      uptime: Number(uptime || 0),
-      version: version || null,
-    };
+    const { error } = await supabase
+      .from("customers")
+      .update({ active }) // 🔥 VIKTIGT
+      .eq("id", id);
 
-    // Optional: persist status
-    try {
-      await supabase.from("server_status").upsert({
-        license_key,
-        online: true,
-        players: livePlayersByLicense[license_key].length,
-        version: version || null,
-        uptime: Number(uptime || 0),
-        last_seen: new Date().toISOString(),
-      });
-    } catch (dbErr) {
-      // ignore if table missing
+    if (error) {
+      console.error(error);
+      return res.status(500).json({ success: false });
     }
 
+    // deactivated customers lose every session right away
+    if (!active) await revokeSessions({ subject_kind: "customer", subject_id: id });
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.toggle_customer",
+      license_key: null,
+      target: id,
+      before: { active: before.active },
+      after: { active },
+    });
+
     return res.json({ success: true });
+
   } catch (e) {
-    console.error("heartbeat error:", e);
+    console.error(e);
     return res.status(500).json({ success: false });
   }
 });
 
-app.get("/api/server/players/:license", (req, res) => {
-  const license = req.params.license;
-  return res.json({ success: true, players: livePlayersByLicense[license] || [] });
-});
+app.delete("/admin/delete-customer/:id", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
 
-app.get("/api/server/status/:license", (req, res) => {
-  const license = req.params.license;
-  const data = serverState[license];
+    const { id } = req.params;
 
-  if (!data) return res.json({ online: false, players: 0, uptime: 0, version: null });
+    const { error } = await supabase
+      .from("customers")
+      .delete()
+      .eq("id", id);
 
-  const online = Date.now() - data.last_seen < 30000;
+    if (error) {
+      console.error(error);
+      return res.status(500).json({ success: false });
+    }
 
-  return res.json({
-    online,
-    players: data.players || 0,
-    uptime: data.uptime || 0,
-    version: data.version || null,
-    last_seen: data.last_seen,
-  });
-});
+    await revokeSessions({ subject_kind: "customer", subject_id: id });
 
-/* ================= ACTION QUEUE (Dashboard -> FiveM poll) ================= */
-const actionQueue = {}; // { [license_key]: [ {id, type, payload, created_at} ] }
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.delete_customer",
+      license_key: null,
+      target: id,
+    });
 
-function pushAction(license_key, action) {
-  actionQueue[license_key] = actionQueue[license_key] || [];
-  actionQueue[license_key].push(action);
-  if (actionQueue[license_key].length > 200) actionQueue[license_key].splice(0, 50);
-}
+    return res.json({ success: true });
 
-// Dashboard: create action (auth via token = customers.id OR panel admin invite token)
-app.post("/api/dashboard/action", async (req, res) => {
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+
+// kund sparars 
+app.get("/admin/customers", async (req, res) => {
   try {
-    const { token, type, payload } = req.body || {};
-    if (!token || !type) return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+    if (!requireAdmin(req, res)) return;
 
-    // NEW: allow both customers and panel admins
-    const identity = await resolvePanelIdentity(token);
-    if (!identity) return res.status(401).json({ success: false, error: "UNAUTHORIZED" });
+    const { data, error } = await supabase
+      .from("customers")
+      .select("*")
+      .order("created_at", { ascending: false });
 
-    const license_key = identity.license_key;
-    const id = "ACT-" + Date.now() + "-" + Math.floor(Math.random() * 9999);
+    if (error) {
+      console.error(error);
+      return res.status(500).json({ success: false });
+    }
 
-    pushAction(license_key, {
-      id,
-      type, // "kick" | "ban" | "dm" | "freeze"
-      payload: payload || {},
-      created_at: new Date().toISOString(),
+    // never ship password hashes or 2FA secrets to the admin UI
+    return res.json({
+      success: true,
+      data: (data || []).map(({ password, totp_secret, totp_pending_secret, totp_recovery_hashes, ...rest }) => rest),
     });
 
-    return res.json({ success: true, id });
-  } catch (e) {
-    console.error("dashboard/action error:", e);
+  } catch (err) {
+    console.error(err);
     return res.status(500).json({ success: false });
   }
 });
 
-// FiveM: get actions (poll)
-// NOTE: clears queue after fetch
-app.get("/api/server/actions/:license", (req, res) => {
-  const license_key = req.params.license;
-  const list = actionQueue[license_key] || [];
-  actionQueue[license_key] = [];
-  return res.json({ success: true, actions: list });
-});
-
-/* ================= LOGS (Live + Persist) ================= */
-// In-memory logs for fast “live view”
-const serverLogs = {}; // { [license_key]: [{id,time,level,type,title,message,meta}] }
+// Admin override: reset HWID without cooldown/quota. body: { license_key, reason? }
+app.post("/admin/reset-hwid", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
 
-function pushServerLog(license_key, item) {
-  serverLogs[license_key] = serverLogs[license_key] || [];
-  serverLogs[license_key].unshift(item);
-  if (serverLogs[license_key].length > 300) serverLogs[license_key].length = 300;
-}
+    const { license_key, reason } = req.body || {};
+    if (!license_key) return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
 
-// FiveM -> backend: send log
-// body: { license_key, level?, type?, title?, message, meta? }
-app.post("/api/server/log", async (req, res) => {
-  try {
-    const { license_key, level, type, title, message, meta } = req.body || {};
-    if (!license_key || !message) {
-      return res.status(400).json({ success: false, error: "MISSING_LICENSE_OR_MESSAGE" });
-    }
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("*")
+      .eq("license_key", license_key)
+      .single();
 
-    const item = {
-      id: "LOG-" + Date.now() + "-" + Math.floor(Math.random() * 9999),
-      time: new Date().toISOString(),
-      level: level || "info",
-      type: type || "log",
-      title: title || "Server",
-      message,
-      meta: meta || null,
-    };
+    if (!lic) return res.status(404).json({ success: false, error: "LICENSE_NOT_FOUND" });
 
-    // 1) live memory
-    pushServerLog(license_key, item);
+    const ok = await resetHwid(lic, { actor: "admin", actorKind: "superadmin", reason });
+    if (!ok) return res.status(500).json({ success: false, error: "DB_ERROR" });
 
-    // 2) persist to Supabase if table exists (optional)
-    // Table suggestion: server_logs(license_key text, level text, type text, title text, message text, meta jsonb, created_at timestamp default now())
-    try {
-      await supabase.from("server_logs").insert([
-        {
-          license_key,
-          level: item.level,
-          type: item.type,
-          title: item.title,
-          message: item.message,
-          meta: item.meta,
-        },
-      ]);
-    } catch (dbErr) {
-      // ignore if missing table / RLS / etc.
-    }
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.reset_hwid",
+      license_key,
+      target: license_key,
+      before: { hwid: lic.hwid || null },
+      after: { hwid: null },
+    });
 
     return res.json({ success: true });
-  } catch (e) {
-    console.error("server/log error:", e);
+  } catch (err) {
+    console.error("admin/reset-hwid error:", err);
     return res.status(500).json({ success: false });
   }
 });
 
-// Dashboard -> get logs
-// returns BOTH "data" and "logs" to prevent UI mismatch
-app.get("/api/server/logs/:license", async (req, res) => {
-  const license_key = req.params.license;
-  const limit = Math.min(parseInt(req.query.limit || "200", 10), 500);
-
-  // Prefer DB logs if available, fallback to memory
+app.get("/admin/hwid-history/:license_key", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("server_logs")
-      .select("id, license_key, level, type, title, message, meta, created_at")
-      .eq("license_key", license_key)
-      .order("created_at", { ascending: false })
-      .limit(limit);
-
-    if (!error && Array.isArray(data)) {
-      const mapped = data.map((x) => ({
-        id: x.id || ("DB-" + x.created_at),
-        time: x.created_at,
-        level: x.level || "info",
-        type: x.type || "log",
-        title: x.title || "Server",
-        message: x.message,
-        meta: x.meta ?? null,
-      }));
+    if (!requireAdmin(req, res)) return;
 
-      return res.json({ success: true, data: mapped, logs: mapped });
-    }
-  } catch (e) {
-    // ignore, fallback below
+    return res.json({ success: true, ...(await hwidHistory(req.params.license_key)) });
+  } catch (err) {
+    console.error("admin/hwid-history error:", err);
+    return res.status(500).json({ success: false });
   }
+});
 
-  const mem = (serverLogs[license_key] || []).slice(0, limit);
-  return res.json({ success: true, data: mem, logs: mem });
+// Plan catalogue (code defaults merged with license_plans rows)
+app.get("/admin/plans", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const plans = await loadPlans();
+    return res.json({ success: true, plans, default_plan: DEFAULT_LICENSE_PLAN, detection_keys: DETECTION_KEYS });
+  } catch (err) {
+    console.error("admin/plans error:", err);
+    return res.status(500).json({ success: false });
+  }
 });
 
-/* ================= LOGIN ================= */
-app.post("/api/login", async (req, res) => {
+// body: { name, limits: { max_panel_admins?, detections?, log_retention_days?, evidence_uploads? } }
+app.post("/admin/plans/save", async (req, res) => {
   try {
-    const { username, password } = req.body || {};
-    if (!username || !password) return res.json({ success: false });
+    if (!requireAdmin(req, res)) return;
 
-    const hash = sha256(password);
+    const { name, limits } = req.body || {};
+    if (!name || !/^[a-z0-9_-]{2,32}$/.test(String(name))) {
+      return res.status(400).json({ success: false, error: "INVALID_PLAN_NAME" });
+    }
 
-    const { data: user, error } = await supabase
-  .from("customers")
-  .select("*")
-  .eq("username", username)
-  .eq("password", hash)
-  .eq("active", true) // 🔥 viktigt
-  .single();
+    const invalid = validatePlanLimits(limits);
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+    const plans = await loadPlans();
+    const before = hasPlan(plans, name) ? plans[name] : null;
+    const merged = { ...(before || DEFAULT_PLANS.basic), ...limits };
+
+    const { error } = await supabase
+      .from("license_plans")
+      .upsert({ name, limits: merged, updated_at: new Date().toISOString() }, { onConflict: "name" });
 
-    if (error || !user) return res.json({ success: false });
+    if (error) return res.status(500).json({ success: false });
+
+    planCache = { at: 0, plans: null };
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.save_plan",
+      target: name,
+      before,
+      after: merged,
+    });
 
-    return res.json({ success: true, license_key: user.license_key, token: user.id });
+    return res.json({ success: true, plan: { name, ...merged } });
   } catch (err) {
-    console.error("login error:", err);
+    console.error("admin/plans/save error:", err);
     return res.status(500).json({ success: false });
   }
 });
 
-/* ================= NEW: PANEL ADMINS ROUTES ================= */
-/**
- * Required Supabase table (run in SQL editor):
- *
- * create table if not exists public.panel_admins (
- *   id uuid primary key default gen_random_uuid(),
- *   license_key text not null,
- *   name text not null,
- *   steam text,
- *   discord text,
- *   role text not null default 'admin',
- *   active boolean not null default true,
- *   token_hash text not null,
- *   created_at timestamptz not null default now()
- * );
- * create index if not exists idx_panel_admins_license_key on public.panel_admins (license_key);
- * create unique index if not exists uq_panel_admins_token_hash on public.panel_admins (token_hash);
- */
-
-// Owner (customer) lists admins for their license
-app.post("/api/panel/admins/list", async (req, res) => {
+// body: { license_key, plan?, overrides? }  overrides: null clears them
+app.post("/admin/set-plan", async (req, res) => {
   try {
-    const user = await requireCustomer(req, res);
-    if (!user) return;
+    if (!requireAdmin(req, res)) return;
 
-    const { data, error } = await supabase
-      .from("panel_admins")
-      .select("id, name, steam, discord, role, active, created_at")
-      .eq("license_key", user.license_key)
-      .order("created_at", { ascending: false });
+    const { license_key, plan, overrides } = req.body || {};
+    if (!license_key) return res.status(400).json({ success: false });
 
-    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
-    return res.json({ success: true, data: data || [] });
-  } catch (e) {
-    console.error("panel/admins/list error:", e);
+    const patch = {};
+    if (plan !== undefined) {
+      if (!hasPlan(await loadPlans(), plan)) {
+        return res.status(400).json({ success: false, error: "UNKNOWN_PLAN" });
+      }
+      patch.plan = plan;
+    }
+    if (overrides !== undefined) {
+      if (overrides !== null) {
+        const invalid = validatePlanLimits(overrides);
+        if (invalid) return res.status(400).json({ success: false, error: invalid });
+      }
+      patch.plan_overrides = overrides;
+    }
+    if (!Object.keys(patch).length) {
+      return res.status(400).json({ success: false, error: "NOTHING_TO_UPDATE" });
+    }
+
+    const { data: lic } = await supabase
+      .from("licenses")
+      .select("license_key, plan, plan_overrides")
+      .eq("license_key", license_key)
+      .single();
+
+    if (!lic) return res.status(404).json({ success: false, error: "LICENSE_NOT_FOUND" });
+
+    const { error } = await supabase.from("licenses").update(patch).eq("license_key", license_key);
+    if (error) return res.status(500).json({ success: false });
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.set_plan",
+      license_key,
+      target: license_key,
+      before: { plan: lic.plan, plan_overrides: lic.plan_overrides },
+      after: patch,
+    });
+
+    const entitlements = await licenseEntitlements({ ...lic, ...patch });
+    return res.json({ success: true, entitlements });
+  } catch (err) {
+    console.error("admin/set-plan error:", err);
     return res.status(500).json({ success: false });
   }
 });
 
-// Owner (customer) adds an admin and receives invite_token ONCE
-app.post("/api/panel/admins/add", async (req, res) => {
+// Licenses that look shared: live score + evidence, plus stored flags.
+// query: ?min_score= (default ABUSE_FLAG_SCORE)
+app.get("/admin/license-abuse", async (req, res) => {
   try {
-    const user = await requireCustomer(req, res);
-    if (!user) return;
+    if (!requireAdmin(req, res)) return;
 
-    const { name, steam, discord, role } = req.body || {};
-    if (!name) return res.status(400).json({ success: false, error: "MISSING_NAME" });
+    const minScore = Number(req.query.min_score ?? ABUSE_FLAG_SCORE);
 
-    const invite_token = randomToken(24);
-    const token_hash = sha256(invite_token);
+    const live = abuseTracker.live(minScore);
 
-    const { data, error } = await supabase
-      .from("panel_admins")
-      .insert([
-        {
-          license_key: user.license_key,
-          name,
-          steam: steam || null,
-          discord: discord || null,
-          role: role || "admin",
-          active: true,
-          token_hash,
-        },
-      ])
-      .select("id, name, steam, discord, role, active, created_at")
-      .single();
+    const { data: flags } = await supabase
+      .from("license_abuse_flags")
+      .select("*")
+      .gte("score", minScore)
+      .order("created_at", { ascending: false })
+      .limit(200);
 
-    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+    return res.json({ success: true, live, flags: flags || [] });
+  } catch (err) {
+    console.error("admin/license-abuse error:", err);
+    return res.status(500).json({ success: false });
+  }
+});
 
-    return res.json({ success: true, admin: data, invite_token });
+// Locked (and recently failing) IPs / accounts / license keys
+app.get("/admin/auth-locks", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const data = authLocks.list();
+    return res.json({ success: true, data });
   } catch (e) {
-    console.error("panel/admins/add error:", e);
+    console.error("admin/auth-locks error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-// Owner (customer) removes an admin
-app.post("/api/panel/admins/remove", async (req, res) => {
+// Unlock one entry. body: { scope, key }
+app.post("/admin/auth-locks/clear", async (req, res) => {
   try {
-    const user = await requireCustomer(req, res);
-    if (!user) return;
+    if (!requireAdmin(req, res)) return;
 
-    const { id } = req.body || {};
-    if (!id) return res.status(400).json({ success: false, error: "MISSING_ID" });
+    const { scope, key } = req.body || {};
+    if (!scope || key == null) return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
 
-    const { error } = await supabase
-      .from("panel_admins")
-      .delete()
-      .eq("id", id)
-      .eq("license_key", user.license_key);
+    authLocks.clear(scope, String(key));
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.clear_auth_lock",
+      license_key: null,
+      target: `${scope}:${key}`,
+    });
 
-    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
     return res.json({ success: true });
   } catch (e) {
-    console.error("panel/admins/remove error:", e);
+    console.error("admin/auth-locks/clear error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-// Owner (customer) toggles active
-app.post("/api/panel/admins/toggle", async (req, res) => {
+// Reset 2FA for a customer or panel admin who lost their device
+// body: { kind: "customer" | "admin", id }
+app.post("/admin/reset-2fa", async (req, res) => {
   try {
-    const user = await requireCustomer(req, res);
-    if (!user) return;
+    if (!requireAdmin(req, res)) return;
 
-    const { id, active } = req.body || {};
-    if (!id || typeof active !== "boolean") {
+    const { kind, id } = req.body || {};
+    if (!id || !["customer", "admin"].includes(kind)) {
       return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
     }
 
-    const { error } = await supabase
-      .from("panel_admins")
-      .update({ active })
+    const table = kind === "customer" ? "customers" : "panel_admins";
+    // a reset admin re-enrolls through their invite again
+    const reset = kind === "admin" ? { ...TOTP_RESET, invite_2fa_at: null } : TOTP_RESET;
+    const { data, error } = await supabase
+      .from(table)
+      .update(reset)
       .eq("id", id)
-      .eq("license_key", user.license_key);
+      .select("id, license_key");
 
     if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+    if (!data || !data.length) return res.status(404).json({ success: false, error: "NOT_FOUND" });
+
+    await revokeSessions({ subject_kind: kind, subject_id: id });
+
+    await recordAudit(req, SUPERADMIN_ACTOR, {
+      action: "admin.reset_2fa",
+      license_key: data[0].license_key,
+      target: `${kind}:${id}`,
+    });
+
     return res.json({ success: true });
   } catch (e) {
-    console.error("panel/admins/toggle error:", e);
+    console.error("admin/reset-2fa error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-// Panel admin login using invite_token
-app.post("/api/panel/admins/login", async (req, res) => {
+// Global audit log, optional ?license_key= on top of the usual filters
+app.get("/admin/audit", async (req, res) => {
   try {
-    const { token } = req.body || {};
-    if (!token) return res.status(400).json({ success: false });
-
-    const identity = await resolvePanelIdentity(token);
-    if (!identity || identity.kind !== "admin") return res.json({ success: false });
+    if (!requireAdmin(req, res)) return;
 
-    return res.json({
-      success: true,
-      license_key: identity.license_key,
-      admin: {
-        id: identity.admin.id,
-        name: identity.admin.name,
-        role: identity.admin.role,
-      },
-      token, // client stores same token
-    });
+    const result = await queryAudit(req.query.license_key || null, req.query);
+    return res.json({ success: true, ...result });
   } catch (e) {
-    console.error("panel/admins/login error:", e);
+    console.error("admin/audit error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-/* ================= CUSTOMER ================= */
-app.post("/customer/dashboard", async (req, res) => {
-  try {
-    const { token } = req.body || {};
-    if (!token) return res.status(401).json({ success: false });
+/* ================= DETECTION SETTINGS ================= */
+/**
+ * One JSON document per license in detection_settings.config:
+ *   { noclip: { enabled, punishment }, speed: { enabled, punishment, max_speed }, ... }
+ * Rows from before the document existed only have the boolean columns; they
+ * are read as { enabled: <column> } on top of DETECTION_DEFAULTS. The boolean
+ * columns are still written so older resources keep working.
+ *
+ * Every save is also kept as a numbered version (author, source) so changes
+ * can be diffed and rolled back. The first save of a license stores the
+ * config it replaced as version 1.
+ *
+ * alter table public.detection_settings add column if not exists config jsonb;
+ * alter table public.detection_settings add column if not exists config_version integer;
+ * create table if not exists public.detection_config_versions (
+ *   id bigint generated always as identity primary key,
+ *   license_key text not null,
+ *   version integer not null,
+ *   config jsonb not null,
+ *   source text not null,            -- initial | edit | rollback | preset
+ *   ref text,                        -- rolled back version / preset name
+ *   actor_kind text,
+ *   actor_id text,
+ *   actor_name text,
+ *   created_at timestamptz not null default now(),
+ *   unique (license_key, version)
+ * );
+ *
+ * The schema, defaults, presets and diffing live in detections.js.
+ */
+async function ensureDetectionRow(license_key) {
+  const { data } = await supabase
+    .from("detection_settings")
+    .select("license_key")
+    .eq("license_key", license_key)
+    .single();
 
-    const { data: user } = await supabase.from("customers").select("*").eq("id", token).single();
-    if (!user) return res.status(401).json({ success: false });
+  if (!data) {
+    await supabase
+      .from("detection_settings")
+      .insert([{ license_key }]);
+  }
+}
 
-    const { data: lic } = await supabase
-      .from("licenses")
-      .select("*")
-      .eq("license_key", user.license_key)
-      .single();
+async function loadDetectionRow(license_key) {
+  await ensureDetectionRow(license_key);
 
-    if (!lic) return res.status(404).json({ success: false });
+  const { data, error } = await supabase
+    .from("detection_settings")
+    .select("*")
+    .eq("license_key", license_key)
+    .single();
 
-    return res.json({
-      success: true,
-      data: { license_key: lic.license_key, status: lic.status, expires_at: lic.expires_at },
-    });
-  } catch (err) {
-    console.error("customer/dashboard error:", err);
-    return res.status(500).json({ success: false });
-  }
-});
+  if (error || !data) return null;
+  return data;
+}
 
-app.post("/customer/toggle", async (req, res) => {
-  try {
-    const { token, status } = req.body || {};
-    if (!token || !status) return res.status(400).json({ success: false });
+async function loadDetectionConfig(license_key) {
+  const row = await loadDetectionRow(license_key);
+  return row ? detectionConfigOf(row) : null;
+}
 
-    const { data: user } = await supabase.from("customers").select("*").eq("id", token).single();
-    if (!user) return res.status(401).json({ success: false });
+// Returns the insert error (23505 = that version number is taken), or null
+async function insertDetectionVersion(license_key, version, config, source, ref, identity) {
+  const { error } = await supabase.from("detection_config_versions").insert([
+    { license_key, version, config, source, ref: ref ?? null, ...auditActor(identity) },
+  ]);
+  if (error && error.code !== "23505") console.error("detection version insert error:", error);
+  return error || null;
+}
 
-    await supabase.from("licenses").update({ status }).eq("license_key", user.license_key);
-    return res.json({ success: true });
-  } catch (err) {
-    console.error("customer/toggle error:", err);
-    return res.status(500).json({ success: false });
-  }
-});
+// Reserves the next version number for `config`. -> version, or null on a DB error
+async function reserveDetectionVersion(license_key, before, config, source, ref, identity) {
+  // a concurrent save that took the same number makes us retry with the next one
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: latest } = await supabase
+      .from("detection_config_versions")
+      .select("version")
+      .eq("license_key", license_key)
+      .order("version", { ascending: false })
+      .limit(1);
+
+    let next = latest?.[0]?.version || 0;
+    if (!next) {
+      // taken by a concurrent first save is fine, it stored the same config
+      const error = await insertDetectionVersion(license_key, 1, before, "initial", null, { kind: "system", name: "system" });
+      if (error && error.code !== "23505") return null;
+      next = 1;
+    }
+    next += 1;
 
-/* ================= ADMIN ================= */
-app.post("/admin/create-license", async (req, res) => {
-  try {
-    if (!requireAdmin(req, res)) return;
+    const error = await insertDetectionVersion(license_key, next, config, source, ref, identity);
+    if (!error) return next;
+    if (error.code !== "23505") return null;
+  }
+  return null;
+}
 
-    const { days_valid, lifetime } = req.body || {};
+// Saves build(currentConfig) as the next version, makes it live and audits it.
+// The version row goes first so the live config never runs ahead of its history.
+// The settings row is only written if nobody saved since we read it; otherwise the
+// reserved version is dropped and build() runs again on the newer config, so
+// concurrent partial edits both land and servers always run the newest version.
+// -> { version, config } or { error: "DETECTION_CONFLICT" | "DB_ERROR" }
+async function saveDetectionConfig(req, identity, license_key, build, { source, ref = null, target }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const row = await loadDetectionRow(license_key);
+    if (!row) return { error: "DB_ERROR" };
+    const before = detectionConfigOf(row);
+    const config = build(before);
+
+    const version = await reserveDetectionVersion(license_key, before, config, source, ref, identity);
+    if (!version) return { error: "DB_ERROR" };
+
+    const update = {
+      config,
+      config_version: version,
+      updated_at: new Date().toISOString(),
+      ...legacyDetectionColumns(config),
+    };
 
-    let expires_at = null;
+    let query = supabase.from("detection_settings").update(update).eq("license_key", license_key);
+    query = row.config_version == null ? query.is("config_version", null) : query.eq("config_version", row.config_version);
+    const { data: written, error } = await query.select("license_key");
 
-    // Om INTE lifetime och dagar är angivet
-    if (!lifetime && Number(days_valid) > 0) {
-      const d = new Date();
-      d.setDate(d.getDate() + Number(days_valid));
-      expires_at = d.toISOString();
+    if (error || !written?.length) {
+      // never went live: drop it so history matches what servers actually ran
+      await supabase.from("detection_config_versions").delete().eq("license_key", license_key).eq("version", version);
+      if (error) return { error: "DB_ERROR" };
+      continue;
     }
 
-    const license_key = generateLicenseKey();
+    await recordAudit(req, identity, {
+      action: "detection." + (source === "edit" ? "update" : source),
+      target: target ?? ref,
+      before,
+      after: config,
+    });
 
-    await supabase.from("licenses").insert([
-      {
-        license_key,
-        status: "ACTIVE",
-        expires_at,
-        hwid: null
-      }
-    ]);
+    return { version, config };
+  }
+  return { error: "DETECTION_CONFLICT" };
+}
 
-    return res.json({ success: true, license_key });
+// 409 when concurrent saves kept winning, 500 otherwise
+function detectionSaveFailed(res, saved) {
+  return res.status(saved.error === "DETECTION_CONFLICT" ? 409 : 500).json({ success: false, error: saved.error });
+}
+
+// Body-token auth shared by the dashboard detection routes.
+// Sends 400/401/403 and returns null on failure.
+async function detectionIdentity(req, res, permission) {
+  const { token, license_key } = req.body || {};
+  if (!token || !license_key) {
+    res.status(400).json({ success: false });
+    return null;
+  }
+
+  // allow both customers and panel admins
+  const identity = await resolvePanelIdentity(token);
+  if (!identity || identity.license_key !== license_key) {
+    res.status(401).json(identity ? { success: false } : unauthorizedBody(token));
+    return null;
+  }
+  if (!(await requirePermission(res, identity, permission))) return null;
+  return identity;
+}
+
+// GET detections (FiveM + Dashboard)
+// settings = legacy booleans, config = full document
+app.get("/api/server/detections/:license", async (req, res) => {
+  try {
+    const license_key = req.params.license;
+    if (!license_key) return res.json({ success: false });
+
+    const row = await loadDetectionRow(license_key);
+    if (!row) return res.json({ success: false });
+    const entitlements = await entitlementsForKey(license_key);
+    const config = withinPlan(detectionConfigOf(row), entitlements);
+    const settings = { license_key, ...legacyDetectionColumns(config) };
+
+    // lists are only sent when the resource's copy (?blacklists_hash=) is stale;
+    // if they can't be read the field is left out and the resource keeps its copy
+    let blacklists;
+    try {
+      const loaded = await loadBlacklists(license_key);
+      blacklists =
+        req.query.blacklists_hash && req.query.blacklists_hash === loaded.hash
+          ? { hash: loaded.hash, unchanged: true }
+          : loaded;
+    } catch (e) {
+      console.error("detections GET blacklists error:", e);
+    }
 
-  } catch (err) {
-    console.error("admin/create-license error:", err);
+    return res.json({
+      success: true,
+      settings,
+      config,
+      version: row.config_version || null,
+      entitlements,
+      ...(blacklists ? { blacklists } : {}),
+    });
+  } catch (e) {
+    console.error("detections GET error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-app.get("/admin/licenses", async (req, res) => {
+// UPDATE detections (Dashboard)
+// body: { token, license_key, settings: { speed: { max_speed: 90 }, ... } }  (partial)
+//   or the old toggle form { token, license_key, key, value }
+app.post("/api/dashboard/detections", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    const identity = await detectionIdentity(req, res, "detections.edit");
+    if (!identity) return;
+
+    const { license_key, key, value } = req.body;
+    let patch = req.body.settings;
+    if (patch === undefined) {
+      if (!key) return res.status(400).json({ success: false });
+      patch = { [key]: { enabled: Boolean(value) } };
+    }
 
-    const { data } = await supabase.from("licenses").select("*").order("created_at", { ascending: false });
-    return res.json({ success: true, data: data || [] });
-  } catch (err) {
-    console.error("admin/licenses error:", err);
+    const invalid = validateDetectionPatch(patch);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: "INVALID_SETTINGS", ...invalid });
+    }
+
+    const entitlements = await entitlementsForKey(license_key);
+    const locked = lockedDetection(patch, entitlements);
+    if (locked) {
+      return res.status(403).json({
+        success: false,
+        error: "PLAN_FEATURE_UNAVAILABLE",
+        field: locked,
+        plan: entitlements.plan,
+      });
+    }
+
+    // merged into whatever is live at write time, so concurrent edits of other fields survive
+    const build = (before) => mergeDetectionConfig(before, patch);
+    const saved = await saveDetectionConfig(req, identity, license_key, build, {
+      source: "edit",
+      target: Object.keys(patch).join(","),
+    });
+    if (saved.error) return detectionSaveFailed(res, saved);
+
+    return res.json({ success: true, config: saved.config, version: saved.version });
+  } catch (e) {
+    console.error("detections UPDATE error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-app.post("/admin/toggle-license", async (req, res) => {
+// body: { token, license_key, limit? }
+app.post("/api/dashboard/detections/versions", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    const identity = await detectionIdentity(req, res, "dashboard.view");
+    if (!identity) return;
 
-    const { license_key, status } = req.body || {};
-    if (!license_key || !status) return res.status(400).json({ success: false });
+    const { license_key, limit } = req.body;
+    const { data } = await supabase
+      .from("detection_config_versions")
+      .select("version, source, ref, actor_kind, actor_id, actor_name, created_at")
+      .eq("license_key", license_key)
+      .order("version", { ascending: false })
+      .limit(Math.min(Number(limit) || 50, 200));
 
-    await supabase.from("licenses").update({ status }).eq("license_key", license_key);
-    return res.json({ success: true });
-  } catch (err) {
-    console.error("admin/toggle-license error:", err);
+    return res.json({ success: true, versions: data || [] });
+  } catch (e) {
+    console.error("detections/versions error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-
-app.delete("/admin/delete-license/:license_key", async (req, res) => {
+// body: { token, license_key, from, to? }  (to defaults to the current config)
+app.post("/api/dashboard/detections/diff", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    const identity = await detectionIdentity(req, res, "dashboard.view");
+    if (!identity) return;
 
-    const { license_key } = req.params;
-
-    if (!license_key) {
-      return res.status(400).json({ success: false });
+    const { license_key, from, to } = req.body;
+    const wanted = [from, to].filter((v) => v !== undefined && v !== null).map(Number);
+    if (from === undefined || wanted.some((v) => !Number.isInteger(v))) {
+      return res.status(400).json({ success: false, error: "INVALID_VERSION" });
     }
 
-    // 🔥 radera först kunder kopplade till licensen (valfritt men smart)
-    await supabase
-      .from("customers")
-      .delete()
-      .eq("license_key", license_key);
-
-    // 🔥 radera licensen
-    const { error } = await supabase
-      .from("licenses")
-      .delete()
-      .eq("license_key", license_key);
+    const { data } = await supabase
+      .from("detection_config_versions")
+      .select("version, config")
+      .eq("license_key", license_key)
+      .in("version", wanted);
 
-    if (error) {
-      console.error(error);
-      return res.status(500).json({ success: false });
-    }
+    const byVersion = Object.fromEntries((data || []).map((v) => [v.version, v.config]));
+    const fromConfig = byVersion[Number(from)];
+    const toConfig = to === undefined || to === null ? await loadDetectionConfig(license_key) : byVersion[Number(to)];
 
-    return res.json({ success: true });
+    if (!fromConfig || !toConfig) return res.status(404).json({ success: false, error: "VERSION_NOT_FOUND" });
 
+    return res.json({
+      success: true,
+      from: Number(from),
+      to: to ?? "current",
+      changes: detectionConfigDiff(fromConfig, toConfig),
+    });
   } catch (e) {
-    console.error(e);
+    console.error("detections/diff error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-
-app.post("/admin/create-customer", async (req, res) => {
+// Restores an old version as a new version. body: { token, license_key, version }
+app.post("/api/dashboard/detections/rollback", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
-
-    const { username, password, license_key } = req.body || {};
+    const identity = await detectionIdentity(req, res, "detections.edit");
+    if (!identity) return;
 
-    if (!username || !password || !license_key) {
-      return res.status(400).json({ success: false, error: "MISSING_FIELDS" });
+    const { license_key, version } = req.body;
+    if (!Number.isInteger(Number(version))) {
+      return res.status(400).json({ success: false, error: "INVALID_VERSION" });
     }
 
-    // kolla att license finns
-    const { data: lic } = await supabase
-      .from("licenses")
-      .select("*")
+    const { data: target } = await supabase
+      .from("detection_config_versions")
+      .select("version, config")
       .eq("license_key", license_key)
+      .eq("version", Number(version))
       .single();
 
-    if (!lic) {
-      return res.status(404).json({ success: false, error: "LICENSE_NOT_FOUND" });
-    }
+    if (!target) return res.status(404).json({ success: false, error: "VERSION_NOT_FOUND" });
 
-    const password_hash = sha256(password);
+    // a plan downgrade since then must not switch locked detections back on
+    const entitlements = await entitlementsForKey(license_key);
+    const config = withinPlan(mergeDetectionConfig(DETECTION_DEFAULTS, target.config), entitlements);
 
-    const { data, error } = await supabase
-      .from("customers")
-      .insert([
-        {
-          username,
-          password: password_hash,
-          license_key,
-        },
-      ])
-      .select()
-      .single();
+    const saved = await saveDetectionConfig(req, identity, license_key, () => config, {
+      source: "rollback",
+      ref: String(target.version),
+    });
+    if (saved.error) return detectionSaveFailed(res, saved);
 
-    if (error) {
-      console.error("create-customer error:", error);
-      return res.status(500).json({ success: false, error: "DB_ERROR" });
+    return res.json({ success: true, config, version: saved.version, restored: target.version });
+  } catch (e) {
+    console.error("detections/rollback error:", e);
+    return res.status(500).json({ success: false });
+  }
+});
+
+app.get("/api/dashboard/detections/presets", (req, res) => {
+  return res.json({ success: true, presets: detectionPresets() });
+});
+
+// Replaces the config with a preset; later edits customize it as usual.
+// Detections outside the plan keep their current settings.
+// body: { token, license_key, preset }
+app.post("/api/dashboard/detections/preset", async (req, res) => {
+  try {
+    const identity = await detectionIdentity(req, res, "detections.edit");
+    if (!identity) return;
+
+    const { license_key, preset } = req.body;
+    if (!hasDetectionPreset(preset)) {
+      return res.status(400).json({
+        success: false,
+        error: "UNKNOWN_PRESET",
+        presets: detectionPresets().map((p) => p.name),
+      });
     }
 
-    return res.json({ success: true, customer: data });
-  } catch (err) {
-    console.error("admin/create-customer error:", err);
+    const entitlements = await entitlementsForKey(license_key);
+    const build = (before) => presetConfig(preset, before, entitlements);
+
+    const saved = await saveDetectionConfig(req, identity, license_key, build, { source: "preset", ref: preset });
+    if (saved.error) return detectionSaveFailed(res, saved);
+
+    return res.json({ success: true, config: saved.config, version: saved.version, preset });
+  } catch (e) {
+    console.error("detections/preset error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
 
-app.post("/admin/update-customer-password", async (req, res) => {
-  try {
-    if (!requireAdmin(req, res)) return;
+/* ================= BLACKLISTS ================= */
+/**
+ * Per-license lists of vehicle models, weapons, props and peds. An entry is
+ * one of:
+ *   name      "adder"          -> stored with its joaat hash
+ *   hash      "0xB779A091" / "-1216765807" (models without a known name)
+ *   wildcard  "police*"        -> matched by name in the resource, no hash
+ * A list's punishment is optional; null means the resource's own default
+ * (for vehicles: the blacklistedVehicle detection's punishment).
+ *
+ * create table if not exists public.blacklist_entries (
+ *   id bigint generated always as identity primary key,
+ *   license_key text not null,
+ *   list text not null,              -- vehicle | weapon | prop | ped
+ *   value text not null,
+ *   hash integer,                    -- signed, as GetEntityModel returns it
+ *   note text,
+ *   created_at timestamptz not null default now(),
+ *   unique (license_key, list, value)
+ * );
+ * create table if not exists public.blacklist_settings (
+ *   license_key text not null,
+ *   list text not null,
+ *   punishment text,
+ *   primary key (license_key, list)
+ * );
+ *
+ * Parsing, joaat and the delivery shape live in blacklists.js.
+ */
+const BLACKLIST_MAX_ENTRIES = 2000; // per list
+const BLACKLIST_IMPORT_MAX = 1000;  // per request
+const BLACKLIST_PAGE_SIZE = 1000;   // PostgREST caps a response at max_rows (1000 on Supabase)
+const BLACKLIST_DELETE_CHUNK = 200; // ids per delete request, keeps the URL short
+
+// Every entry of a license (optionally one list), paged so nothing past max_rows
+// is silently dropped. Throws on a DB error.
+async function fetchBlacklistEntries(license_key, columns, list = null) {
+  const rows = [];
+  for (let from = 0; ; from += BLACKLIST_PAGE_SIZE) {
+    let query = supabase
+      .from("blacklist_entries")
+      .select(columns)
+      .eq("license_key", license_key)
+      .order("id", { ascending: true })
+      .range(from, from + BLACKLIST_PAGE_SIZE - 1);
+    if (list) query = query.eq("list", list);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < BLACKLIST_PAGE_SIZE) return rows;
+  }
+}
 
-    const { id, new_password } = req.body || {};
-    if (!id || !new_password) {
-      return res.status(400).json({ success: false });
-    }
+// blacklistDelivery of a license. Throws on a DB error, so a failed read never looks like an empty list.
+async function loadBlacklists(license_key) {
+  const [entries, { data: settings, error: settingsError }] = await Promise.all([
+    fetchBlacklistEntries(license_key, "id, list, value, hash"),
+    supabase.from("blacklist_settings").select("list, punishment").eq("license_key", license_key),
+  ]);
+  if (settingsError) throw settingsError;
 
-    const password_hash = sha256(new_password);
+  return blacklistDelivery(entries, settings || []);
+}
 
-    const { error } = await supabase
-      .from("customers")
-      .update({ password: password_hash })
-      .eq("id", id);
+async function blacklistCount(license_key, list) {
+  const { count } = await supabase
+    .from("blacklist_entries")
+    .select("id", { count: "exact", head: true })
+    .eq("license_key", license_key)
+    .eq("list", list);
+  return count || 0;
+}
 
-    if (error) {
-      console.error(error);
-      return res.status(500).json({ success: false });
-    }
+function validBlacklistList(res, list) {
+  if (BLACKLIST_LISTS.includes(list)) return true;
+  res.status(400).json({ success: false, error: "INVALID_LIST", lists: BLACKLIST_LISTS });
+  return false;
+}
 
-    return res.json({ success: true });
+// Full entries for the panel. body: { token, license_key, list? }
+app.post("/api/dashboard/blacklists", async (req, res) => {
+  try {
+    const identity = await detectionIdentity(req, res, "dashboard.view");
+    if (!identity) return;
+
+    const { license_key, list } = req.body;
+    if (list !== undefined && !validBlacklistList(res, list)) return;
+
+    const [entries, blacklists] = await Promise.all([
+      fetchBlacklistEntries(license_key, "id, list, value, hash, note, created_at", list || null),
+      loadBlacklists(license_key),
+    ]);
+    entries.sort((a, b) => a.value.localeCompare(b.value));
 
+    const punishments = Object.fromEntries(BLACKLIST_LISTS.map((l) => [l, blacklists.lists[l].punishment]));
+    return res.json({ success: true, entries, punishments, hash: blacklists.hash });
   } catch (e) {
-    console.error(e);
+    console.error("blacklists error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-app.post("/admin/toggle-customer", async (req, res) => {
+// body: { token, license_key, list, value, note? }
+app.post("/api/dashboard/blacklists/add", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    const identity = await detectionIdentity(req, res, "blacklists.edit");
+    if (!identity) return;
 
-    const { id, active } = req.body;
+    const { license_key, list, value, note } = req.body;
+    if (!validBlacklistList(res, list)) return;
 
-    if (!id || typeof active !== "boolean") {
-      return res.status(400).json({ success: false });
+    const parsed = parseBlacklistValue(value);
+    if (!parsed) return res.status(400).json({ success: false, error: "INVALID_VALUE", value: value ?? null });
+
+    if ((await blacklistCount(license_key, list)) >= BLACKLIST_MAX_ENTRIES) {
+      return res.status(400).json({ success: false, error: "LIST_FULL", max: BLACKLIST_MAX_ENTRIES });
     }
 
-    const { error } = await supabase
-      .from("customers")
-      .update({ active }) // 🔥 VIKTIGT
-      .eq("id", id);
+    const { data, error } = await supabase
+      .from("blacklist_entries")
+      .insert([{ license_key, list, ...parsed, note: note ? String(note).slice(0, 200) : null }])
+      .select("id, list, value, hash, note, created_at")
+      .single();
 
     if (error) {
-      console.error(error);
-      return res.status(500).json({ success: false });
+      // unique (license_key, list, value)
+      if (error.code === "23505") return res.status(409).json({ success: false, error: "ALREADY_LISTED" });
+      return res.status(500).json({ success: false, error: "DB_ERROR" });
     }
 
-    return res.json({ success: true });
+    await recordAudit(req, identity, { action: "blacklist.add", target: `${list}:${data.value}`, after: data });
 
+    return res.json({ success: true, entry: data });
   } catch (e) {
-    console.error(e);
+    console.error("blacklists/add error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-app.delete("/admin/delete-customer/:id", async (req, res) => {
+// body: { token, license_key, list, entries: [...] | "a\nb,c", replace?: true }
+// Invalid lines are reported back, valid ones are imported; duplicates are skipped.
+// replace inserts the new set first and only then removes what is not in it,
+// so a failed import never leaves the list empty.
+app.post("/api/dashboard/blacklists/import", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    const identity = await detectionIdentity(req, res, "blacklists.edit");
+    if (!identity) return;
 
-    const { id } = req.params;
+    const { license_key, list, entries, replace } = req.body;
+    if (!validBlacklistList(res, list)) return;
 
-    const { error } = await supabase
-      .from("customers")
-      .delete()
-      .eq("id", id);
+    const items = splitImport(entries);
+    if (!items.length) return res.status(400).json({ success: false, error: "NOTHING_TO_IMPORT" });
+    if (items.length > BLACKLIST_IMPORT_MAX) {
+      return res.status(400).json({ success: false, error: "TOO_MANY_ENTRIES", max: BLACKLIST_IMPORT_MAX });
+    }
 
-    if (error) {
-      console.error(error);
-      return res.status(500).json({ success: false });
+    const { rows, invalid } = parseBlacklistImport(items, { license_key, list });
+
+    if (replace && !rows.size) {
+      return res.status(400).json({ success: false, error: "NOTHING_TO_IMPORT", invalid });
     }
 
-    return res.json({ success: true });
+    const existing = replace ? 0 : await blacklistCount(license_key, list);
+    if (existing + rows.size > BLACKLIST_MAX_ENTRIES) {
+      return res.status(400).json({ success: false, error: "LIST_FULL", max: BLACKLIST_MAX_ENTRIES });
+    }
+
+    let imported = [];
+    if (rows.size) {
+      const { data, error } = await supabase
+        .from("blacklist_entries")
+        .upsert([...rows.values()], { onConflict: "license_key,list,value", ignoreDuplicates: true })
+        .select("value");
+      if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
+      imported = data || [];
+    }
+
+    let removed = 0;
+    if (replace) {
+      const stale = (await fetchBlacklistEntries(license_key, "id, value", list))
+        .filter((e) => !rows.has(e.value))
+        .map((e) => e.id);
+
+      for (let i = 0; i < stale.length; i += BLACKLIST_DELETE_CHUNK) {
+        const { error } = await supabase
+          .from("blacklist_entries")
+          .delete()
+          .eq("license_key", license_key)
+          .in("id", stale.slice(i, i + BLACKLIST_DELETE_CHUNK));
+        if (error) return res.status(500).json({ success: false, error: "DB_ERROR", imported: imported.length });
+        removed += Math.min(BLACKLIST_DELETE_CHUNK, stale.length - i);
+      }
+    }
+
+    await recordAudit(req, identity, {
+      action: "blacklist.import",
+      target: list,
+      after: { replace: !!replace, imported: imported.length, removed, invalid: invalid.length },
+    });
 
+    return res.json({
+      success: true,
+      imported: imported.length,
+      skipped: rows.size - imported.length,
+      removed,
+      invalid,
+    });
   } catch (e) {
-    console.error(e);
+    console.error("blacklists/import error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-
-// kund sparars 
-app.get("/admin/customers", async (req, res) => {
+// body: { token, license_key, id, value?, note? }
+app.post("/api/dashboard/blacklists/update", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    const identity = await detectionIdentity(req, res, "blacklists.edit");
+    if (!identity) return;
+
+    const { license_key, id, value, note } = req.body;
+    if (!id) return res.status(400).json({ success: false, error: "MISSING_ID" });
+
+    const { data: before } = await supabase
+      .from("blacklist_entries")
+      .select("id, list, value, hash, note")
+      .eq("id", id)
+      .eq("license_key", license_key)
+      .single();
+
+    if (!before) return res.status(404).json({ success: false, error: "NOT_FOUND" });
+
+    const patch = {};
+    if (value !== undefined) {
+      const parsed = parseBlacklistValue(value);
+      if (!parsed) return res.status(400).json({ success: false, error: "INVALID_VALUE", value });
+      Object.assign(patch, parsed);
+    }
+    if (note !== undefined) patch.note = note ? String(note).slice(0, 200) : null;
+    if (!Object.keys(patch).length) return res.status(400).json({ success: false, error: "NOTHING_TO_UPDATE" });
 
     const { data, error } = await supabase
-      .from("customers")
-      .select("*")
-      .order("created_at", { ascending: false });
+      .from("blacklist_entries")
+      .update(patch)
+      .eq("id", id)
+      .select("id, list, value, hash, note, created_at")
+      .single();
 
     if (error) {
-      console.error(error);
-      return res.status(500).json({ success: false });
+      if (error.code === "23505") return res.status(409).json({ success: false, error: "ALREADY_LISTED" });
+      return res.status(500).json({ success: false, error: "DB_ERROR" });
     }
 
-    return res.json({ success: true, data });
+    await recordAudit(req, identity, { action: "blacklist.update", target: `${before.list}:${before.value}`, before, after: data });
 
-  } catch (err) {
-    console.error(err);
+    return res.json({ success: true, entry: data });
+  } catch (e) {
+    console.error("blacklists/update error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-// GET detections (FiveM + Dashboard)
-app.get("/api/server/detections/:license", async (req, res) => {
+// body: { token, license_key, ids: [...] }
+app.post("/api/dashboard/blacklists/remove", async (req, res) => {
   try {
-    const license_key = req.params.license;
-    if (!license_key) return res.json({ success: false });
+    const identity = await detectionIdentity(req, res, "blacklists.edit");
+    if (!identity) return;
 
-    await ensureDetectionRow(license_key);
+    const { license_key, ids } = req.body;
+    if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ success: false, error: "MISSING_IDS" });
 
     const { data, error } = await supabase
-      .from("detection_settings")
-      .select("*")
+      .from("blacklist_entries")
+      .delete()
       .eq("license_key", license_key)
-      .single();
+      .in("id", ids)
+      .select("list, value");
+
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
 
-    if (error || !data) return res.json({ success: false });
+    await recordAudit(req, identity, {
+      action: "blacklist.remove",
+      target: (data || []).map((e) => `${e.list}:${e.value}`).join(",").slice(0, 500),
+      before: data || [],
+      after: null,
+    });
 
-    return res.json({ success: true, settings: data });
+    return res.json({ success: true, removed: (data || []).length });
   } catch (e) {
-    console.error("detections GET error:", e);
+    console.error("blacklists/remove error:", e);
     return res.status(500).json({ success: false });
   }
 });
 
-
-async function ensureDetectionRow(license_key) {
-  const { data } = await supabase
-    .from("detection_settings")
-    .select("license_key")
-    .eq("license_key", license_key)
-    .single();
-
-  if (!data) {
-    await supabase
-      .from("detection_settings")
-      .insert([{ license_key }]);
-  }
-}
-
-// UPDATE detection (Dashboard toggle)
-app.post("/api/dashboard/detections", async (req, res) => {
+// body: { token, license_key, list, punishment: "log" | "kick" | "ban" | null }
+app.post("/api/dashboard/blacklists/punishment", async (req, res) => {
   try {
-    const { token, license_key, key, value } = req.body || {};
-    if (!token || !license_key || !key) {
-      return res.status(400).json({ success: false });
-    }
-
-    // allow both customers and panel admins
-    const identity = await resolvePanelIdentity(token);
-    if (!identity || identity.license_key !== license_key) {
-      return res.status(401).json({ success: false });
-    }
+    const identity = await detectionIdentity(req, res, "blacklists.edit");
+    if (!identity) return;
 
-    const allowedKeys = [
-      "noclip",
-      "speed",
-      "explosions",
-      "vehicleSpam",
-      "blacklistedVehicle",
-      "godmode"
-    ];
-
-    if (!allowedKeys.includes(key)) {
-      return res.status(400).json({ success: false });
+    const { license_key, list, punishment } = req.body;
+    if (!validBlacklistList(res, list)) return;
+    if (punishment !== null && !PUNISHMENTS.includes(punishment)) {
+      return res.status(400).json({ success: false, error: "INVALID_PUNISHMENT", punishments: PUNISHMENTS });
     }
 
-    await ensureDetectionRow(license_key);
+    const { data: before } = await supabase
+      .from("blacklist_settings")
+      .select("punishment")
+      .eq("license_key", license_key)
+      .eq("list", list)
+      .single();
 
     const { error } = await supabase
-      .from("detection_settings")
-      .update({
-        [key]: Boolean(value),
-        updated_at: new Date().toISOString()
-      })
-      .eq("license_key", license_key);
+      .from("blacklist_settings")
+      .upsert({ license_key, list, punishment }, { onConflict: "license_key,list" });
 
-    if (error) return res.status(500).json({ success: false });
+    if (error) return res.status(500).json({ success: false, error: "DB_ERROR" });
 
-    return res.json({ success: true });
+    await recordAudit(req, identity, {
+      action: "blacklist.punishment",
+      target: list,
+      before: { punishment: before?.punishment ?? null },
+      after: { punishment },
+    });
+
+    return res.json({ success: true, list, punishment });
   } catch (e) {
-    console.error("detections UPDATE error:", e);
+    console.error("blacklists/punishment error:", e);
     return res.status(500).json({ success: false });
   }
 });
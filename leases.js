@@ -0,0 +1,70 @@
+import crypto from "crypto";
+
+/* ================= LICENSE LEASES ================= */
+/**
+ * Lease and revocation payloads and the lease columns set by
+ * /admin/toggle-license (see LICENSE LEASES in index.js). Payloads come back
+ * serialized; signing them stays in index.js.
+ */
+
+// lease_ttl_ms on the license, if it is a usable override
+export function leaseTtlFor(lic, defaultTtlMs) {
+  const ttl = Number(lic.lease_ttl_ms);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : defaultTtlMs;
+}
+
+// -> { payload, lease_expires_at }; a lease never outlives the license
+export function leasePayload(lic, { hwid, entitlements, ttlMs, kid, now = Date.now() }) {
+  let leaseExpiresAt = now + ttlMs;
+  if (lic.expires_at) leaseExpiresAt = Math.min(leaseExpiresAt, new Date(lic.expires_at).getTime());
+
+  const payload = JSON.stringify({
+    type: "lease",
+    lease_id: "LEASE-" + now + "-" + crypto.randomBytes(4).toString("hex"),
+    license_key: lic.license_key,
+    status: lic.status,
+    expires_at: lic.expires_at || null,
+    hwid: lic.hwid || hwid || null,
+    entitlements,
+    issued_at: now,
+    lease_expires_at: leaseExpiresAt,
+    kid,
+  });
+
+  return { payload, lease_expires_at: new Date(leaseExpiresAt).toISOString() };
+}
+
+// "drop your lease" notice for disabled/expired licenses
+export function revocationPayload(lic, reason, { kid, now = Date.now() }) {
+  return JSON.stringify({
+    type: "revocation",
+    license_key: lic.license_key,
+    reason,
+    flag: lic.lease_flag || null,
+    issued_at: now,
+    kid,
+  });
+}
+
+export function leaseFlagFields(lic) {
+  return lic.lease_flag ? { flags: [lic.lease_flag], flag_at: lic.lease_flag_at || null } : { flags: [] };
+}
+
+// Lease columns for a toggle-license body -> { error } or { fields }.
+// Leaving ACTIVE flags the license and shortens leases; lease_ttl_ms (null = default) overrides that.
+export function toggleLeaseFields(status, lease_ttl_ms, { restrictedTtlMs, now = Date.now() }) {
+  const fields = {};
+
+  if (status !== "ACTIVE") {
+    fields.lease_flag = status;
+    fields.lease_flag_at = new Date(now).toISOString();
+    fields.lease_ttl_ms = restrictedTtlMs;
+  }
+
+  if (lease_ttl_ms !== undefined) {
+    if (lease_ttl_ms !== null && !(Number(lease_ttl_ms) > 0)) return { error: "INVALID_LEASE_TTL" };
+    fields.lease_ttl_ms = lease_ttl_ms === null ? null : Number(lease_ttl_ms);
+  }
+
+  return { fields };
+}
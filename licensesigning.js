@@ -0,0 +1,77 @@
+import crypto from "crypto";
+
+/* ================= LICENSE SIGNING ================= */
+/**
+ * Ed25519 key parsing and the signature fields of license responses (see
+ * LICENSE SIGNING in index.js for the env vars and the rotation steps).
+ */
+
+// "kid1:<base64 der>,kid2:<base64 der>" -> [{ kid, der }]
+export function parseKeyList(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const idx = entry.indexOf(":");
+      return { kid: entry.slice(0, idx), der: Buffer.from(entry.slice(idx + 1), "base64") };
+    });
+}
+
+// signing: pkcs8 private keys, public: spki public keys of retired signing keys
+export function loadLicenseKeys(signing, published) {
+  const keys = new Map(); // kid -> { kid, privateKey?, publicKey }
+
+  for (const { kid, der } of parseKeyList(signing)) {
+    const privateKey = crypto.createPrivateKey({ key: der, format: "der", type: "pkcs8" });
+    if (privateKey.asymmetricKeyType !== "ed25519") throw new Error(`license key ${kid} is not ed25519`);
+    keys.set(kid, { kid, privateKey, publicKey: crypto.createPublicKey(privateKey) });
+  }
+
+  for (const { kid, der } of parseKeyList(published)) {
+    if (keys.has(kid)) continue;
+    const publicKey = crypto.createPublicKey({ key: der, format: "der", type: "spki" });
+    if (publicKey.asymmetricKeyType !== "ed25519") throw new Error(`license key ${kid} is not ed25519`);
+    keys.set(kid, { kid, privateKey: null, publicKey });
+  }
+
+  return keys;
+}
+
+// The configured kid, else the first signing key, else null (HMAC only)
+export function activeKidOf(keys, configured) {
+  const signingKids = [...keys.values()].filter((k) => k.privateKey).map((k) => k.kid);
+  const kid = configured || signingKids[0] || null;
+
+  if (kid && !keys.get(kid)?.privateKey) {
+    throw new Error(`LICENSE_ACTIVE_KID "${kid}" has no private key in LICENSE_SIGNING_KEYS`);
+  }
+  return kid;
+}
+
+// Signs an already serialized payload. Returns the response fields.
+export function signLicensePayload(payload, { hmacSecret, keys, kid }) {
+  // deployed resources verify `signature` as the HMAC, so it keeps that meaning
+  const fields = { signature: crypto.createHmac("sha256", hmacSecret).update(payload).digest("hex") };
+
+  if (kid) {
+    const { privateKey } = keys.get(kid);
+    fields.alg = "Ed25519";
+    fields.kid = kid;
+    fields.ed25519_signature = crypto.sign(null, Buffer.from(payload), privateKey).toString("base64");
+  }
+
+  return fields;
+}
+
+// What GET /api/license/keys publishes for one key
+export function publicKeyInfo(key, activeKid) {
+  return {
+    kid: key.kid,
+    alg: "Ed25519",
+    active: key.kid === activeKid,
+    public_key: key.publicKey.export({ type: "spki", format: "der" }).toString("base64"),
+    public_key_raw: key.publicKey.export({ format: "jwk" }).x, // base64url, 32 bytes
+    public_key_pem: key.publicKey.export({ type: "spki", format: "pem" }),
+  };
+}
@@ -0,0 +1,62 @@
+import { computeExpiresAt, normalizeDuration } from "./bans.js";
+
+/* ================= LICENSE LIFECYCLE ================= */
+/**
+ * Expiry dates, renewals, bulk batch input, notice text and CSV export (see
+ * LICENSE LIFECYCLE in index.js for license_notices and the expiry scan).
+ * `now` is a parameter only so tests can pin the clock.
+ */
+
+export function expiryFromDays(days_valid, lifetime, now = Date.now()) {
+  if (lifetime || !(Number(days_valid) > 0)) return null;
+  const d = new Date(now);
+  d.setDate(d.getDate() + Number(days_valid));
+  return d.toISOString();
+}
+
+// Built on read, so the remaining days stay current
+export function expiryNoticeMessage(expires_at, now = Date.now()) {
+  const days = Math.max(0, Math.ceil((new Date(expires_at).getTime() - now) / 86400000));
+  return days === 0
+    ? "Your license expires today."
+    : `Your license expires in ${days} day${days === 1 ? "" : "s"} (${expires_at.slice(0, 10)}).`;
+}
+
+// New expiry for /admin/renew-license -> { error } or { expires_at } (null = lifetime).
+// The duration is added to the current expiry if it is still in the future, otherwise to now.
+export function renewedExpiry(lic, { duration, lifetime }, now = Date.now()) {
+  if (lifetime) return { expires_at: null };
+
+  // "P" would mean permanent; renewing to lifetime is the explicit lifetime flag
+  const durationInfo = normalizeDuration(duration || "");
+  if (!durationInfo.ok || durationInfo.value === "P") return { error: "INVALID_DURATION" };
+
+  const current = lic.expires_at ? new Date(lic.expires_at).getTime() : 0;
+  const expires_at = computeExpiresAt(durationInfo.value, null, Math.max(current, now));
+  // stacked renewals can still run past the representable range
+  if (!expires_at) return { error: "INVALID_DURATION" };
+  return { expires_at };
+}
+
+// /admin/create-licenses/bulk body -> { error } or { count, label }
+export function validateBatch({ count, batch_label }, max) {
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1 || n > max) return { error: "INVALID_COUNT" };
+
+  const label = String(batch_label || "").trim();
+  if (!label || label.length > 64) return { error: "INVALID_BATCH_LABEL" };
+
+  return { count: n, label };
+}
+
+export function csvField(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// header line + one line per row, CRLF terminated
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvField(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
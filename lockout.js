@@ -0,0 +1,89 @@
+/* ================= AUTH LOCKOUT ================= */
+/**
+ * Sliding-window failure counting with doubling lockouts (see AUTH LOCKOUT in
+ * index.js for the scopes and limits). `now` is a parameter only so tests
+ * can drive the clock.
+ */
+export function createAuthLocks({ windowMs, baseMs, maxMs, resetMs, now = Date.now }) {
+  const locks = {}; // { [scope]: Map<key, { failures: number[], lockouts, locked_until, last_failure }> }
+
+  function entryFor(scope, key) {
+    const map = (locks[scope] = locks[scope] || new Map());
+    let entry = map.get(key);
+
+    if (entry && now() - entry.last_failure > resetMs) {
+      map.delete(key);
+      entry = null;
+    }
+    if (!entry) {
+      entry = { failures: [], lockouts: 0, locked_until: 0, last_failure: 0 };
+      map.set(key, entry);
+    }
+    return entry;
+  }
+
+  return {
+    // ms until the key is unlocked, 0 if not locked
+    remaining(scope, key) {
+      const entry = locks[scope]?.get(key);
+      if (!entry) return 0;
+      return Math.max(0, entry.locked_until - now());
+    },
+
+    fail(scope, key, limit) {
+      const t = now();
+      const entry = entryFor(scope, key);
+
+      entry.last_failure = t;
+      entry.failures = entry.failures.filter((f) => t - f < windowMs);
+      entry.failures.push(t);
+
+      if (entry.failures.length >= limit) {
+        entry.lockouts += 1;
+        entry.locked_until = t + Math.min(baseMs * 2 ** (entry.lockouts - 1), maxMs);
+        entry.failures = [];
+      }
+    },
+
+    clear(scope, key) {
+      locks[scope]?.delete(key);
+    },
+
+    // forget keys with no failures in the window and no running lockout
+    prune() {
+      const t = now();
+      for (const map of Object.values(locks)) {
+        for (const [key, entry] of map) {
+          const quiet = t - entry.last_failure > resetMs;
+          if (quiet && entry.locked_until <= t) map.delete(key);
+        }
+      }
+    },
+
+    // Locked and recently failing keys, locked first then newest failure first
+    list() {
+      const t = now();
+      const data = [];
+
+      for (const [scope, map] of Object.entries(locks)) {
+        for (const [key, entry] of map) {
+          const recent = entry.failures.filter((f) => t - f < windowMs).length;
+          const locked = entry.locked_until > t;
+          if (!locked && !recent) continue;
+
+          data.push({
+            scope,
+            key,
+            locked,
+            locked_until: locked ? new Date(entry.locked_until).toISOString() : null,
+            lockouts: entry.lockouts,
+            recent_failures: recent,
+            last_failure: new Date(entry.last_failure).toISOString(),
+          });
+        }
+      }
+
+      return data.sort((a, b) => Number(b.locked) - Number(a.locked) || b.last_failure.localeCompare(a.last_failure));
+    },
+  };
+}
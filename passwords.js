@@ -0,0 +1,59 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+/* ================= PASSWORDS ================= */
+/**
+ * scrypt hashing with the parameters stored in each hash, plus the legacy
+ * sha256 check (see PASSWORDS in index.js for the stored format).
+ */
+const scryptAsync = promisify(crypto.scrypt);
+
+export const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+export async function hashPassword(password, params = SCRYPT_PARAMS) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = params;
+  const hash = await scryptAsync(String(password), salt, SCRYPT_KEYLEN, { N, r, p, maxmem: 64 * 1024 * 1024 });
+  return `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+// -> { ok, needsRehash }; needsRehash when the stored hash is sha256 or uses other params
+export async function verifyPassword(password, stored, params = SCRYPT_PARAMS) {
+  const value = String(stored || "");
+
+  if (/^[a-f0-9]{64}$/.test(value)) {
+    const legacy = crypto.createHash("sha256").update(String(password)).digest();
+    const ok = crypto.timingSafeEqual(legacy, Buffer.from(value, "hex"));
+    return { ok, needsRehash: ok };
+  }
+
+  const parts = value.split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return { ok: false, needsRehash: false };
+
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  const salt = Buffer.from(parts[4], "base64");
+  const expected = Buffer.from(parts[5], "base64");
+
+  const hash = await scryptAsync(String(password), salt, expected.length, { N, r, p, maxmem: 256 * 1024 * 1024 });
+  const ok = crypto.timingSafeEqual(hash, expected);
+  const outdated = N !== params.N || r !== params.r || p !== params.p;
+
+  return { ok, needsRehash: ok && outdated };
+}
+
+// Returns an error code, or null if the password is acceptable
+export function checkPasswordPolicy(password, { username = "", minLength }) {
+  const value = String(password || "");
+
+  if (value.length < minLength) return "PASSWORD_TOO_SHORT";
+  if (value.length > 200) return "PASSWORD_TOO_LONG";
+  if (!/[a-zA-Z]/.test(value) || !/[0-9]/.test(value)) return "PASSWORD_TOO_WEAK";
+  // shorter names ("a", "jo") turn up inside ordinary passwords by chance
+  const name = String(username || "").toLowerCase();
+  if (name.length >= 3 && value.toLowerCase().includes(name)) {
+    return "PASSWORD_CONTAINS_USERNAME";
+  }
+
+  return null;
+}
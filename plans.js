@@ -0,0 +1,68 @@
+/* ================= LICENSE PLANS ================= */
+/**
+ * Default plan catalogue, limit checks and entitlement merging (see LICENSE
+ * PLANS in index.js for license_plans and the plan columns on licenses).
+ */
+export const DETECTION_KEYS = ["noclip", "speed", "explosions", "vehicleSpam", "blacklistedVehicle", "godmode"];
+
+export const DEFAULT_PLANS = {
+  basic: {
+    max_panel_admins: 2,
+    detections: ["noclip", "speed", "godmode"],
+    log_retention_days: 7,
+    evidence_uploads: false,
+  },
+  pro: {
+    max_panel_admins: 10,
+    detections: DETECTION_KEYS,
+    log_retention_days: 30,
+    evidence_uploads: true,
+  },
+  network: {
+    max_panel_admins: 50,
+    detections: DETECTION_KEYS,
+    log_retention_days: 90,
+    evidence_uploads: true,
+  },
+};
+
+export function validatePlanLimits(limits) {
+  if (!limits || typeof limits !== "object") return "INVALID_LIMITS";
+  const { max_panel_admins, detections, log_retention_days, evidence_uploads } = limits;
+
+  if (max_panel_admins !== undefined && !(Number.isInteger(max_panel_admins) && max_panel_admins >= 0)) {
+    return "INVALID_MAX_PANEL_ADMINS";
+  }
+  if (detections !== undefined && (!Array.isArray(detections) || detections.some((d) => !DETECTION_KEYS.includes(d)))) {
+    return "INVALID_DETECTIONS";
+  }
+  if (log_retention_days !== undefined && !(Number.isInteger(log_retention_days) && log_retention_days > 0)) {
+    return "INVALID_LOG_RETENTION_DAYS";
+  }
+  if (evidence_uploads !== undefined && typeof evidence_uploads !== "boolean") {
+    return "INVALID_EVIDENCE_UPLOADS";
+  }
+  return null;
+}
+
+// Plan names come from requests and rows, so lookups must not reach
+// Object.prototype ("constructor", "__proto__", ...).
+export function hasPlan(plans, name) {
+  return typeof name === "string" && Object.hasOwn(plans, name);
+}
+
+// Defaults overridden by license_plans rows; rows for unknown names start from basic
+export function planCatalogue(rows) {
+  const plans = Object.assign(Object.create(null), structuredClone(DEFAULT_PLANS));
+  for (const row of rows) {
+    plans[row.name] = { ...(hasPlan(plans, row.name) ? plans[row.name] : DEFAULT_PLANS.basic), ...(row.limits || {}) };
+  }
+  return plans;
+}
+
+// Effective limits for a licenses row: plan defaults + per-license overrides.
+// Also what leases carry, so offline resources enforce the same limits.
+export function entitlementsOf(plans, lic, defaultPlan) {
+  const plan = hasPlan(plans, lic?.plan) ? lic.plan : defaultPlan;
+  return { plan, ...(hasPlan(plans, plan) ? plans[plan] : DEFAULT_PLANS.basic), ...(lic?.plan_overrides || {}) };
+}
@@ -0,0 +1,81 @@
+/* ================= PANEL ROLES & PERMISSIONS ================= */
+/**
+ * Permission names, built-in roles and role name rules (see PANEL ROLES &
+ * PERMISSIONS in index.js for panel_roles and how identities resolve).
+ */
+export const PERMISSIONS = [
+  "dashboard.view",
+  "action.kick",
+  "action.ban",
+  "action.dm",
+  "action.freeze",
+  "action.other",
+  "ban.unban",
+  "ban.edit",
+  "ban.reinstate",
+  "ban.history",
+  "detections.edit",
+  "blacklists.edit",
+  "logs.view",
+  "evidence.view",
+  "appeals.view",
+  "appeals.comment",
+  "appeals.decide",
+  "audit.view",
+];
+
+export const BUILTIN_ROLES = {
+  owner: PERMISSIONS,
+  senior_admin: PERMISSIONS.filter((p) => p !== "audit.view"),
+  moderator: [
+    "dashboard.view",
+    "action.kick",
+    "action.ban",
+    "action.dm",
+    "action.freeze",
+    "ban.history",
+    "logs.view",
+    "evidence.view",
+    "appeals.view",
+    "appeals.comment",
+  ],
+  viewer: ["dashboard.view", "logs.view"],
+};
+
+// panel_admins created before roles were enforced have role = 'admin'
+const LEGACY_ROLE_ALIASES = { admin: "senior_admin" };
+
+export function normalizeRoleName(role) {
+  const name = String(role || "").trim().toLowerCase();
+  return Object.hasOwn(LEGACY_ROLE_ALIASES, name) ? LEGACY_ROLE_ALIASES[name] : name;
+}
+
+// role names are user input: "constructor" must not count as built in
+export function isBuiltinRole(role) {
+  return Object.hasOwn(BUILTIN_ROLES, role);
+}
+
+// "kick" -> "action.kick"; anything without its own permission needs action.other
+export function actionPermission(type) {
+  const perm = `action.${type}`;
+  return PERMISSIONS.includes(perm) ? perm : "action.other";
+}
+
+// stored custom roles may name permissions that no longer exist; those grant nothing
+export function knownPermissions(permissions) {
+  return (permissions || []).filter((p) => PERMISSIONS.includes(p));
+}
+
+// Owner-defined role from /api/panel/roles/save -> { error } or { name, permissions }
+export function validateCustomRole({ name, permissions }) {
+  const roleName = normalizeRoleName(name);
+
+  if (!/^[a-z0-9_-]{2,32}$/.test(roleName)) return { error: "INVALID_NAME" };
+  // "admin" normalizes to senior_admin, so the legacy alias is covered too
+  if (isBuiltinRole(roleName)) return { error: "RESERVED_NAME" };
+  if (!Array.isArray(permissions) || permissions.some((p) => !PERMISSIONS.includes(p))) {
+    return { error: "INVALID_PERMISSIONS" };
+  }
+
+  return { name: roleName, permissions: [...new Set(permissions)] };
+}
@@ -0,0 +1,60 @@
+import crypto from "crypto";
+
+/* ================= SERVER REQUEST SIGNING ================= */
+/**
+ * Signature and replay checks for FiveM server -> backend calls (see SERVER AUTH
+ * in index.js for the headers). Looking up the license's server_secret stays
+ * in index.js; everything here works on plain values.
+ */
+
+export function signServerRequest(secret, { timestamp, nonce, method, path, body }) {
+  const base = `${timestamp}.${nonce}.${String(method).toUpperCase()}.${path}.${body || ""}`;
+  return crypto.createHmac("sha256", secret).update(base).digest("hex");
+}
+
+export function safeEqualHex(a, b) {
+  const bufA = Buffer.from(String(a || ""), "hex");
+  const bufB = Buffer.from(String(b || ""), "hex");
+  if (!bufA.length || bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Checks that need no secret. Returns an error code or null.
+export function checkSignatureHeaders(
+  { license_key, headerLicense, timestamp, nonce, signature },
+  { maxSkewMs, now = Date.now() }
+) {
+  if (!headerLicense || !timestamp || !nonce || !signature) return "MISSING_SIGNATURE";
+  if (headerLicense !== license_key) return "LICENSE_MISMATCH";
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return "INVALID_TIMESTAMP";
+  if (Math.abs(now - ts) > maxSkewMs) return "STALE_TIMESTAMP";
+  if (nonce.length < 8 || nonce.length > 128) return "INVALID_NONCE";
+  return null;
+}
+
+// Nonces are kept for ttlMs (twice the allowed skew): a replay after that
+// fails the timestamp check instead.
+export function createNonceStore(ttlMs) {
+  const seen = {}; // { [license_key]: Map<nonce, expiresAtMs> }
+
+  return {
+    // false if the nonce was already used
+    remember(license_key, nonce, now = Date.now()) {
+      const nonces = (seen[license_key] = seen[license_key] || new Map());
+
+      for (const [n, exp] of nonces) {
+        if (exp <= now) nonces.delete(n);
+      }
+
+      if (nonces.has(nonce)) return false;
+      nonces.set(nonce, now + ttlMs);
+      return true;
+    },
+
+    forget(license_key) {
+      delete seen[license_key];
+    },
+  };
+}
@@ -0,0 +1,64 @@
+import crypto from "crypto";
+
+/* ================= SESSIONS ================= */
+/**
+ * Access and refresh token formats and session row checks (see SESSIONS in
+ * index.js for panel_sessions and how tokens are issued and rotated).
+ */
+
+export function signAccessToken(key, payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const sig = crypto.createHmac("sha256", key).update(body).digest("base64url");
+  return `gga.${body}.${sig}`;
+}
+
+// Returns the payload, or null if malformed, tampered with or expired.
+export function verifyAccessToken(key, token, now = Date.now()) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3 || parts[0] !== "gga") return null;
+
+  const expected = crypto.createHmac("sha256", key).update(parts[1]).digest();
+  const given = Buffer.from(parts[2], "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    if (!payload.exp || payload.exp <= now) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+// "<session id>.<random>" -> { session_id, secret }, or null
+export function parseRefreshToken(token) {
+  const [session_id, secret] = String(token || "").split(".");
+  if (!session_id || !secret) return null;
+  return { session_id, secret };
+}
+
+export function isSessionLive(session, now = Date.now()) {
+  return !!session && !session.revoked_at && new Date(session.expires_at).getTime() > now;
+}
+
+// How a presented refresh hash relates to the session:
+//   "current"  the latest refresh token
+//   "grace"    the one it replaced, within graceMs of the rotation (concurrent refresh)
+//   "reused"   anything else: an old token was replayed
+export function refreshTokenState(session, presentedHash, graceMs, now = Date.now()) {
+  if (session.refresh_hash === presentedHash) return "current";
+  if (
+    session.prev_refresh_hash === presentedHash &&
+    !!session.rotated_at &&
+    now - new Date(session.rotated_at).getTime() < graceMs
+  ) {
+    return "grace";
+  }
+  return "reused";
+}
+
+// 401 body for a token that did not resolve
+export function unauthorizedBody(token) {
+  const legacy = !!token && !String(token).startsWith("gga.");
+  return { success: false, error: legacy ? "RELOGIN_REQUIRED" : "UNAUTHORIZED" };
+}
@@ -0,0 +1,60 @@
+/* ================= LIVE STREAM BUFFER ================= */
+/**
+ * Event ids and the per-license replay buffer behind /api/dashboard/stream
+ * (see LIVE STREAM in index.js). Connections and writing stay in index.js.
+ */
+
+export function formatStreamEvent({ id, event, data }) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// "log" events need logs.view; everything else goes to every client
+export function streamEventVisible(entry, canSeeLogs) {
+  return entry.event !== "log" || canSeeLogs;
+}
+
+// filter: panel_sessions columns, same as revokeSessions
+export function sessionMatches(session, filter) {
+  return Object.entries(filter).every(([column, value]) => String(session?.[column]) === String(value));
+}
+
+export function createStreamBuffer(limit) {
+  const history = {}; // { [license_key]: [{ id, event, data }] }
+  const trimmedTo = {}; // { [license_key]: id of the newest event dropped from the buffer }
+  let seq = 0;
+
+  return {
+    get seq() {
+      return seq;
+    },
+
+    publish(license_key, event, data) {
+      const entry = { id: ++seq, event, data };
+
+      const list = (history[license_key] = history[license_key] || []);
+      list.push(entry);
+      if (list.length > limit) {
+        const dropped = list.splice(0, list.length - limit);
+        trimmedTo[license_key] = dropped[dropped.length - 1].id;
+      }
+      return entry;
+    },
+
+    // What a client reconnecting with lastEventId gets:
+    //   { snapshot: true }           first connect (no id)
+    //   { reset: "restarted" | "history_truncated" }  the gap can't be replayed
+    //   { replay: [entries] }        everything after lastEventId it may see
+    resume(license_key, lastEventId, { canSeeLogs }) {
+      if (!(lastEventId > 0)) return { snapshot: true };
+      // ids above seq mean the backend restarted
+      if (lastEventId > seq) return { reset: "restarted" };
+      if (lastEventId < (trimmedTo[license_key] || 0)) return { reset: "history_truncated" };
+
+      return {
+        replay: (history[license_key] || []).filter(
+          (entry) => entry.id > lastEventId && streamEventVisible(entry, canSeeLogs)
+        ),
+      };
+    },
+  };
+}
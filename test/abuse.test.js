@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { abuseLevel, createAbuseTracker, levelsUpTo, suspicionScore } from "../abuse.js";
+
+const thresholds = { flag: 40, notify: 60, suspend: 90 };
+
+function harness() {
+  const clock = { now: 0 };
+  const tracker = createAbuseTracker({ windowMs: 1000, onlineWindowMs: 100, thresholds, now: () => clock.now });
+  return { tracker, clock };
+}
+
+function evidence(overrides) {
+  return { distinct_ips: [], distinct_hwids: [], concurrent_sources: [], hwid_mismatch_ips: [], ...overrides };
+}
+
+test("scores extra IPs, HWIDs and parallel servers", () => {
+  assert.equal(suspicionScore(evidence({ distinct_ips: ["a", "b"], distinct_hwids: ["h"] }), 60), 0);
+  assert.equal(suspicionScore(evidence({ distinct_ips: ["a", "b", "c", "d"] }), 60), 20);
+  assert.equal(suspicionScore(evidence({ distinct_hwids: ["h1", "h2"] }), 60), 30);
+  assert.equal(suspicionScore(evidence({ concurrent_sources: ["a", "b"] }), 60), 45);
+  assert.equal(suspicionScore(evidence({ distinct_hwids: ["1", "2", "3", "4", "5"] }), 60), 100);
+});
+
+test("HWID mismatches alone never reach suspend", () => {
+  const ips = ["a", "b", "c", "d", "e", "f"];
+  assert.equal(suspicionScore(evidence({ hwid_mismatch_ips: ips.slice(0, 2) }), 60), 40);
+  assert.equal(suspicionScore(evidence({ hwid_mismatch_ips: ips }), 60), 60);
+  assert.equal(abuseLevel(suspicionScore(evidence({ hwid_mismatch_ips: ips }), 60), thresholds), "notify");
+});
+
+test("maps scores to levels and runs every level below", () => {
+  assert.equal(abuseLevel(39, thresholds), null);
+  assert.equal(abuseLevel(40, thresholds), "flag");
+  assert.equal(abuseLevel(60, thresholds), "notify");
+  assert.equal(abuseLevel(100, thresholds), "suspend");
+
+  assert.deepEqual(levelsUpTo("suspend"), ["flag", "notify", "suspend"]);
+  assert.deepEqual(levelsUpTo("flag"), ["flag"]);
+});
+
+test("escalates once per level and resets after things calm down", () => {
+  const { tracker, clock } = harness();
+
+  assert.equal(tracker.observe("GG-1", { ip: "a", hwid: "h1" }).escalated, false);
+  const second = tracker.observe("GG-1", { ip: "b", hwid: "h2" });
+  assert.deepEqual([second.score, second.level, second.escalated], [30, null, false]);
+
+  const third = tracker.observe("GG-1", { ip: "c", hwid: "h3" });
+  assert.deepEqual([third.score, third.level, third.escalated], [70, "notify", true]);
+  assert.equal(tracker.observe("GG-1", { ip: "c", hwid: "h3" }).escalated, false);
+
+  // everything seen is outside the window now
+  clock.now = 2000;
+  assert.equal(tracker.observe("GG-1", { ip: "a", hwid: "h1" }).level, null);
+  tracker.observe("GG-1", { ip: "b", hwid: "h2" });
+  assert.equal(tracker.observe("GG-1", { ip: "c", hwid: "h3" }).escalated, true);
+});
+
+test("counts heartbeats as running servers only while recent", () => {
+  const { tracker, clock } = harness();
+
+  tracker.observe("GG-1", { ip: "a", heartbeat: true });
+  assert.equal(tracker.observe("GG-1", { ip: "b", heartbeat: true }).score, 45);
+
+  clock.now = 150;
+  assert.deepEqual(tracker.evidence("GG-1").concurrent_sources, []);
+  assert.deepEqual(tracker.evidence("GG-1").distinct_ips, ["a", "b"]);
+});
+
+test("keeps refused HWIDs apart from verified use", () => {
+  const { tracker } = harness();
+
+  tracker.observe("GG-1", { ip: "a", hwid: "h1" });
+  tracker.observe("GG-1", { ip: "b", hwid: "h2", mismatch: true });
+
+  const found = tracker.evidence("GG-1");
+  assert.deepEqual(found.distinct_hwids, ["h1"]);
+  assert.deepEqual(found.hwid_mismatch_ips, ["b"]);
+  assert.deepEqual(found.hwid_mismatch_hwids, ["h2"]);
+  assert.deepEqual(tracker.evidence("GG-2").distinct_ips, []);
+});
+
+test("lists live scores above a minimum, highest first", () => {
+  const { tracker } = harness();
+
+  for (const hwid of ["h1", "h2"]) tracker.observe("GG-1", { ip: "a", hwid });
+  for (const hwid of ["h1", "h2", "h3"]) tracker.observe("GG-2", { ip: "a", hwid });
+  tracker.observe("GG-3", { ip: "a", hwid: "h1" });
+
+  assert.deepEqual(tracker.live(30).map((x) => [x.license_key, x.score]), [["GG-2", 60], ["GG-1", 30]]);
+});
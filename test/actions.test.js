@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createActionQueue, isActionOpen } from "../actions.js";
+
+// Queue on a hand-driven clock; updates are recorded as [id, status]
+function harness(options = {}) {
+  const clock = { now: 0 };
+  const updates = [];
+  const queue = createActionQueue({
+    ttlMs: 1000,
+    redeliverMs: 100,
+    maxAttempts: 2,
+    retentionMs: 500,
+    limit: 3,
+    onUpdate: (license_key, action) => updates.push([action.id, action.status]),
+    now: () => clock.now,
+    ...options,
+  });
+  return { queue, clock, updates };
+}
+
+test("delivers pending actions once and redelivers them until acked", () => {
+  const { queue, clock } = harness();
+  queue.push("GG-1", { id: "a", type: "kick", payload: { id: 1 } });
+
+  assert.deepEqual(queue.takeDue("GG-1"), [{ id: "a", type: "kick", payload: { id: 1 }, created_at: new Date(0).toISOString(), attempt: 1 }]);
+  assert.deepEqual(queue.takeDue("GG-1"), []);
+
+  clock.now = 100;
+  assert.equal(queue.takeDue("GG-1")[0].attempt, 2);
+
+  assert.deepEqual(queue.ack("GG-1", ["a", "missing"]), ["a"]);
+  assert.deepEqual(queue.ack("GG-1", ["a"]), []);
+
+  clock.now = 300;
+  assert.deepEqual(queue.takeDue("GG-1"), []);
+  assert.equal(queue.find("GG-1", "a").status, "acked");
+});
+
+test("fails actions that are never acked after maxAttempts", () => {
+  const { queue, clock, updates } = harness();
+  queue.push("GG-1", { id: "a", type: "kick" });
+
+  queue.takeDue("GG-1");
+  clock.now = 100;
+  queue.takeDue("GG-1");
+  clock.now = 200;
+  assert.deepEqual(queue.takeDue("GG-1"), []);
+
+  const action = queue.find("GG-1", "a");
+  assert.equal(action.status, "failed");
+  assert.equal(action.error, "NOT_ACKED");
+  assert.deepEqual(updates.map(([, status]) => status), ["pending", "delivered", "delivered", "failed"]);
+});
+
+test("records results once and expires open actions", () => {
+  const { queue, clock } = harness();
+  queue.push("GG-1", { id: "a", type: "kick" });
+  queue.push("GG-1", { id: "b", type: "ban" });
+
+  const { action } = queue.complete("GG-1", "a", { success: false, error: "PLAYER_OFFLINE" });
+  assert.equal(action.status, "failed");
+  assert.equal(action.error, "PLAYER_OFFLINE");
+  assert.equal(action.acked_at, new Date(0).toISOString());
+  assert.equal(queue.complete("GG-1", "a", { success: true }).error, "ALREADY_FINAL");
+  assert.equal(queue.complete("GG-1", "zzz", { success: true }).error, "NOT_FOUND");
+
+  clock.now = 1000;
+  queue.sweep("GG-1");
+  assert.equal(queue.find("GG-1", "b").status, "expired");
+  assert.equal(isActionOpen(queue.find("GG-1", "b")), false);
+
+  // finished actions are dropped after retentionMs
+  clock.now = 1500;
+  queue.sweep("GG-1");
+  assert.equal(queue.find("GG-1", "a"), null);
+  assert.equal(queue.find("GG-1", "b"), null);
+});
+
+test("makes room by dropping finished actions but never open ones", () => {
+  const { queue } = harness();
+  for (const id of ["a", "b", "c"]) queue.push("GG-1", { id, type: "kick" });
+  assert.equal(queue.push("GG-1", { id: "d", type: "kick" }), null);
+
+  queue.complete("GG-1", "a", { success: true });
+  assert.equal(queue.push("GG-1", { id: "d", type: "kick" }).status, "pending");
+  assert.equal(queue.find("GG-1", "a"), null);
+  assert.equal(queue.push("GG-2", { id: "a", type: "kick" }).status, "pending");
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { APPEAL_MESSAGE_MAX, hashAppealToken, newAppealToken, publicAppeal, validateAppeal } from "../appeals.js";
+
+test("requires a ban id and a message within the limit", () => {
+  assert.deepEqual(validateAppeal({ ban_id: "B1", message: "  I was lagging  " }), {
+    ban_id: "B1",
+    message: "I was lagging",
+    contact: null,
+  });
+  assert.equal(validateAppeal({ ban_id: "B1", message: "x", contact: "d".repeat(300) }).contact.length, 200);
+
+  assert.equal(validateAppeal({ message: "hi" }).error, "MISSING_FIELDS");
+  assert.equal(validateAppeal({ ban_id: "B1", message: "   " }).error, "MISSING_FIELDS");
+  assert.equal(validateAppeal({ ban_id: "B1", message: "x".repeat(APPEAL_MESSAGE_MAX + 1) }).error, "MESSAGE_TOO_LONG");
+});
+
+test("issues a fresh status token and stores only its hash", () => {
+  const a = newAppealToken();
+  const b = newAppealToken();
+
+  assert.match(a.token, /^[0-9a-f]{48}$/);
+  assert.notEqual(a.token, b.token);
+  assert.equal(a.hash, hashAppealToken(a.token));
+  assert.notEqual(a.hash, a.token);
+  assert.notEqual(hashAppealToken(b.token), a.hash);
+});
+
+test("shows players the decision but not staff or contact details", () => {
+  const row = {
+    id: "A1",
+    ban_id: "B1",
+    license: "GG-1",
+    contact: "discord#1",
+    message: "please",
+    status: "denied",
+    decided_by: "staff",
+    decided_at: "2026-01-02T00:00:00Z",
+    decision_note: "clear evidence",
+    status_token_hash: "abc",
+    created_at: "2026-01-01T00:00:00Z",
+  };
+
+  assert.deepEqual(publicAppeal(row), {
+    id: "A1",
+    ban_id: "B1",
+    status: "denied",
+    created_at: "2026-01-01T00:00:00Z",
+    decided_at: "2026-01-02T00:00:00Z",
+    decision_note: "clear evidence",
+  });
+});
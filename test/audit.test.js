@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { auditActionPattern, auditActor, auditDiff, auditPage } from "../audit.js";
+
+test("resolves the actor of each identity kind", () => {
+  assert.deepEqual(auditActor({ kind: "customer", user: { id: 7, username: "owner" } }), {
+    actor_kind: "customer",
+    actor_id: "7",
+    actor_name: "owner",
+  });
+  assert.deepEqual(auditActor({ kind: "admin", admin: { id: 3, name: "mod" } }), {
+    actor_kind: "admin",
+    actor_id: "3",
+    actor_name: "mod",
+  });
+  assert.deepEqual(auditActor({ kind: "system", name: "expiry-notices" }), {
+    actor_kind: "system",
+    actor_id: null,
+    actor_name: "expiry-notices",
+  });
+  assert.deepEqual(auditActor({ kind: "superadmin", license_key: null }), {
+    actor_kind: "superadmin",
+    actor_id: null,
+    actor_name: "admin",
+  });
+});
+
+test("diffs objects key by key and keeps only changes", () => {
+  assert.deepEqual(
+    auditDiff({ enabled: true, sens: 2, tags: ["a"] }, { enabled: false, sens: 2, tags: ["a"], note: "x" }),
+    { enabled: { from: true, to: false }, note: { from: null, to: "x" } }
+  );
+  assert.deepEqual(auditDiff({ a: 1 }, { a: 1 }), {});
+});
+
+test("records non-object values as before/after", () => {
+  assert.equal(auditDiff(undefined, undefined), null);
+  assert.deepEqual(auditDiff(undefined, { role: "mod" }), { before: null, after: { role: "mod" } });
+  assert.deepEqual(auditDiff(["a"], ["b"]), { before: ["a"], after: ["b"] });
+  assert.deepEqual(auditDiff("active", "revoked"), { before: "active", after: "revoked" });
+});
+
+test("clamps paging and turns * into a like wildcard", () => {
+  assert.deepEqual(auditPage({}), { page: 1, pageSize: 50, offset: 0 });
+  assert.deepEqual(auditPage({ page: "3", page_size: "20" }), { page: 3, pageSize: 20, offset: 40 });
+  assert.deepEqual(auditPage({ page: "-2", page_size: "5000" }), { page: 1, pageSize: 200, offset: 0 });
+  assert.deepEqual(auditPage({ page: "x", page_size: "0" }), { page: 1, pageSize: 50, offset: 0 });
+
+  assert.equal(auditActionPattern("ban.*"), "ban.%");
+  assert.equal(auditActionPattern("admin.remove"), "admin.remove");
+});
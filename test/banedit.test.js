@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { banEditChanges } from "../bans.js";
+
+const ban = {
+  ban_id: "B1",
+  created_at: "2026-01-01T00:00:00.000Z",
+  duration: "3d",
+  expires_at: "2026-01-04T00:00:00.000Z",
+  reason: "aimbot",
+  category: "cheating",
+  identifiers: ["license:a"],
+  revision: 2,
+};
+
+test("reports only fields that change, with before and after", () => {
+  assert.deepEqual(banEditChanges(ban, { reason: " aimbot ", category: "CHEATING" }).changes, {});
+  assert.deepEqual(banEditChanges(ban, { reason: "wallhack", add_identifiers: ["steam:1", "license:a"] }).changes, {
+    reason: { from: "aimbot", to: "wallhack" },
+    identifiers: { from: ["license:a"], to: ["license:a", "steam:1"] },
+  });
+  assert.deepEqual(banEditChanges(ban, { identifiers: [] }).changes, { identifiers: { from: ["license:a"], to: [] } });
+});
+
+test("a new duration counts from the ban's creation", () => {
+  assert.deepEqual(banEditChanges(ban, { duration: "7d" }).changes, {
+    duration: { from: "3d", to: "7d" },
+    expires_at: { from: "2026-01-04T00:00:00.000Z", to: "2026-01-08T00:00:00.000Z" },
+  });
+  assert.deepEqual(banEditChanges(ban, { duration: "P" }).changes, {
+    duration: { from: "3d", to: "P" },
+    expires_at: { from: "2026-01-04T00:00:00.000Z", to: null },
+  });
+});
+
+test("an explicit expires_at rewrites the duration to match", () => {
+  assert.deepEqual(banEditChanges(ban, { duration: "P", expires_at: "2026-01-02T12:00:00Z" }).changes, {
+    duration: { from: "3d", to: "36h" },
+    expires_at: { from: "2026-01-04T00:00:00.000Z", to: "2026-01-02T12:00:00.000Z" },
+  });
+});
+
+test("rejects invalid edits", () => {
+  assert.equal(banEditChanges(ban, { duration: "forever" }).error, "INVALID_DURATION");
+  assert.equal(banEditChanges(ban, { expires_at: "2025-12-31T00:00:00Z" }).error, "INVALID_EXPIRES_AT");
+  assert.equal(banEditChanges(ban, { expires_at: "tomorrow" }).error, "INVALID_EXPIRES_AT");
+  assert.equal(banEditChanges(ban, { reason: "  " }).error, "INVALID_REASON");
+  assert.equal(banEditChanges(ban, { category: "rude" }).error, "INVALID_CATEGORY");
+  assert.equal(banEditChanges(ban, { identifiers: "license:b" }).error, "INVALID_IDENTIFIERS");
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { banActionPayload, banHistory, escapeLike, withBanState } from "../bans.js";
+
+const now = new Date("2026-01-02T00:00:00Z").getTime();
+
+test("matches % _ and \\ in player names literally", () => {
+  assert.equal(escapeLike("Player_1"), "Player\\_1");
+  assert.equal(escapeLike("100%"), "100\\%");
+  assert.equal(escapeLike("a\\b"), "a\\\\b");
+  assert.equal(escapeLike("plain"), "plain");
+});
+
+test("keeps revoked and expired bans in the history with their own events", () => {
+  const bans = [
+    { ban_id: "B2", expires_at: null, revoked_at: "2026-01-01T12:00:00Z", evidence_url: "https://x/e2" },
+    { ban_id: "B1", expires_at: "2026-01-01T00:00:00Z", evidence_url: null },
+  ];
+  const events = [
+    { ban_id: "B1", action: "created" },
+    { ban_id: "B2", action: "created" },
+    { ban_id: "B2", action: "revoked" },
+  ];
+
+  const history = banHistory(bans, events, { showEvidence: true, now });
+  assert.deepEqual(history.map((b) => [b.ban_id, b.state]), [["B2", "revoked"], ["B1", "expired"]]);
+  assert.deepEqual(history[0].events.map((e) => e.action), ["created", "revoked"]);
+  assert.deepEqual(history[1].events.map((e) => e.action), ["created"]);
+  assert.equal(history[0].evidence_url, "https://x/e2");
+
+  assert.equal(banHistory(bans, events, { showEvidence: false, now })[0].evidence_url, undefined);
+});
+
+test("a reinstated ban is active again and goes to FiveM as a ban action", () => {
+  const revoked = {
+    ban_id: "B2",
+    reason: "aimbot",
+    duration: "P",
+    expires_at: null,
+    identifiers: ["license:a"],
+    category: "cheating",
+    revision: 3,
+    revoked_at: "2026-01-01T12:00:00Z",
+    revoked_by: "staff",
+  };
+
+  const reinstated = withBanState({ ...revoked, revoked_at: null, revoked_by: null, revoke_reason: null }, now);
+  assert.equal(reinstated.state, "active");
+  assert.deepEqual(banActionPayload(reinstated), {
+    ban_id: "B2",
+    reason: "aimbot",
+    duration: "P",
+    expires_at: null,
+    identifiers: ["license:a"],
+    category: "cheating",
+    revision: 3,
+  });
+  assert.deepEqual(banActionPayload({ ban_id: "B3" }).identifiers, []);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { networkBanRef, networkMatches, receivesNetworkMatches, sharerCategories } from "../bans.js";
+
+const now = new Date("2026-01-02T00:00:00Z").getTime();
+const settings = { license_key: "GG-ME", share_enabled: true, share_categories: ["cheating"], policy: "block" };
+
+const sharers = sharerCategories([
+  { license_key: "GG-A", share_categories: ["cheating"] },
+  { license_key: "GG-B", share_categories: ["cheating", "toxicity"] },
+  { license_key: "GG-C", share_categories: [] },
+  { license_key: "GG-D", share_categories: null },
+]);
+
+test("only licenses that share at least one category are sharers", () => {
+  assert.deepEqual([...sharers.keys()], ["GG-A", "GG-B"]);
+});
+
+test("receiving matches takes sharing and a policy other than ignore", () => {
+  assert.equal(receivesNetworkMatches(settings), true);
+  assert.equal(receivesNetworkMatches({ ...settings, policy: "ignore" }), false);
+  assert.equal(receivesNetworkMatches({ ...settings, share_enabled: false }), false);
+  assert.equal(receivesNetworkMatches({ ...settings, share_categories: [] }), false);
+});
+
+test("matches active bans in shared categories from other licenses only", () => {
+  const bans = [
+    { ban_id: "1", license: "GG-A", category: "cheating", created_at: "2026-01-01T00:00:00Z", expires_at: null },
+    { ban_id: "2", license: "GG-A", category: "toxicity", expires_at: null },
+    { ban_id: "3", license: "GG-B", category: "toxicity", expires_at: "2026-01-03T00:00:00Z" },
+    { ban_id: "4", license: "GG-B", category: "cheating", expires_at: "2026-01-01T00:00:00Z" },
+    { ban_id: "5", license: "GG-C", category: "cheating", expires_at: null },
+    { ban_id: "6", license: "GG-ME", category: "cheating", expires_at: null },
+    { ban_id: "7", license: "GG-A", category: "cheating", expires_at: null, revoked_at: "2026-01-01T00:00:00Z" },
+  ];
+
+  const result = networkMatches(bans, sharers, settings, now);
+  assert.equal(result.action, "block");
+  assert.deepEqual(result.matches.map((m) => m.category), ["cheating", "toxicity"]);
+  assert.deepEqual(result.matches[0], {
+    ref: networkBanRef(bans[0]),
+    category: "cheating",
+    created_at: "2026-01-01T00:00:00Z",
+    expires_at: null,
+    permanent: true,
+  });
+
+  // nothing in a match points back at the originating license
+  assert.equal(JSON.stringify(result).includes("GG-A"), false);
+  assert.deepEqual(networkMatches([], sharers, { ...settings, policy: "flag" }, now), { policy: "flag", action: null, matches: [] });
+});
+
+test("references are stable per ban and differ between bans", () => {
+  const ban = { license: "GG-A", ban_id: "1" };
+  assert.match(networkBanRef(ban), /^NET-[0-9A-F]{16}$/);
+  assert.equal(networkBanRef(ban), networkBanRef({ ...ban }));
+  assert.notEqual(networkBanRef(ban), networkBanRef({ license: "GG-B", ban_id: "1" }));
+});
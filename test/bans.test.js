@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  banStateOf,
+  computeExpiresAt,
+  durationBetween,
+  normalizeDuration,
+  normalizeIdentifiers,
+  withBanState,
+} from "../bans.js";
+
+const created = "2026-01-01T00:00:00.000Z";
+
+test("normalizes durations and rejects anything else", () => {
+  assert.deepEqual(normalizeDuration(undefined), { ok: true, value: "P" });
+  assert.deepEqual(normalizeDuration(" Permanent "), { ok: true, value: "P" });
+  assert.deepEqual(normalizeDuration("7D"), { ok: true, value: "7d" });
+  assert.deepEqual(normalizeDuration("90m"), { ok: true, value: "90m" });
+
+  for (const bad of ["0d", "-1d", "1w", "1.5h", "d", "36501d", "99999999999999999999d"]) {
+    assert.equal(normalizeDuration(bad).ok, false, bad);
+  }
+  assert.equal(normalizeDuration("36500d").ok, true);
+});
+
+test("computes expiry from the ban's creation time", () => {
+  assert.equal(computeExpiresAt("P", null, created), null);
+  assert.equal(computeExpiresAt("3d", null, created), "2026-01-04T00:00:00.000Z");
+  assert.equal(computeExpiresAt("36h", null, created), "2026-01-02T12:00:00.000Z");
+  assert.equal(computeExpiresAt("90m", null, created), "2026-01-01T01:30:00.000Z");
+
+  // an explicit timestamp wins; an unparsable one means none
+  assert.equal(computeExpiresAt("3d", "2026-02-01T00:00:00Z", created), "2026-02-01T00:00:00.000Z");
+  assert.equal(computeExpiresAt("3d", "soon", created), null);
+  assert.equal(computeExpiresAt("99999999999d", null, created), null);
+});
+
+test("turns an expiry back into the largest whole duration", () => {
+  assert.equal(durationBetween(created, "2026-01-04T00:00:00Z"), "3d");
+  assert.equal(durationBetween(created, "2026-01-02T12:00:00Z"), "36h");
+  assert.equal(durationBetween(created, "2026-01-01T01:30:00Z"), "90m");
+  assert.equal(durationBetween(created, "2026-01-01T00:00:20Z"), "1m");
+  assert.equal(durationBetween(created, created), null);
+  assert.equal(durationBetween(created, "2025-12-31T00:00:00Z"), null);
+
+  const expires = computeExpiresAt(durationBetween(created, "2026-01-02T12:00:00Z"), null, created);
+  assert.equal(expires, "2026-01-02T12:00:00.000Z");
+});
+
+test("derives active, expired and revoked state", () => {
+  const now = new Date("2026-01-02T00:00:00Z").getTime();
+
+  assert.equal(banStateOf({ expires_at: null }, now), "active");
+  assert.equal(banStateOf({ expires_at: "2026-01-03T00:00:00Z" }, now), "active");
+  assert.equal(banStateOf({ expires_at: "2026-01-02T00:00:00Z" }, now), "expired");
+  assert.equal(banStateOf({ expires_at: null, revoked_at: created }, now), "revoked");
+
+  assert.deepEqual(withBanState({ ban_id: "B1", expires_at: null }, now), {
+    ban_id: "B1",
+    expires_at: null,
+    permanent: true,
+    active: true,
+    state: "active",
+  });
+});
+
+test("trims and dedupes identifiers", () => {
+  assert.deepEqual(normalizeIdentifiers([" license:a ", "license:a", "", null, "steam:1"]), ["license:a", "steam:1"]);
+  assert.deepEqual(normalizeIdentifiers("license:a"), []);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  BLACKLIST_LISTS,
+  blacklistDelivery,
+  joaat,
+  parseBlacklistImport,
+  parseBlacklistValue,
+  splitImport,
+} from "../blacklists.js";
+
+test("hashes names the way GTA does", () => {
+  assert.equal(joaat("adder"), -1216765807);
+  assert.equal(joaat("ADDER"), joaat("adder"));
+  assert.equal(joaat("weapon_pistol") >>> 0, 0x1b06d571);
+});
+
+test("parses names, hashes and wildcards", () => {
+  assert.deepEqual(parseBlacklistValue(" Adder "), { value: "adder", hash: -1216765807 });
+  assert.deepEqual(parseBlacklistValue("0xb779a091"), { value: "0xB779A091", hash: -1216765807 });
+  assert.deepEqual(parseBlacklistValue("-1216765807"), { value: "0xB779A091", hash: -1216765807 });
+  assert.deepEqual(parseBlacklistValue("3078201489"), { value: "0xB779A091", hash: -1216765807 });
+  assert.deepEqual(parseBlacklistValue("police*"), { value: "police*", hash: null });
+});
+
+test("rejects what is not a name, hash or useful wildcard", () => {
+  for (const raw of ["", null, "*", "*_*", "4294967296", "-2147483649", "bad name", "x".repeat(65)]) {
+    assert.equal(parseBlacklistValue(raw), null, String(raw));
+  }
+});
+
+test("splits imports and keeps the bad lines", () => {
+  const items = splitImport("adder\r\n, Adder,0xB779A091\nnot valid\n\n*");
+  assert.deepEqual(items, ["adder", "Adder", "0xB779A091", "not valid", "*"]);
+  assert.deepEqual(splitImport([" a ", "", 5]), ["a", "5"]);
+
+  const { rows, invalid } = parseBlacklistImport(items, { list: "vehicle" });
+  assert.deepEqual([...rows.keys()], ["adder", "0xB779A091"]);
+  assert.deepEqual(rows.get("adder"), { list: "vehicle", value: "adder", hash: -1216765807 });
+  assert.deepEqual(invalid, ["not valid", "*"]);
+});
+
+test("builds the delivery shape with deduplicated hashes", () => {
+  const entries = [
+    { list: "vehicle", value: "adder", hash: -1216765807 },
+    { list: "vehicle", value: "0xB779A091", hash: -1216765807 },
+    { list: "vehicle", value: "police*", hash: null },
+    { list: "weapon", value: "0x00000001", hash: 1 },
+    { list: "unknown", value: "x", hash: 5 },
+  ];
+  const { hash, lists } = blacklistDelivery(entries, [{ list: "weapon", punishment: "ban" }]);
+
+  assert.deepEqual(Object.keys(lists), BLACKLIST_LISTS);
+  assert.deepEqual(lists.vehicle, { punishment: null, hashes: [-1216765807], wildcards: ["police*"], names: ["adder"] });
+  assert.deepEqual(lists.weapon, { punishment: "ban", hashes: [1], wildcards: [], names: [] });
+  assert.match(hash, /^[0-9a-f]{64}$/);
+
+  // the hash only changes with the content, not with row order
+  assert.equal(blacklistDelivery([...entries].reverse(), [{ list: "weapon", punishment: "ban" }]).hash, hash);
+  assert.notEqual(blacklistDelivery(entries, []).hash, hash);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DETECTION_DEFAULTS,
+  detectionConfigOf,
+  legacyDetectionColumns,
+  lockedDetection,
+  mergeDetectionConfig,
+  validateDetectionPatch,
+  withinPlan,
+} from "../detections.js";
+
+test("accepts partial patches that match the schema", () => {
+  assert.equal(validateDetectionPatch({}), null);
+  assert.equal(validateDetectionPatch({ speed: { max_speed: 90.5, punishment: "ban" } }), null);
+  assert.equal(validateDetectionPatch({ explosions: { whitelist: [0, 5, 100] }, noclip: { enabled: false } }), null);
+  assert.equal(validateDetectionPatch({ vehicleSpam: { max_per_minute: 120 } }), null);
+});
+
+test("names the field that failed validation", () => {
+  assert.deepEqual(validateDetectionPatch(null), { field: "settings", message: "must be an object" });
+  assert.deepEqual(validateDetectionPatch([]), { field: "settings", message: "must be an object" });
+  assert.deepEqual(validateDetectionPatch({ aimbot: {} }), { field: "aimbot", message: "unknown detection" });
+  assert.deepEqual(validateDetectionPatch({ constructor: {} }), { field: "constructor", message: "unknown detection" });
+  assert.deepEqual(validateDetectionPatch({ speed: true }), { field: "speed", message: "must be an object" });
+  assert.deepEqual(validateDetectionPatch({ speed: { max_sped: 1 } }), { field: "speed.max_sped", message: "unknown field" });
+  assert.deepEqual(validateDetectionPatch({ noclip: { max_speed: 1 } }), { field: "noclip.max_speed", message: "unknown field" });
+  assert.deepEqual(validateDetectionPatch({ noclip: { enabled: "yes" } }), {
+    field: "noclip.enabled",
+    message: "must be true or false",
+  });
+  assert.deepEqual(validateDetectionPatch({ godmode: { punishment: "warn" } }), {
+    field: "godmode.punishment",
+    message: "must be one of: log, kick, ban",
+  });
+  assert.deepEqual(validateDetectionPatch({ speed: { max_speed: 0 } }), {
+    field: "speed.max_speed",
+    message: "must be a number between 1 and 1000",
+  });
+  assert.deepEqual(validateDetectionPatch({ vehicleSpam: { max_per_minute: 2.5 } }), {
+    field: "vehicleSpam.max_per_minute",
+    message: "must be an integer between 1 and 120",
+  });
+  assert.deepEqual(validateDetectionPatch({ explosions: { whitelist: [1, 101] } }), {
+    field: "explosions.whitelist",
+    message: "[1] must be an integer between 0 and 100",
+  });
+});
+
+test("merges patches field by field over a base config", () => {
+  const merged = mergeDetectionConfig(DETECTION_DEFAULTS, { speed: { max_speed: 80 } });
+
+  assert.deepEqual(merged.speed, { enabled: true, punishment: "kick", max_speed: 80 });
+  assert.deepEqual(merged.noclip, DETECTION_DEFAULTS.noclip);
+  assert.equal(DETECTION_DEFAULTS.speed.max_speed, 120);
+});
+
+test("reads legacy rows from their boolean columns", () => {
+  const config = detectionConfigOf({ noclip: false, speed: true, godmode: null });
+
+  assert.deepEqual(config.noclip, { enabled: false, punishment: "ban" });
+  assert.deepEqual(config.speed, DETECTION_DEFAULTS.speed);
+  assert.deepEqual(config.godmode, DETECTION_DEFAULTS.godmode);
+
+  // the document wins over the columns once it exists
+  assert.equal(detectionConfigOf({ noclip: false, config: { noclip: { enabled: true } } }).noclip.enabled, true);
+  assert.deepEqual(detectionConfigOf(null), mergeDetectionConfig(DETECTION_DEFAULTS, {}));
+});
+
+test("keeps detections outside the plan switched off", () => {
+  const entitlements = { detections: ["noclip", "speed", "godmode"] };
+  const config = withinPlan(DETECTION_DEFAULTS, entitlements);
+
+  assert.equal(config.speed.enabled, true);
+  assert.equal(config.explosions.enabled, false);
+  assert.equal(DETECTION_DEFAULTS.explosions.enabled, true);
+  assert.deepEqual(legacyDetectionColumns(config), {
+    noclip: true,
+    speed: true,
+    explosions: false,
+    vehicleSpam: false,
+    blacklistedVehicle: false,
+    godmode: true,
+  });
+
+  assert.equal(lockedDetection({ speed: {}, explosions: {} }, entitlements), "explosions");
+  assert.equal(lockedDetection({ speed: {} }, entitlements), undefined);
+});
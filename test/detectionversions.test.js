@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DETECTION_DEFAULTS,
+  detectionConfigDiff,
+  detectionPresets,
+  hasDetectionPreset,
+  mergeDetectionConfig,
+  presetConfig,
+} from "../detections.js";
+
+const ALL = { detections: Object.keys(DETECTION_DEFAULTS) };
+
+test("knows only its own presets", () => {
+  assert.equal(hasDetectionPreset("strict"), true);
+  assert.equal(hasDetectionPreset("constructor"), false);
+  assert.equal(hasDetectionPreset(["strict"]), false);
+  assert.deepEqual(detectionPresets().map((p) => p.name), ["strict", "balanced", "roleplay"]);
+});
+
+test("lists presets as full configs", () => {
+  const balanced = detectionPresets().find((p) => p.name === "balanced");
+  assert.equal(balanced.label, "Balanced");
+  assert.deepEqual(balanced.config, DETECTION_DEFAULTS);
+});
+
+test("applies a preset but leaves detections outside the plan alone", () => {
+  const before = mergeDetectionConfig(DETECTION_DEFAULTS, { godmode: { enabled: false, punishment: "log" } });
+
+  assert.equal(presetConfig("strict", before, ALL).godmode.punishment, "ban");
+
+  const config = presetConfig("strict", before, { detections: ["noclip", "speed"] });
+  assert.equal(config.speed.max_speed, 90);
+  assert.deepEqual(config.godmode, before.godmode);
+});
+
+test("diffs versions field by field", () => {
+  const to = mergeDetectionConfig(DETECTION_DEFAULTS, {
+    speed: { max_speed: 90 },
+    explosions: { whitelist: [1] },
+  });
+  assert.deepEqual(detectionConfigDiff(DETECTION_DEFAULTS, to), [
+    { field: "speed.max_speed", from: DETECTION_DEFAULTS.speed.max_speed, to: 90 },
+    { field: "explosions.whitelist", from: DETECTION_DEFAULTS.explosions.whitelist, to: [1] },
+  ]);
+  assert.deepEqual(detectionConfigDiff(to, to), []);
+  assert.deepEqual(detectionConfigDiff(null, to)[0], { field: "noclip.enabled", from: null, to: true });
+});
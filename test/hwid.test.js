@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { hwidMonthStart, hwidResetAllowance, hwidResetError } from "../hwid.js";
+
+const DAY = 86_400_000;
+const options = (now) => ({ cooldownMs: 7 * DAY, monthlyQuota: 2, now });
+
+test("months start on the first, UTC", () => {
+  assert.equal(hwidMonthStart(Date.parse("2026-03-17T23:59:00Z")).toISOString(), "2026-03-01T00:00:00.000Z");
+  assert.equal(hwidMonthStart(Date.parse("2026-03-01T00:00:00Z")).toISOString(), "2026-03-01T00:00:00.000Z");
+});
+
+test("a license that was never reset can reset right away", () => {
+  const allowance = hwidResetAllowance({ hwid_reset_at: null }, 0, options(Date.parse("2026-03-17T00:00:00Z")));
+
+  assert.deepEqual(allowance, { resets_used_this_month: 0, resets_left_this_month: 2, reset_available_at: null });
+  assert.equal(hwidResetError(allowance), null);
+});
+
+test("waits out the cooldown after a reset", () => {
+  const lic = { hwid_reset_at: "2026-03-10T00:00:00.000Z" };
+
+  const early = hwidResetAllowance(lic, 1, options(Date.parse("2026-03-16T00:00:00Z")));
+  assert.equal(early.reset_available_at, "2026-03-17T00:00:00.000Z");
+  assert.equal(hwidResetError(early), "HWID_RESET_COOLDOWN");
+
+  const later = hwidResetAllowance(lic, 1, options(Date.parse("2026-03-17T00:00:00Z")));
+  assert.deepEqual(later, { resets_used_this_month: 1, resets_left_this_month: 1, reset_available_at: null });
+  assert.equal(hwidResetError(later), null);
+});
+
+test("stops at the monthly quota until the next month", () => {
+  const lic = { hwid_reset_at: "2026-03-10T00:00:00.000Z" };
+
+  const spent = hwidResetAllowance(lic, 2, options(Date.parse("2026-03-25T00:00:00Z")));
+  assert.equal(spent.resets_left_this_month, 0);
+  assert.equal(hwidResetError(spent), "HWID_RESET_QUOTA");
+
+  assert.equal(hwidResetAllowance(lic, 0, options(Date.parse("2026-04-01T00:00:00Z"))).resets_left_this_month, 2);
+});
+
+test("counts a reset recorded only in hwid_reset_at", () => {
+  const lic = { hwid_reset_at: "2026-03-02T00:00:00.000Z" };
+  assert.equal(hwidResetAllowance(lic, 0, options(Date.parse("2026-03-20T00:00:00Z"))).resets_used_this_month, 1);
+});
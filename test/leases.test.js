@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { leaseFlagFields, leasePayload, leaseTtlFor, revocationPayload, toggleLeaseFields } from "../leases.js";
+
+const HOUR = 3_600_000;
+
+test("uses the license's lease_ttl_ms override when it is usable", () => {
+  assert.equal(leaseTtlFor({ lease_ttl_ms: HOUR }, 72 * HOUR), HOUR);
+  assert.equal(leaseTtlFor({ lease_ttl_ms: null }, 72 * HOUR), 72 * HOUR);
+  assert.equal(leaseTtlFor({ lease_ttl_ms: 0 }, 72 * HOUR), 72 * HOUR);
+  assert.equal(leaseTtlFor({ lease_ttl_ms: "abc" }, 72 * HOUR), 72 * HOUR);
+});
+
+test("builds a lease for the bound hwid and entitlements", () => {
+  const lic = { license_key: "GG-1", status: "ACTIVE", expires_at: null, hwid: "HW-1" };
+  const { payload, lease_expires_at } = leasePayload(lic, {
+    hwid: "HW-2",
+    entitlements: { plan: "pro" },
+    ttlMs: HOUR,
+    kid: "k1",
+    now: 1000,
+  });
+  const { lease_id, ...body } = JSON.parse(payload);
+
+  assert.equal(lease_expires_at, new Date(1000 + HOUR).toISOString());
+  assert.match(lease_id, /^LEASE-1000-[0-9a-f]{8}$/);
+  assert.deepEqual(body, {
+    type: "lease",
+    license_key: "GG-1",
+    status: "ACTIVE",
+    expires_at: null,
+    hwid: "HW-1",
+    entitlements: { plan: "pro" },
+    issued_at: 1000,
+    lease_expires_at: 1000 + HOUR,
+    kid: "k1",
+  });
+
+  // unbound licenses lease to the caller's hwid
+  assert.equal(JSON.parse(leasePayload({ ...lic, hwid: null }, { hwid: "HW-2", ttlMs: HOUR, kid: null, now: 0 }).payload).hwid, "HW-2");
+});
+
+test("never leases past the license expiry", () => {
+  const expires = new Date(1000 + 10_000).toISOString();
+  const lic = { license_key: "GG-1", status: "ACTIVE", expires_at: expires };
+
+  assert.equal(leasePayload(lic, { ttlMs: HOUR, kid: null, now: 1000 }).lease_expires_at, expires);
+});
+
+test("revocations carry the reason and the flag", () => {
+  const lic = { license_key: "GG-1", lease_flag: "DISABLED" };
+  assert.deepEqual(JSON.parse(revocationPayload(lic, "DISABLED", { kid: "k1", now: 5 })), {
+    type: "revocation",
+    license_key: "GG-1",
+    reason: "DISABLED",
+    flag: "DISABLED",
+    issued_at: 5,
+    kid: "k1",
+  });
+});
+
+test("reports the flag with the time it was raised, until acked", () => {
+  assert.deepEqual(leaseFlagFields({ lease_flag: "DISABLED", lease_flag_at: "2026-01-01T00:00:00.000Z" }), {
+    flags: ["DISABLED"],
+    flag_at: "2026-01-01T00:00:00.000Z",
+  });
+  assert.deepEqual(leaseFlagFields({ lease_flag: null }), { flags: [] });
+});
+
+test("toggling a license away from ACTIVE flags it and shortens leases", () => {
+  const options = { restrictedTtlMs: HOUR, now: 0 };
+
+  assert.deepEqual(toggleLeaseFields("DISABLED", undefined, options), {
+    fields: { lease_flag: "DISABLED", lease_flag_at: new Date(0).toISOString(), lease_ttl_ms: HOUR },
+  });
+  // re-enabling keeps the short ttl until it is reset explicitly
+  assert.deepEqual(toggleLeaseFields("ACTIVE", undefined, options), { fields: {} });
+  assert.deepEqual(toggleLeaseFields("ACTIVE", null, options), { fields: { lease_ttl_ms: null } });
+  assert.deepEqual(toggleLeaseFields("DISABLED", "5000", options).fields.lease_ttl_ms, 5000);
+  assert.deepEqual(toggleLeaseFields("ACTIVE", -1, options), { error: "INVALID_LEASE_TTL" });
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+import { activeKidOf, loadLicenseKeys, parseKeyList, publicKeyInfo, signLicensePayload } from "../licensesigning.js";
+
+function ed25519Entry(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  return {
+    signing: `${kid}:${privateKey.export({ type: "pkcs8", format: "der" }).toString("base64")}`,
+    published: `${kid}:${publicKey.export({ type: "spki", format: "der" }).toString("base64")}`,
+  };
+}
+
+const k1 = ed25519Entry("k1");
+const k2 = ed25519Entry("k2");
+const old = ed25519Entry("old");
+
+test("parses comma separated kid:base64 lists", () => {
+  assert.deepEqual(parseKeyList(" a:AAEC , b:AwQ= ,"), [
+    { kid: "a", der: Buffer.from([0, 1, 2]) },
+    { kid: "b", der: Buffer.from([3, 4]) },
+  ]);
+  assert.deepEqual(parseKeyList(undefined), []);
+});
+
+test("loads signing keys and public-only retired keys", () => {
+  const keys = loadLicenseKeys(`${k1.signing},${k2.signing}`, `${old.published},${k1.published}`);
+
+  assert.deepEqual([...keys.keys()], ["k1", "k2", "old"]);
+  assert.ok(keys.get("k1").privateKey);
+  assert.equal(keys.get("old").privateKey, null);
+});
+
+test("refuses keys that are not Ed25519", () => {
+  const { privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const ec = `ec:${privateKey.export({ type: "pkcs8", format: "der" }).toString("base64")}`;
+  assert.throws(() => loadLicenseKeys(ec, ""), /license key ec is not ed25519/);
+});
+
+test("picks the active kid and requires its private key", () => {
+  const keys = loadLicenseKeys(`${k1.signing},${k2.signing}`, old.published);
+
+  assert.equal(activeKidOf(keys, ""), "k1");
+  assert.equal(activeKidOf(keys, "k2"), "k2");
+  assert.throws(() => activeKidOf(keys, "old"), /has no private key/);
+  assert.equal(activeKidOf(new Map(), ""), null);
+});
+
+test("signs with the HMAC and, with a kid, Ed25519", () => {
+  const keys = loadLicenseKeys(k1.signing, "");
+  const payload = JSON.stringify({ license_key: "GG-1", kid: "k1" });
+  const hmac = crypto.createHmac("sha256", "secret").update(payload).digest("hex");
+
+  assert.deepEqual(signLicensePayload(payload, { hmacSecret: "secret", keys, kid: null }), { signature: hmac });
+
+  const fields = signLicensePayload(payload, { hmacSecret: "secret", keys, kid: "k1" });
+  assert.equal(fields.signature, hmac);
+  assert.equal(fields.alg, "Ed25519");
+  assert.equal(fields.kid, "k1");
+
+  // what a resource does with the published key
+  const info = publicKeyInfo(keys.get("k1"), "k1");
+  const publicKey = crypto.createPublicKey({ key: Buffer.from(info.public_key, "base64"), format: "der", type: "spki" });
+  assert.equal(crypto.verify(null, Buffer.from(payload), publicKey, Buffer.from(fields.ed25519_signature, "base64")), true);
+  assert.equal(crypto.verify(null, Buffer.from(payload + " "), publicKey, Buffer.from(fields.ed25519_signature, "base64")), false);
+});
+
+test("publishes the public key in DER, raw and PEM form", () => {
+  const keys = loadLicenseKeys(k1.signing, old.published);
+  const info = publicKeyInfo(keys.get("old"), "k1");
+
+  assert.equal(info.active, false);
+  assert.equal(info.public_key, old.published.slice("old:".length));
+  assert.equal(Buffer.from(info.public_key_raw, "base64url").length, 32);
+  assert.match(info.public_key_pem, /^-----BEGIN PUBLIC KEY-----/);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { csvField, expiryFromDays, expiryNoticeMessage, renewedExpiry, toCsv, validateBatch } from "../lifecycle.js";
+
+const NOW = Date.parse("2026-03-10T12:00:00Z");
+const DAY = 86_400_000;
+
+test("new licenses expire days_valid from now unless lifetime", () => {
+  assert.equal(expiryFromDays(30, false, NOW), "2026-04-09T12:00:00.000Z");
+  assert.equal(expiryFromDays("7", undefined, NOW), "2026-03-17T12:00:00.000Z");
+  assert.equal(expiryFromDays(30, true, NOW), null);
+  assert.equal(expiryFromDays(0, false, NOW), null);
+  assert.equal(expiryFromDays(undefined, false, NOW), null);
+});
+
+test("words the expiry notice from the remaining days", () => {
+  assert.equal(expiryNoticeMessage(new Date(NOW + 3 * DAY).toISOString(), NOW), "Your license expires in 3 days (2026-03-13).");
+  assert.equal(expiryNoticeMessage(new Date(NOW + DAY).toISOString(), NOW), "Your license expires in 1 day (2026-03-11).");
+  assert.equal(expiryNoticeMessage(new Date(NOW).toISOString(), NOW), "Your license expires today.");
+  assert.equal(expiryNoticeMessage(new Date(NOW - DAY).toISOString(), NOW), "Your license expires today.");
+});
+
+test("renewals stack on a future expiry and restart from now otherwise", () => {
+  const future = { expires_at: new Date(NOW + 5 * DAY).toISOString() };
+  const past = { expires_at: new Date(NOW - 5 * DAY).toISOString() };
+
+  assert.deepEqual(renewedExpiry(future, { duration: "30d" }, NOW), { expires_at: new Date(NOW + 35 * DAY).toISOString() });
+  assert.deepEqual(renewedExpiry(past, { duration: "30d" }, NOW), { expires_at: new Date(NOW + 30 * DAY).toISOString() });
+  assert.deepEqual(renewedExpiry({ expires_at: null }, { duration: "12h" }, NOW), {
+    expires_at: new Date(NOW + DAY / 2).toISOString(),
+  });
+  assert.deepEqual(renewedExpiry(future, { lifetime: true }, NOW), { expires_at: null });
+});
+
+test("refuses renewals without a usable duration", () => {
+  assert.deepEqual(renewedExpiry({}, { duration: "P" }, NOW), { error: "INVALID_DURATION" });
+  assert.deepEqual(renewedExpiry({}, { duration: "" }, NOW), { error: "INVALID_DURATION" });
+  assert.deepEqual(renewedExpiry({}, { duration: "3w" }, NOW), { error: "INVALID_DURATION" });
+  // stacked past what Date can represent
+  assert.deepEqual(renewedExpiry({ expires_at: "+275700-01-01T00:00:00.000Z" }, { duration: "36500d" }, NOW), {
+    error: "INVALID_DURATION",
+  });
+});
+
+test("validates bulk batches", () => {
+  assert.deepEqual(validateBatch({ count: "25", batch_label: " spring " }, 500), { count: 25, label: "spring" });
+  assert.deepEqual(validateBatch({ count: 0, batch_label: "x" }, 500), { error: "INVALID_COUNT" });
+  assert.deepEqual(validateBatch({ count: 501, batch_label: "x" }, 500), { error: "INVALID_COUNT" });
+  assert.deepEqual(validateBatch({ count: 2.5, batch_label: "x" }, 500), { error: "INVALID_COUNT" });
+  assert.deepEqual(validateBatch({ count: 1, batch_label: "  " }, 500), { error: "INVALID_BATCH_LABEL" });
+  assert.deepEqual(validateBatch({ count: 1, batch_label: "x".repeat(65) }, 500), { error: "INVALID_BATCH_LABEL" });
+});
+
+test("exports CSV with quoting where needed", () => {
+  assert.equal(csvField(null), "");
+  assert.equal(csvField("GG-AB12-CD34"), "GG-AB12-CD34");
+  assert.equal(csvField('say "hi", ok'), '"say ""hi"", ok"');
+  assert.equal(csvField("two\nlines"), '"two\nlines"');
+
+  assert.equal(
+    toCsv([{ license_key: "GG-1", batch_label: "a,b" }, { license_key: "GG-2", batch_label: null }], ["license_key", "batch_label"]),
+    'license_key,batch_label\r\nGG-1,"a,b"\r\nGG-2,\r\n'
+  );
+});
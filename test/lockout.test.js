@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createAuthLocks } from "../lockout.js";
+
+function harness() {
+  const clock = { now: 0 };
+  const locks = createAuthLocks({
+    windowMs: 1000,
+    baseMs: 100,
+    maxMs: 350,
+    resetMs: 10_000,
+    now: () => clock.now,
+  });
+  return { locks, clock };
+}
+
+test("locks a key once the limit is hit inside the window", () => {
+  const { locks, clock } = harness();
+
+  locks.fail("login_account", "1.2.3.4|bob", 3);
+  locks.fail("login_account", "1.2.3.4|bob", 3);
+  assert.equal(locks.remaining("login_account", "1.2.3.4|bob"), 0);
+
+  clock.now = 50;
+  locks.fail("login_account", "1.2.3.4|bob", 3);
+  assert.equal(locks.remaining("login_account", "1.2.3.4|bob"), 100);
+
+  // other keys and scopes are untouched
+  assert.equal(locks.remaining("login_account", "5.6.7.8|bob"), 0);
+  assert.equal(locks.remaining("login_ip", "1.2.3.4|bob"), 0);
+
+  clock.now = 150;
+  assert.equal(locks.remaining("login_account", "1.2.3.4|bob"), 0);
+});
+
+test("failures outside the window do not count", () => {
+  const { locks, clock } = harness();
+
+  locks.fail("verify_ip", "ip", 2);
+  clock.now = 1000;
+  locks.fail("verify_ip", "ip", 2);
+  assert.equal(locks.remaining("verify_ip", "ip"), 0);
+
+  clock.now = 1500;
+  locks.fail("verify_ip", "ip", 2);
+  assert.equal(locks.remaining("verify_ip", "ip"), 100);
+});
+
+test("doubles each further lockout up to the maximum", () => {
+  const { locks, clock } = harness();
+  const lockOnce = () => {
+    locks.fail("login_ip", "ip", 1);
+    const remaining = locks.remaining("login_ip", "ip");
+    clock.now += remaining;
+    return remaining;
+  };
+
+  assert.deepEqual([lockOnce(), lockOnce(), lockOnce(), lockOnce()], [100, 200, 350, 350]);
+});
+
+test("forgets the streak after a quiet period or a successful login", () => {
+  const { locks, clock } = harness();
+
+  locks.fail("login_ip", "ip", 1);
+  clock.now = 10_001;
+  locks.fail("login_ip", "ip", 1);
+  assert.equal(locks.remaining("login_ip", "ip"), 100);
+
+  locks.clear("login_ip", "ip");
+  assert.equal(locks.remaining("login_ip", "ip"), 0);
+});
+
+test("lists locked keys first and drops quiet ones", () => {
+  const { locks, clock } = harness();
+
+  locks.fail("login_ip", "a", 5);
+  clock.now = 10;
+  locks.fail("login_account", "b", 1);
+
+  assert.deepEqual(locks.list().map((x) => [x.scope, x.key, x.locked, x.recent_failures]), [
+    ["login_account", "b", true, 0],
+    ["login_ip", "a", false, 1],
+  ]);
+
+  clock.now = 20_000;
+  locks.prune();
+  assert.deepEqual(locks.list(), []);
+});
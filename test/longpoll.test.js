@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createActionQueue, createActionWaiters, longPollWaitMs } from "../actions.js";
+
+function setup() {
+  const waiters = createActionWaiters();
+  const queue = createActionQueue({
+    ttlMs: 60_000,
+    redeliverMs: 30_000,
+    maxAttempts: 5,
+    retentionMs: 60_000,
+    limit: 10,
+    onPush: (license_key) => waiters.wake(license_key),
+  });
+  return { waiters, queue };
+}
+
+// stands in for one open /actions/wait request
+function openRequest(waiters, queue, license_key) {
+  const answered = [];
+  const waiter = () => {
+    const actions = queue.takeDue(license_key);
+    if (!actions.length) return false;
+    answered.push(actions.map((a) => a.id));
+    return true;
+  };
+  waiters.add(license_key, waiter);
+  return { answered, waiter };
+}
+
+test("answers a waiting server as soon as an action is queued", () => {
+  const { waiters, queue } = setup();
+  const open = openRequest(waiters, queue, "GG-1");
+  const other = openRequest(waiters, queue, "GG-2");
+
+  queue.push("GG-1", { id: "a", type: "kick" });
+  assert.deepEqual(open.answered, [["a"]]);
+  assert.deepEqual(other.answered, []);
+  assert.equal(queue.find("GG-1", "a").status, "delivered");
+
+  // answered waiters are gone; the next action waits for the next poll
+  queue.push("GG-1", { id: "b", type: "kick" });
+  assert.deepEqual(open.answered, [["a"]]);
+  assert.equal(queue.find("GG-1", "b").status, "pending");
+});
+
+test("hands an action to one of two concurrent waiters only", () => {
+  const { waiters, queue } = setup();
+  const first = openRequest(waiters, queue, "GG-1");
+  const second = openRequest(waiters, queue, "GG-1");
+
+  queue.push("GG-1", { id: "a", type: "kick" });
+  assert.deepEqual([...first.answered, ...second.answered], [["a"]]);
+});
+
+test("a closed request is not woken", () => {
+  const { waiters, queue } = setup();
+  const open = openRequest(waiters, queue, "GG-1");
+  waiters.remove("GG-1", open.waiter);
+
+  queue.push("GG-1", { id: "a", type: "kick" });
+  assert.deepEqual(open.answered, []);
+  assert.equal(queue.find("GG-1", "a").status, "pending");
+});
+
+test("clamps the requested wait to 1s..max", () => {
+  assert.equal(longPollWaitMs(undefined, 25_000), 25_000);
+  assert.equal(longPollWaitMs("abc", 25_000), 25_000);
+  assert.equal(longPollWaitMs(10, 25_000), 1000);
+  assert.equal(longPollWaitMs(5000, 25_000), 5000);
+  assert.equal(longPollWaitMs(60_000, 25_000), 25_000);
+});
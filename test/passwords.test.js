@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+import { SCRYPT_PARAMS, checkPasswordPolicy, hashPassword, verifyPassword } from "../passwords.js";
+
+test("hashes with a fresh salt and the current params", async () => {
+  const a = await hashPassword("correct horse 1");
+  const b = await hashPassword("correct horse 1");
+
+  assert.match(a, new RegExp(`^scrypt\\$${SCRYPT_PARAMS.N}\\$${SCRYPT_PARAMS.r}\\$${SCRYPT_PARAMS.p}\\$`));
+  assert.notEqual(a, b);
+
+  assert.deepEqual(await verifyPassword("correct horse 1", a), { ok: true, needsRehash: false });
+  assert.deepEqual(await verifyPassword("correct horse 2", a), { ok: false, needsRehash: false });
+});
+
+test("accepts legacy sha256 hashes once and asks for a rehash", async () => {
+  const legacy = crypto.createHash("sha256").update("hunter2hunter2").digest("hex");
+
+  assert.deepEqual(await verifyPassword("hunter2hunter2", legacy), { ok: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword("hunter3hunter3", legacy), { ok: false, needsRehash: false });
+});
+
+test("asks for a rehash when the stored params are outdated", async () => {
+  const old = await hashPassword("correct horse 1", { N: 1024, r: 8, p: 1 });
+
+  assert.deepEqual(await verifyPassword("correct horse 1", old), { ok: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword("wrong", old), { ok: false, needsRehash: false });
+});
+
+test("rejects stored values it does not understand", async () => {
+  assert.deepEqual(await verifyPassword("x", ""), { ok: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword("x", "bcrypt$2b$10$abc"), { ok: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword("x", null), { ok: false, needsRehash: false });
+});
+
+test("enforces the password policy", () => {
+  const policy = (password, username) => checkPasswordPolicy(password, { username, minLength: 10 });
+
+  assert.equal(policy("abcdefgh12", "owner"), null);
+  assert.equal(policy("abc12", "owner"), "PASSWORD_TOO_SHORT");
+  assert.equal(policy("a1".repeat(101), "owner"), "PASSWORD_TOO_LONG");
+  assert.equal(policy("abcdefghijk", "owner"), "PASSWORD_TOO_WEAK");
+  assert.equal(policy("1234567890", "owner"), "PASSWORD_TOO_WEAK");
+  assert.equal(policy("xOwner12345", "owner"), "PASSWORD_CONTAINS_USERNAME");
+  // names under three characters are not checked
+  assert.equal(policy("jo12345678", "jo"), null);
+});
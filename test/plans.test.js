@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_PLANS, DETECTION_KEYS, entitlementsOf, hasPlan, planCatalogue, validatePlanLimits } from "../plans.js";
+
+test("validates plan limits field by field", () => {
+  assert.equal(validatePlanLimits({ max_panel_admins: 3, detections: ["speed"], log_retention_days: 14, evidence_uploads: true }), null);
+  assert.equal(validatePlanLimits({}), null);
+
+  assert.equal(validatePlanLimits(null), "INVALID_LIMITS");
+  assert.equal(validatePlanLimits({ max_panel_admins: -1 }), "INVALID_MAX_PANEL_ADMINS");
+  assert.equal(validatePlanLimits({ max_panel_admins: 1.5 }), "INVALID_MAX_PANEL_ADMINS");
+  assert.equal(validatePlanLimits({ detections: ["speed", "aimbot"] }), "INVALID_DETECTIONS");
+  assert.equal(validatePlanLimits({ detections: "speed" }), "INVALID_DETECTIONS");
+  assert.equal(validatePlanLimits({ log_retention_days: 0 }), "INVALID_LOG_RETENTION_DAYS");
+  assert.equal(validatePlanLimits({ evidence_uploads: "yes" }), "INVALID_EVIDENCE_UPLOADS");
+});
+
+test("plan lookups never reach Object.prototype", () => {
+  const plans = planCatalogue([]);
+  assert.equal(hasPlan(plans, "pro"), true);
+  assert.equal(hasPlan(plans, "constructor"), false);
+  assert.equal(hasPlan(plans, "__proto__"), false);
+  assert.equal(hasPlan(plans, ["pro"]), false);
+  assert.equal(hasPlan(plans, undefined), false);
+});
+
+test("builds the catalogue from defaults and license_plans rows", () => {
+  const plans = planCatalogue([
+    { name: "pro", limits: { max_panel_admins: 15 } },
+    { name: "trial", limits: { log_retention_days: 3 } },
+  ]);
+
+  assert.deepEqual(plans.pro, { ...DEFAULT_PLANS.pro, max_panel_admins: 15 });
+  assert.deepEqual(plans.trial, { ...DEFAULT_PLANS.basic, log_retention_days: 3 });
+  assert.deepEqual(plans.network, DEFAULT_PLANS.network);
+
+  // the defaults themselves are never modified
+  plans.basic.detections.push("explosions");
+  assert.deepEqual(DEFAULT_PLANS.basic.detections, ["noclip", "speed", "godmode"]);
+  assert.deepEqual(DEFAULT_PLANS.pro.detections, DETECTION_KEYS);
+});
+
+test("merges plan limits and per-license overrides into entitlements", () => {
+  const plans = planCatalogue([]);
+
+  assert.deepEqual(entitlementsOf(plans, { plan: "basic", plan_overrides: { max_panel_admins: 5 } }, "pro"), {
+    plan: "basic",
+    ...DEFAULT_PLANS.basic,
+    max_panel_admins: 5,
+  });
+  assert.deepEqual(entitlementsOf(plans, { plan: null }, "pro"), { plan: "pro", ...DEFAULT_PLANS.pro });
+  assert.deepEqual(entitlementsOf(plans, { plan: "constructor" }, "pro"), { plan: "pro", ...DEFAULT_PLANS.pro });
+  assert.deepEqual(entitlementsOf(plans, null, "missing"), { plan: "missing", ...DEFAULT_PLANS.basic });
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  BUILTIN_ROLES,
+  PERMISSIONS,
+  actionPermission,
+  isBuiltinRole,
+  knownPermissions,
+  normalizeRoleName,
+  validateCustomRole,
+} from "../roles.js";
+
+test("built-in roles narrow down from owner to viewer", () => {
+  assert.deepEqual(BUILTIN_ROLES.owner, PERMISSIONS);
+  assert.equal(BUILTIN_ROLES.senior_admin.includes("audit.view"), false);
+  assert.equal(BUILTIN_ROLES.moderator.includes("ban.unban"), false);
+  assert.equal(BUILTIN_ROLES.moderator.includes("action.ban"), true);
+  assert.deepEqual(BUILTIN_ROLES.viewer, ["dashboard.view", "logs.view"]);
+
+  for (const permissions of Object.values(BUILTIN_ROLES)) {
+    assert.deepEqual(knownPermissions(permissions), permissions);
+  }
+});
+
+test("normalizes role names and maps the legacy admin role", () => {
+  assert.equal(normalizeRoleName("  Moderator "), "moderator");
+  assert.equal(normalizeRoleName("admin"), "senior_admin");
+  assert.equal(normalizeRoleName(undefined), "");
+});
+
+test("only real built-in roles count as built in", () => {
+  assert.equal(isBuiltinRole("viewer"), true);
+  assert.equal(isBuiltinRole("constructor"), false);
+  assert.equal(isBuiltinRole("__proto__"), false);
+  assert.equal(isBuiltinRole("helpers"), false);
+});
+
+test("maps action types to their permission", () => {
+  assert.equal(actionPermission("kick"), "action.kick");
+  assert.equal(actionPermission("ban"), "action.ban");
+  assert.equal(actionPermission("screenshot"), "action.other");
+  assert.equal(actionPermission("other"), "action.other");
+});
+
+test("custom roles grant only permissions that still exist", () => {
+  assert.deepEqual(knownPermissions(["logs.view", "servers.delete"]), ["logs.view"]);
+  assert.deepEqual(knownPermissions(undefined), []);
+});
+
+test("validates owner-defined roles", () => {
+  assert.deepEqual(validateCustomRole({ name: "Helpers", permissions: ["logs.view", "logs.view", "action.kick"] }), {
+    name: "helpers",
+    permissions: ["logs.view", "action.kick"],
+  });
+
+  assert.equal(validateCustomRole({ name: "x", permissions: [] }).error, "INVALID_NAME");
+  assert.equal(validateCustomRole({ name: "has space", permissions: [] }).error, "INVALID_NAME");
+  assert.equal(validateCustomRole({ name: "viewer", permissions: [] }).error, "RESERVED_NAME");
+  assert.equal(validateCustomRole({ name: "admin", permissions: [] }).error, "RESERVED_NAME");
+  assert.equal(validateCustomRole({ name: "helpers", permissions: "logs.view" }).error, "INVALID_PERMISSIONS");
+  assert.equal(validateCustomRole({ name: "helpers", permissions: ["root"] }).error, "INVALID_PERMISSIONS");
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+import { checkSignatureHeaders, createNonceStore, safeEqualHex, signServerRequest } from "../serverauth.js";
+
+const request = { timestamp: "1700000000000", nonce: "n-12345678", method: "post", path: "/api/server/heartbeat", body: '{"a":1}' };
+
+test("signs timestamp, nonce, method, path and raw body", () => {
+  const expected = crypto
+    .createHmac("sha256", "secret")
+    .update('1700000000000.n-12345678.POST./api/server/heartbeat.{"a":1}')
+    .digest("hex");
+
+  assert.equal(signServerRequest("secret", request), expected);
+  assert.equal(signServerRequest("secret", { ...request, body: undefined }), signServerRequest("secret", { ...request, body: "" }));
+
+  // any changed part gives another signature
+  for (const change of [{ path: "/api/server/heartbeat?x=1" }, { body: '{"a":2}' }, { method: "GET" }, { nonce: "n-87654321" }]) {
+    assert.notEqual(signServerRequest("secret", { ...request, ...change }), expected);
+  }
+  assert.notEqual(signServerRequest("other", request), expected);
+});
+
+test("compares signatures as hex of equal length", () => {
+  const sig = signServerRequest("secret", request);
+  assert.equal(safeEqualHex(sig, sig), true);
+  assert.equal(safeEqualHex(sig.toUpperCase(), sig), true);
+  assert.equal(safeEqualHex(sig.slice(0, -2), sig), false);
+  assert.equal(safeEqualHex("", ""), false);
+  assert.equal(safeEqualHex(undefined, sig), false);
+});
+
+test("rejects missing, mismatched, stale and malformed headers", () => {
+  const now = 1_700_000_000_000;
+  const headers = { license_key: "GG-1", headerLicense: "GG-1", timestamp: String(now), nonce: "n-12345678", signature: "ab" };
+  const check = (change) => checkSignatureHeaders({ ...headers, ...change }, { maxSkewMs: 60_000, now });
+
+  assert.equal(check({}), null);
+  assert.equal(check({ signature: undefined }), "MISSING_SIGNATURE");
+  assert.equal(check({ headerLicense: "GG-2" }), "LICENSE_MISMATCH");
+  assert.equal(check({ timestamp: "yesterday" }), "INVALID_TIMESTAMP");
+  assert.equal(check({ timestamp: String(now - 60_001) }), "STALE_TIMESTAMP");
+  assert.equal(check({ timestamp: String(now + 60_001) }), "STALE_TIMESTAMP");
+  assert.equal(check({ timestamp: String(now - 60_000) }), null);
+  assert.equal(check({ nonce: "short" }), "INVALID_NONCE");
+  assert.equal(check({ nonce: "x".repeat(129) }), "INVALID_NONCE");
+});
+
+test("accepts a nonce once per license until it expires", () => {
+  const nonces = createNonceStore(1000);
+
+  assert.equal(nonces.remember("GG-1", "n-1", 0), true);
+  assert.equal(nonces.remember("GG-1", "n-1", 500), false);
+  assert.equal(nonces.remember("GG-2", "n-1", 500), true);
+  assert.equal(nonces.remember("GG-1", "n-1", 1000), true);
+
+  nonces.forget("GG-2");
+  assert.equal(nonces.remember("GG-2", "n-1", 600), true);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  isSessionLive,
+  parseRefreshToken,
+  refreshTokenState,
+  signAccessToken,
+  unauthorizedBody,
+  verifyAccessToken,
+} from "../sessions.js";
+
+const KEY = "test-key";
+
+test("verifies its own access tokens until they expire", () => {
+  const payload = { sid: "s1", kind: "customer", sub: "7", lic: "GG-1", exp: 10_000 };
+  const token = signAccessToken(KEY, payload);
+
+  assert.match(token, /^gga\.[\w-]+\.[\w-]+$/);
+  assert.deepEqual(verifyAccessToken(KEY, token, 9_999), payload);
+  assert.equal(verifyAccessToken(KEY, token, 10_000), null);
+});
+
+test("rejects tampered, foreign and malformed access tokens", () => {
+  const token = signAccessToken(KEY, { sid: "s1", exp: 10_000 });
+  const [, , sig] = token.split(".");
+  const forged = `gga.${Buffer.from(JSON.stringify({ sid: "s2", exp: 10_000 })).toString("base64url")}.${sig}`;
+
+  assert.equal(verifyAccessToken(KEY, forged, 0), null);
+  assert.equal(verifyAccessToken("other-key", token, 0), null);
+  assert.equal(verifyAccessToken(KEY, "42", 0), null);
+  assert.equal(verifyAccessToken(KEY, undefined, 0), null);
+  assert.equal(verifyAccessToken(KEY, signAccessToken(KEY, { sid: "s1" }), 0), null);
+});
+
+test("splits refresh tokens into session id and secret", () => {
+  assert.deepEqual(parseRefreshToken("abc.def"), { session_id: "abc", secret: "def" });
+  assert.equal(parseRefreshToken("abc"), null);
+  assert.equal(parseRefreshToken(".def"), null);
+  assert.equal(parseRefreshToken(undefined), null);
+});
+
+test("sessions end when revoked or expired", () => {
+  const session = { expires_at: new Date(1000).toISOString(), revoked_at: null };
+  assert.equal(isSessionLive(session, 999), true);
+  assert.equal(isSessionLive(session, 1000), false);
+  assert.equal(isSessionLive({ ...session, revoked_at: new Date(0).toISOString() }, 0), false);
+  assert.equal(isSessionLive(null, 0), false);
+});
+
+test("accepts the previous refresh token only within the grace window", () => {
+  const session = { refresh_hash: "new", prev_refresh_hash: "old", rotated_at: new Date(1000).toISOString() };
+
+  assert.equal(refreshTokenState(session, "new", 500, 5000), "current");
+  assert.equal(refreshTokenState(session, "old", 500, 1499), "grace");
+  assert.equal(refreshTokenState(session, "old", 500, 1500), "reused");
+  assert.equal(refreshTokenState(session, "older", 500, 1000), "reused");
+  assert.equal(refreshTokenState({ refresh_hash: "new", prev_refresh_hash: null }, "old", 500, 0), "reused");
+});
+
+test("asks pre-session tokens to log in again", () => {
+  assert.deepEqual(unauthorizedBody("42"), { success: false, error: "RELOGIN_REQUIRED" });
+  assert.deepEqual(unauthorizedBody("gga.x.y"), { success: false, error: "UNAUTHORIZED" });
+  assert.deepEqual(unauthorizedBody(null), { success: false, error: "UNAUTHORIZED" });
+});
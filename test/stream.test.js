@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createStreamBuffer, formatStreamEvent, sessionMatches } from "../stream.js";
+
+test("formats events with id, name and JSON data", () => {
+  assert.equal(
+    formatStreamEvent({ id: 7, event: "players", data: { count: 2 } }),
+    'id: 7\nevent: players\ndata: {"count":2}\n\n'
+  );
+});
+
+test("replays only what came after Last-Event-ID for that license", () => {
+  const buffer = createStreamBuffer(10);
+  buffer.publish("GG-1", "status", { online: true });
+  buffer.publish("GG-2", "status", { online: true });
+  buffer.publish("GG-1", "log", { message: "a" });
+  buffer.publish("GG-1", "players", []);
+
+  assert.equal(buffer.seq, 4);
+  assert.deepEqual(buffer.resume("GG-1", 1, { canSeeLogs: true }).replay.map((e) => e.id), [3, 4]);
+  assert.deepEqual(buffer.resume("GG-1", 4, { canSeeLogs: true }).replay, []);
+});
+
+test("leaves log events out for clients without logs.view", () => {
+  const buffer = createStreamBuffer(10);
+  buffer.publish("GG-1", "status", {});
+  buffer.publish("GG-1", "log", { message: "secret" });
+  buffer.publish("GG-1", "action", {});
+
+  assert.deepEqual(buffer.resume("GG-1", 1, { canSeeLogs: false }).replay.map((e) => e.event), ["action"]);
+});
+
+test("first connects get a snapshot, unreplayable gaps a reset", () => {
+  const buffer = createStreamBuffer(2);
+  for (let i = 0; i < 5; i++) buffer.publish("GG-1", "log", { i });
+
+  assert.deepEqual(buffer.resume("GG-1", 0, { canSeeLogs: true }), { snapshot: true });
+  assert.deepEqual(buffer.resume("GG-1", NaN, { canSeeLogs: true }), { snapshot: true });
+
+  // ids 1-3 were dropped: a client at 2 missed 3, a client at 3 missed nothing
+  assert.deepEqual(buffer.resume("GG-1", 2, { canSeeLogs: true }), { reset: "history_truncated" });
+  assert.deepEqual(buffer.resume("GG-1", 3, { canSeeLogs: true }).replay.map((e) => e.id), [4, 5]);
+
+  // ids from before a restart are above the new sequence
+  assert.deepEqual(createStreamBuffer(2).resume("GG-1", 3, { canSeeLogs: true }), { reset: "restarted" });
+});
+
+test("matches stream sessions against a revoke filter", () => {
+  const session = { id: "s1", subject_kind: "customer", subject_id: 42 };
+  assert.equal(sessionMatches(session, { id: "s1" }), true);
+  assert.equal(sessionMatches(session, { subject_kind: "customer", subject_id: "42" }), true);
+  assert.equal(sessionMatches(session, { subject_kind: "admin", subject_id: 42 }), false);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  base32Decode,
+  base32Encode,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  totpCode,
+  totpUri,
+  verifyTotp,
+} from "../totp.js";
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+test("round-trips base32 and ignores case, spaces and padding", () => {
+  assert.equal(SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.equal(base32Decode(SECRET).toString(), "12345678901234567890");
+  assert.equal(base32Decode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq====").toString(), "12345678901234567890");
+});
+
+test("matches the RFC 6238 SHA-1 test vectors", () => {
+  // 8-digit vectors truncated to the 6 digits we use
+  assert.equal(totpCode(SECRET, Math.floor(59 / 30)), "287082");
+  assert.equal(totpCode(SECRET, Math.floor(1111111109 / 30)), "081804");
+  assert.equal(totpCode(SECRET, Math.floor(1234567890 / 30)), "005924");
+});
+
+test("accepts one step of drift and refuses replays", () => {
+  const now = 1234567890_000;
+  const step = Math.floor(now / 30_000);
+
+  assert.equal(verifyTotp(SECRET, totpCode(SECRET, step), null, now), step);
+  assert.equal(verifyTotp(SECRET, totpCode(SECRET, step - 1), null, now), step - 1);
+  assert.equal(verifyTotp(SECRET, totpCode(SECRET, step + 1), null, now), step + 1);
+  assert.equal(verifyTotp(SECRET, totpCode(SECRET, step + 2), null, now), null);
+
+  assert.equal(verifyTotp(SECRET, totpCode(SECRET, step), step, now), null);
+  assert.equal(verifyTotp(SECRET, totpCode(SECRET, step + 1), step, now), step + 1);
+});
+
+test("rejects malformed codes and missing secrets", () => {
+  const now = 1234567890_000;
+  assert.equal(verifyTotp(SECRET, "12345", null, now), null);
+  assert.equal(verifyTotp(SECRET, "abcdef", null, now), null);
+  assert.equal(verifyTotp(null, "005924", null, now), null);
+  assert.equal(verifyTotp(SECRET, "005 924", null, now), Math.floor(now / 30_000));
+});
+
+test("builds an otpauth URI for authenticator apps", () => {
+  assert.equal(
+    totpUri("ABC", "owner", "GhostGuard"),
+    "otpauth://totp/GhostGuard%3Aowner?secret=ABC&issuer=GhostGuard&algorithm=SHA1&digits=6&period=30"
+  );
+});
+
+test("generates recovery codes and stores only their hashes", () => {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  for (const code of codes) assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  assert.deepEqual(hashes, codes.map((c) => hashRecoveryCode(c)));
+  assert.equal(hashRecoveryCode(` ${codes[0].toUpperCase()} `), hashes[0]);
+});
@@ -0,0 +1,201 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import crypto from "node:crypto";
+
+import {
+  createWebhookDeliverer,
+  discordEmbed,
+  isPublicAddress,
+  resolveWebhookTarget,
+  validateWebhookFields,
+  webhookBody,
+} from "../webhooks.js";
+
+// Local stand-in receiver: replies with the queued status codes in order
+function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[requests.length - 1] ?? 204;
+      res.end();
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` }))
+  );
+}
+
+// Queues retries instead of waiting for timers; drain() runs them in order
+function harness(hook, delays) {
+  const attempts = [];
+  const scheduled = [];
+  const pending = [];
+  const deliver = createWebhookDeliverer({
+    loadHook: async () => hook.current,
+    saveAttempt: async (id, row) => attempts.push(row),
+    buildBody: (h, d) => ({ id: d.id, event: d.event, data: d.payload }),
+    checkTarget: async () => ({ ok: true }), // the receiver is on loopback
+    delays,
+    schedule: (fn, ms) => {
+      scheduled.push(ms);
+      pending.push(fn);
+    },
+  });
+  const drain = async () => {
+    while (pending.length) await pending.shift()();
+  };
+  return { deliver, attempts, scheduled, drain };
+}
+
+test("signs each attempt and retries 5xx on the backoff schedule", async () => {
+  const receiver = await startReceiver([503, 500, 204]);
+  const hook = { current: { id: 1, url: receiver.url, secret: "s3cret", active: true } };
+  const h = harness(hook, [10, 20, 30]);
+
+  const first = await h.deliver(1, { id: 7, event: "ban.created", payload: { player: "x" } });
+  await h.drain();
+  receiver.server.close();
+
+  assert.equal(first, "pending");
+  assert.equal(receiver.requests.length, 3);
+  assert.deepEqual(h.scheduled, [10, 20]);
+  assert.deepEqual(h.attempts.map((a) => [a.status, a.attempts, a.last_error]), [
+    ["pending", 1, "HTTP_503"],
+    ["pending", 2, "HTTP_500"],
+    ["delivered", 3, null],
+  ]);
+
+  for (const { headers, body } of receiver.requests) {
+    const expected = crypto
+      .createHmac("sha256", "s3cret")
+      .update(`${headers["x-gg-webhook-timestamp"]}.${body}`)
+      .digest("hex");
+    assert.equal(headers["x-gg-webhook-signature"], expected);
+    assert.equal(headers["x-gg-webhook-event"], "ban.created");
+    assert.equal(headers["x-gg-webhook-delivery"], "7");
+  }
+});
+
+test("gives up after the last delay and does not retry 4xx", async () => {
+  const receiver = await startReceiver([500, 500, 404]);
+  const hook = { current: { id: 1, url: receiver.url, secret: "s", active: true } };
+
+  const exhausted = harness(hook, [5]);
+  await exhausted.deliver(1, { id: 1, event: "detection", payload: {} });
+  await exhausted.drain();
+  assert.deepEqual(exhausted.attempts.map((a) => a.status), ["pending", "failed"]);
+
+  const client = harness(hook, [5, 5]);
+  assert.equal(await client.deliver(1, { id: 2, event: "detection", payload: {} }), "failed");
+  assert.deepEqual(client.scheduled, []);
+  receiver.server.close();
+});
+
+test("stops retrying once the hook is deactivated or deleted", async () => {
+  const receiver = await startReceiver([503, 204]);
+  const hook = { current: { id: 1, url: receiver.url, secret: "s", active: true } };
+  const h = harness(hook, [5, 5]);
+
+  await h.deliver(1, { id: 3, event: "ping", payload: {} });
+  hook.current = { ...hook.current, active: false };
+  await h.drain();
+
+  hook.current = null;
+  assert.equal(await h.deliver(1, { id: 4, event: "ping", payload: {} }), "failed");
+  receiver.server.close();
+
+  assert.equal(receiver.requests.length, 1);
+  assert.deepEqual(h.attempts.map((a) => [a.status, a.last_error]), [
+    ["pending", "HTTP_503"],
+    ["failed", "WEBHOOK_DISABLED"],
+    ["failed", "WEBHOOK_DISABLED"],
+  ]);
+});
+
+test("rejects internal and non-https targets", async () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "0.0.0.0"]) {
+    assert.equal(isPublicAddress(ip), false, ip);
+  }
+  assert.equal(isPublicAddress("93.184.216.34"), true);
+  assert.equal(isPublicAddress("2606:4700::1111"), true);
+
+  const publicLookup = async () => [{ address: "93.184.216.34", family: 4 }];
+  const privateLookup = async () => [{ address: "93.184.216.34", family: 4 }, { address: "10.0.0.5", family: 4 }];
+
+  assert.equal((await resolveWebhookTarget("http://example.com/x", publicLookup)).error, "WEBHOOK_HTTPS_REQUIRED");
+  assert.equal((await resolveWebhookTarget("https://169.254.169.254/latest", publicLookup)).error, "WEBHOOK_PRIVATE_ADDRESS");
+  assert.equal((await resolveWebhookTarget("https://[::1]/x", publicLookup)).error, "WEBHOOK_PRIVATE_ADDRESS");
+  assert.equal((await resolveWebhookTarget("https://internal.example/x", privateLookup)).error, "WEBHOOK_PRIVATE_ADDRESS");
+  assert.equal((await resolveWebhookTarget("not a url", publicLookup)).error, "INVALID_URL");
+  assert.equal((await resolveWebhookTarget("https://discord.com/api/webhooks/1/x", publicLookup)).ok, true);
+});
+
+test("connects only to the address it checked, even if DNS answers differently later", async () => {
+  const receiver = await startReceiver([204]);
+  const port = receiver.server.address().port;
+
+  // rebinding host: public for the pre-flight check, loopback for the connection
+  let calls = 0;
+  const flipping = async () =>
+    calls++ === 0 ? [{ address: "93.184.216.34", family: 4 }] : [{ address: "127.0.0.1", family: 4 }];
+
+  const attempts = [];
+  const deliver = createWebhookDeliverer({
+    loadHook: async () => ({ id: 1, url: `http://rebind.test:${port}/hook`, secret: "s", active: true }),
+    saveAttempt: async (id, row) => attempts.push(row),
+    buildBody: (h, d) => ({ id: d.id }),
+    lookup: flipping,
+    // the local receiver speaks plain http; the address check is the same
+    checkTarget: (url) => resolveWebhookTarget(url.replace(/^http:/, "https:"), flipping),
+    delays: [5],
+    schedule: () => assert.fail("a refused target must not be retried"),
+  });
+
+  assert.equal(await deliver(1, { id: 9, event: "ping", payload: {} }), "failed");
+  receiver.server.close();
+
+  assert.equal(calls, 2);
+  assert.equal(receiver.requests.length, 0);
+  assert.equal(attempts[0].last_error, "WEBHOOK_PRIVATE_ADDRESS");
+});
+
+test("builds Discord embeds without the full license key or nested data", () => {
+  const body = discordEmbed("ban.created", "GG-AB12-CD34", { player: "bob", reason: "x".repeat(2000), ids: ["a"], ban_id: null }, 0);
+  const [embed] = body.embeds;
+
+  assert.equal(body.username, "GhostGuard");
+  assert.equal(embed.title, "ban.created");
+  assert.equal(embed.color, 0xdc2626);
+  assert.deepEqual(embed.fields.map((f) => [f.name, f.value.length]), [["player", 3], ["reason", 1024]]);
+  assert.equal(embed.footer.text, "License …CD34");
+  assert.equal(embed.timestamp, new Date(0).toISOString());
+  assert.equal(discordEmbed("something.new", "GG-1", { message: "hi" }, 0).embeds[0].description, "hi");
+});
+
+test("posts JSON or a Discord embed depending on the hook format", () => {
+  const delivery = { id: 5, event: "detection", payload: { type: "speed" }, created_at: "2026-01-01T00:00:00.000Z" };
+
+  assert.deepEqual(webhookBody({ format: "json", license_key: "GG-1" }, delivery), {
+    id: 5,
+    event: "detection",
+    license_key: "GG-1",
+    created_at: "2026-01-01T00:00:00.000Z",
+    data: { type: "speed" },
+  });
+  assert.equal(webhookBody({ format: "discord", license_key: "GG-1" }, delivery).embeds[0].title, "detection");
+});
+
+test("validates webhook events and format", () => {
+  assert.equal(validateWebhookFields({ events: ["ban.created", "detection"], format: "discord" }, false), null);
+  assert.equal(validateWebhookFields({ events: [] }, false), "INVALID_EVENTS");
+  assert.equal(validateWebhookFields({ events: ["ban.deleted"] }, false), "INVALID_EVENTS");
+  assert.equal(validateWebhookFields({ events: ["detection"], format: "xml" }, false), "INVALID_FORMAT");
+
+  // updates may leave events out
+  assert.equal(validateWebhookFields({ format: "json" }, true), null);
+  assert.equal(validateWebhookFields({ events: "detection" }, true), "INVALID_EVENTS");
+});
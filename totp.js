@@ -0,0 +1,86 @@
+import crypto from "crypto";
+
+/* ================= TWO-FACTOR (TOTP) ================= */
+/**
+ * RFC 6238 codes and recovery codes (see TWO-FACTOR (TOTP) in index.js for
+ * the columns and how steps and codes are consumed).
+ */
+export const TOTP_STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+
+  for (const ch of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const num = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1_000_000;
+  return String(num).padStart(6, "0");
+}
+
+// Returns the matching time step, or null. Steps <= lastStep are refused (no replay).
+export function verifyTotp(secret, code, lastStep = null, now = Date.now()) {
+  const value = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(value) || !secret) return null;
+
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastStep != null && step <= Number(lastStep)) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(value))) return step;
+  }
+  return null;
+}
+
+export function totpUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`;
+}
+
+// codes are typed by hand: case and surrounding spaces don't matter
+export function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(String(code).trim().toLowerCase()).digest("hex");
+}
+
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((c) => hashRecoveryCode(c)) };
+}
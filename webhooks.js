@@ -0,0 +1,255 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { Agent, fetch as undiciFetch } from "undici";
+
+/* ================= WEBHOOK DELIVERY ================= */
+/**
+ * Outbound webhooks: target checks, signing, the retry loop and the event
+ * bodies (EVENTS AND BODIES below). Storage is passed in (see
+ * createWebhookDeliverer) so index.js keeps the Supabase glue and tests can
+ * drive this against a local receiver.
+ *
+ * The pre-flight check and the connection resolve the host separately, so the
+ * connection goes through an Agent whose lookup checks the addresses again:
+ * a host that answers public first and 127.0.0.1 next (DNS rebinding) is refused.
+ */
+export const WEBHOOK_RETRY_DELAYS_MS = [10_000, 60_000, 5 * 60_000, 30 * 60_000];
+export const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Never deliver into our own network: loopback, private, link-local, ULA, CGNAT,
+// multicast and reserved ranges.
+const blockedAddresses = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(addr, prefix, "ipv6");
+}
+
+export function isPublicAddress(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) ip = mapped[1];
+
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return !blockedAddresses.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+// -> { ok: true } or { ok: false, error, retryable }
+export async function resolveWebhookTarget(url, lookup = dns.lookup) {
+  let u;
+  try {
+    u = new URL(String(url));
+  } catch {
+    return { ok: false, error: "INVALID_URL", retryable: false };
+  }
+  if (u.protocol !== "https:") return { ok: false, error: "WEBHOOK_HTTPS_REQUIRED", retryable: false };
+
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await lookup(host, { all: true })).map((a) => a.address);
+    } catch {
+      return { ok: false, error: "WEBHOOK_HOST_UNRESOLVABLE", retryable: true };
+    }
+  }
+
+  if (!addresses.length) return { ok: false, error: "WEBHOOK_HOST_UNRESOLVABLE", retryable: true };
+  if (!addresses.every(isPublicAddress)) return { ok: false, error: "WEBHOOK_PRIVATE_ADDRESS", retryable: false };
+  return { ok: true };
+}
+
+// net.connect-style lookup that refuses non-public answers.
+// `lookup` is the promise form (dns/promises), shared with resolveWebhookTarget.
+export function pinnedLookup(lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    lookup(hostname, { all: true, family: options?.family || 0 }).then(
+      (addresses) => {
+        if (!addresses.length || !addresses.every((a) => isPublicAddress(a.address))) {
+          const err = new Error(`${hostname} resolves to a non-public address`);
+          err.code = "WEBHOOK_PRIVATE_ADDRESS";
+          return callback(err);
+        }
+        if (options?.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+      },
+      (err) => callback(err)
+    );
+  };
+}
+
+export function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * deps:
+ *   loadHook(id)                  -> current hook row or null (re-read before every attempt)
+ *   saveAttempt(deliveryId, row)  -> persist { status, attempts, response_status, last_error }
+ *   buildBody(hook, delivery)     -> object to POST
+ *   lookup, checkTarget, dispatcher, fetchImpl, delays, schedule  (overridable for tests)
+ * Returns deliver(hookId, delivery, attempt = 0) -> "delivered" | "pending" | "failed"
+ */
+export function createWebhookDeliverer({
+  loadHook,
+  saveAttempt,
+  buildBody,
+  lookup = dns.lookup,
+  checkTarget = (url) => resolveWebhookTarget(url, lookup),
+  dispatcher = new Agent({ connect: { lookup: pinnedLookup(lookup) } }),
+  fetchImpl = undiciFetch,
+  delays = WEBHOOK_RETRY_DELAYS_MS,
+  timeoutMs = WEBHOOK_TIMEOUT_MS,
+  schedule = (fn, ms) => setTimeout(fn, ms).unref(),
+}) {
+  async function deliver(hookId, delivery, attempt = 0) {
+    let responseStatus = null;
+    let lastError = null;
+    let retryable = false;
+
+    // deleted, paused or re-pointed since the event was queued
+    const hook = await loadHook(hookId);
+    if (!hook || !hook.active) {
+      lastError = "WEBHOOK_DISABLED";
+    } else {
+      const target = await checkTarget(hook.url);
+      if (!target.ok) {
+        lastError = target.error;
+        retryable = target.retryable;
+      }
+    }
+
+    if (!lastError) {
+      const body = JSON.stringify(buildBody(hook, delivery));
+      const timestamp = String(Date.now());
+
+      try {
+        const r = await fetchImpl(hook.url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-GG-Webhook-Event": delivery.event,
+            "X-GG-Webhook-Delivery": String(delivery.id),
+            "X-GG-Webhook-Timestamp": timestamp,
+            "X-GG-Webhook-Signature": signWebhook(hook.secret, timestamp, body),
+          },
+          body,
+          // a redirect could point anywhere, including our own network
+          redirect: "manual",
+          signal: AbortSignal.timeout(timeoutMs),
+          dispatcher,
+        });
+        responseStatus = r.status;
+        if (!r.ok) lastError = "HTTP_" + r.status;
+        // 4xx other than 429 will not get better by retrying
+        retryable = r.status === 429 || r.status >= 500;
+      } catch (e) {
+        if (e?.cause?.code === "WEBHOOK_PRIVATE_ADDRESS") {
+          lastError = "WEBHOOK_PRIVATE_ADDRESS";
+        } else {
+          lastError = e?.name === "TimeoutError" ? "TIMEOUT" : String(e?.message || e).slice(0, 200);
+          retryable = true;
+        }
+      }
+    }
+
+    const willRetry = !!lastError && retryable && attempt < delays.length;
+    const status = !lastError ? "delivered" : willRetry ? "pending" : "failed";
+
+    try {
+      await saveAttempt(delivery.id, {
+        status,
+        attempts: attempt + 1,
+        response_status: responseStatus,
+        last_error: lastError,
+      });
+    } catch (e) {
+      console.error("webhook delivery update error:", e);
+    }
+
+    if (willRetry) schedule(() => deliver(hookId, delivery, attempt + 1), delays[attempt]);
+    return status;
+  }
+
+  return deliver;
+}
+
+/* ===== EVENTS AND BODIES ===== */
+export const WEBHOOK_EVENTS = ["ban.created", "ban.revoked", "detection", "server.offline", "panel_admin.changed"];
+export const WEBHOOK_FORMATS = ["json", "discord"];
+
+const DISCORD_COLORS = {
+  "ban.created": 0xdc2626,
+  "ban.revoked": 0x16a34a,
+  detection: 0xd97706,
+  "server.offline": 0x6b7280,
+  "panel_admin.changed": 0x2563eb,
+  ping: 0x2563eb,
+};
+
+export function discordEmbed(event, license_key, data, now = Date.now()) {
+  const fields = Object.entries(data || {})
+    .filter(([, v]) => v !== null && v !== undefined && typeof v !== "object")
+    .slice(0, 10)
+    .map(([name, value]) => ({ name, value: String(value).slice(0, 1024), inline: true }));
+
+  return {
+    username: "GhostGuard",
+    embeds: [
+      {
+        title: event,
+        description: data?.message ? String(data.message).slice(0, 2000) : undefined,
+        color: DISCORD_COLORS[event] ?? 0x6b7280,
+        fields,
+        // the channel is readable by everyone in it, so never the full key
+        footer: { text: "License …" + String(license_key).slice(-4) },
+        timestamp: new Date(now).toISOString(),
+      },
+    ],
+  };
+}
+
+// what createWebhookDeliverer posts for a webhook_deliveries row
+export function webhookBody(hook, delivery) {
+  if (hook.format === "discord") return discordEmbed(delivery.event, hook.license_key, delivery.payload);
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    license_key: hook.license_key,
+    created_at: delivery.created_at,
+    data: delivery.payload,
+  };
+}
+
+// url is checked separately (async, see resolveWebhookTarget)
+export function validateWebhookFields({ events, format }, partial) {
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || !events.length || events.some((e) => !WEBHOOK_EVENTS.includes(e))) {
+      return "INVALID_EVENTS";
+    }
+  }
+  if (format !== undefined && !WEBHOOK_FORMATS.includes(format)) return "INVALID_FORMAT";
+  return null;
+}